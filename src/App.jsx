@@ -1,16 +1,42 @@
-import React, { Suspense } from "react";
-import { Canvas } from "@react-three/fiber";
-import Scene from "./Scene";
+import React, { useEffect, useMemo } from "react";
+import { Leva } from "leva";
+import VolumetricTunnel from "./components/VolumetricTunnel";
+import PresetManager from "./components/PresetManager";
+import usePresentation from "./hooks/usePresentation";
+import { levaAdapter } from "./settings/leva";
+import { parseUrlParams } from "./utils/urlParams";
 
+// The demo app: the tunnel with every setting in the Leva panel. The URL
+// query can override any control and switch to kiosk mode, which hides the
+// panel and the tier indicator for lobby screens and stream overlays
+// (settings still load from share links and the query).
 export default function App() {
+  const params = useMemo(() => parseUrlParams(window.location.search), []);
+  const config = useMemo(() => {
+    const result = {};
+    if (params.background !== undefined) result.background = params.background;
+    if (params.kiosk) result.quality = { showIndicator: false };
+    return result;
+  }, [params]);
+  usePresentation(params);
+
+  // Let the page behind show through a transparent canvas
+  useEffect(() => {
+    document.documentElement.classList.toggle(
+      "transparent",
+      config.background === null
+    );
+  }, [config]);
+
   return (
     <div id="canvas-container">
-      <Canvas shadows gl={{ alpha: true }} dpr={[1, 1.5]}>
-        <color attach="background" args={["#010101"]} />
-        <Suspense fallback={null}>
-          <Scene />
-        </Suspense>
-      </Canvas>
+      <Leva hidden={params.kiosk} />
+      <PresetManager />
+      <VolumetricTunnel
+        config={config}
+        overrides={params.overrides}
+        debug={levaAdapter}
+      />
     </div>
   );
 }
@@ -1,64 +1,121 @@
-import React, { useRef, useState, useEffect } from "react";
-import { useFrame } from "@react-three/fiber";
-import { PerspectiveCamera, useHelper } from "@react-three/drei";
-import {
-  EffectComposer,
-  Bloom,
-  Noise,
-  GodRays,
-} from "@react-three/postprocessing";
-import { BlendFunction, KernelSize } from "postprocessing";
+import React, { useRef, useState, useEffect, useMemo } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import { PerspectiveCamera, SoftShadows } from "@react-three/drei";
+import { EffectComposer } from "@react-three/postprocessing";
 import * as THREE from "three";
-import { SpotLightHelper } from "three";
 import TunnelParticles from "./components/TunnelParticles";
+import DustMotes from "./components/DustMotes";
+import useParticleGeometries from "./hooks/useParticleGeometries";
+import VolumetricSpotLight, {
+  MAX_VOLUMETRIC_LIGHTS,
+} from "./components/VolumetricSpotLight";
 import VolumetricLightShader from "./shaders/VolumetricLightShader";
-import { useControls } from "leva";
+import RaymarchedConeShader from "./shaders/RaymarchedConeShader";
+import PostEffectChain, {
+  getActivePostChain,
+} from "./components/PostEffectChain";
+import { useSettings } from "./settings/SettingsContext";
+import { folder } from "./settings/schema";
+import {
+  getStreamLayout,
+  getSectionZ,
+  getSectionChunk,
+} from "./utils/tunnelStream";
+import {
+  createLoopCurve,
+  createPathCurve,
+  createTunnelPath,
+} from "./utils/tunnelPath";
+import {
+  CHUNK_TEMPLATES,
+  DEFAULT_CHUNK_WEIGHTS,
+  getChunk,
+} from "./utils/tunnelChunks";
+import {
+  createParticleAnimationUniforms,
+  syncParticleAnimation,
+  syncParticleStretch,
+} from "./shaders/particleAnimation";
+import {
+  createSimulationState,
+  getPathDistance,
+  getStreamSections,
+  step,
+} from "./utils/simulation";
+import { getNavigationView } from "./utils/navigation";
+import useAudioReactive from "./hooks/useAudioReactive";
+import Recorder from "./components/Recorder";
+import useNavigation from "./hooks/useNavigation";
+import useModulation from "./hooks/useModulation";
+import useParticleClusters from "./hooks/useParticleClusters";
+import usePostEffects from "./hooks/usePostEffects";
+import useSpeedEffects from "./hooks/useSpeedEffects";
+import useDustMotes from "./hooks/useDustMotes";
+import { getSpeedFactor } from "./utils/speedEffects";
+import { QUALITY_TIERS } from "./utils/qualityTiers";
 
-export default function Scene() {
+// Top of the "Particle Controls" count slider. Particle buffers are sized
+// for it, so dragging the slider never reallocates them.
+const MAX_BASE_COUNT = 10000;
+
+// `quality` is the governor's active tier (see utils/qualityTiers),
+// `shadows` the "Shadows" settings (see hooks/useShadowSettings),
+// `recording` a ref the Recorder sets while it captures and `path` a closed
+// curve or control points for the tunnel to follow instead of the "Tunnel
+// Shape" path (see utils/tunnelPath)
+export default function Scene({
+  quality = QUALITY_TIERS[QUALITY_TIERS.length - 1],
+  shadows = null,
+  recording: recordingProp = null,
+  path = null,
+}) {
   // References for animated objects
   const groupRef = useRef();
-  const section1Ref = useRef();
-  const section2Ref = useRef();
-  const targetRef = useRef(new THREE.Object3D());
-  const lightRef = useRef();
+  const sectionRefs = useRef([]);
+  const lightRefs = useRef([]); // One THREE.SpotLight per active light slot
+  const rigRef = useRef(); // Camera and light; follows the path in curved mode
+  const bloomRef = useRef();
 
-  // Animation values
-  const section1Position = useRef(0);
-  const section2Position = useRef(-30);
+  // Animation values. Tunnel progress, particle animation and navigation
+  // live in the simulation, stepped once per frame (see utils/simulation);
+  // the scene is a view of it.
+  const simulation = useRef(createSimulationState());
+  // Set by the Recorder while it captures, to keep live input out of the
+  // simulation (and the quality governor from reacting to slow frames)
+  const ownRecording = useRef(false);
+  const recording = recordingProp || ownRecording;
+  const sectionChunkIndices = useRef([]); // Chunk each stream section shows
+  const [, setChunkVersion] = useState(0); // Bumped when a section moves on to a new chunk
+  const rigFrame = useMemo(() => new THREE.Matrix4(), []);
+  const lookTarget = useMemo(() => new THREE.Vector3(), []);
+  // One set of animation uniforms shared by every section's materials
+  const particleAnimation = useMemo(
+    () => createParticleAnimationUniforms(),
+    []
+  );
+  // The tunnel's world-space velocity past the camera, the distance it has
+  // travelled and the last frame's duration, for the motion blur
+  const travel = useMemo(
+    () => ({ velocity: new THREE.Vector3(), distance: 0, frameTime: 0 }),
+    []
+  );
 
-  // Control spotlight properties with leva
-  const {
-    lightColor,
-    intensity,
-    distance,
-    angle,
-    penumbra,
-    decay,
-    lightX,
-    lightY,
-    lightZ,
-    targetX,
-    targetY,
-    targetZ,
-    castShadowVal,
-    helperColor,
-    showHelper,
-  } = useControls("Spotlight Controls", {
-    lightColor: "#ffffff",
-    intensity: { value: 850, min: 0, max: 1000, step: 10 },
-    distance: { value: 37, min: 0, max: 200, step: 1 },
-    angle: { value: 0.7, min: 0, max: Math.PI / 2, step: 0.01 },
-    penumbra: { value: 0.31, min: 0, max: 1, step: 0.01 },
-    decay: { value: 1, min: 0, max: 5, step: 0.01 },
-    lightX: { value: -3.5, min: -50, max: 50, step: 0.5 },
-    lightY: { value: 15.5, min: -50, max: 50, step: 0.5 },
-    lightZ: { value: 6, min: -50, max: 50, step: 0.5 },
-    targetX: { value: -1.0, min: -50, max: 50, step: 0.5 },
-    targetY: { value: -2.0, min: -50, max: 50, step: 0.5 },
-    targetZ: { value: 3.5, min: -50, max: 50, step: 0.5 },
-    castShadowVal: true,
-    showHelper: false,
-    helperColor: "#ff0000",
+  // Multipliers driven by the audio bands, updated every frame; all 1 while
+  // recording
+  const audio = useAudioReactive(recording);
+  // LFOs, noise and envelopes bound to any numeric control
+  useModulation();
+
+  // How many spotlights shine into the tunnel. Each one gets its own Leva
+  // group and its own beam in both volumetric modes.
+  const { lightCount } = useSettings("Light Rig", {
+    lightCount: {
+      value: 1,
+      min: 1,
+      max: MAX_VOLUMETRIC_LIGHTS,
+      step: 1,
+      label: "Lights",
+    },
   });
 
   // New Leva controls for the unified tunnel
@@ -71,7 +128,7 @@ export default function Scene() {
     tunnelDepth,
     tunnelYPosition,
     tunnelZPosition,
-  } = useControls("Tunnel Controls", {
+  } = useSettings("Tunnel Controls", {
     tunnelVisible: false,
     tunnelColor: "#1f1f1f", // Slightly dark grey
     tunnelWireframe: false,
@@ -83,9 +140,10 @@ export default function Scene() {
   });
 
   // Leva controls for TunnelParticles
-  const particleControls = useControls("Particle Controls", {
+  const particleControls = useSettings("Particle Controls", {
     particlesVisible: true,
-    baseCount: { value: 3000, min: 100, max: 10000, step: 100 },
+    seed: { value: 1, min: 0, max: 9999, step: 1, label: "Seed" },
+    baseCount: { value: 3000, min: 100, max: MAX_BASE_COUNT, step: 100 },
     densityFactor: { value: 1.6, min: 0.1, max: 3.0, step: 0.1 },
     particleBoxSize: {
       value: 8.5,
@@ -138,12 +196,193 @@ export default function Scene() {
     },
   });
 
+  // Leva controls for the tunnel's cross-section and path
+  const shapeControls = useSettings("Tunnel Shape", {
+    crossSection: {
+      value: "square",
+      options: {
+        Square: "square",
+        Circle: "circle",
+        Hexagon: "hexagon",
+        "N-gon": "polygon",
+        Ellipse: "ellipse",
+      },
+      label: "Cross-section",
+    },
+    polygonSides: {
+      value: 8,
+      min: 3,
+      max: 16,
+      step: 1,
+      label: "Sides",
+      render: (get) => get("Tunnel Shape.crossSection") === "polygon",
+    },
+    ellipseAspect: {
+      value: 1.5,
+      min: 0.25,
+      max: 4,
+      step: 0.05,
+      label: "Aspect (W/H)",
+      render: (get) => get("Tunnel Shape.crossSection") === "ellipse",
+    },
+    tunnelPath: {
+      value: "straight",
+      options: { Straight: "straight", "Curved loop": "loop" },
+      label: "Path",
+    },
+    pathRadius: {
+      value: 60,
+      min: 20,
+      max: 200,
+      step: 1,
+      label: "Loop Radius",
+      render: (get) => get("Tunnel Shape.tunnelPath") === "loop",
+    },
+    pathWiggle: {
+      value: 0.4,
+      min: 0,
+      max: 1,
+      step: 0.01,
+      label: "Wiggle",
+      render: (get) => get("Tunnel Shape.tunnelPath") === "loop",
+    },
+    pathTwist: {
+      value: 1,
+      min: -4,
+      max: 4,
+      step: 1, // Whole turns only, so the loop closes without a seam
+      label: "Twist (turns)",
+      render: (get) => get("Tunnel Shape.tunnelPath") === "loop",
+    },
+  });
+
+  // Leva controls for procedural chunks: each section of the tunnel is built
+  // from a weighted template, so the stream never repeats
+  const chunkControls = useSettings(
+    "Tunnel Chunks",
+    {
+      chunksEnabled: { value: false, label: "Procedural Chunks" },
+      ...Object.fromEntries(
+        Object.entries(CHUNK_TEMPLATES).map(([template, label]) => [
+          `${template}Weight`,
+          {
+            value: DEFAULT_CHUNK_WEIGHTS[template],
+            min: 0,
+            max: 10,
+            step: 0.5,
+            label,
+            render: (get) => get("Tunnel Chunks.chunksEnabled"),
+          },
+        ])
+      ),
+      profileAmount: {
+        value: 0.15,
+        min: 0,
+        max: 0.5,
+        step: 0.01,
+        label: "Narrow/Widen By",
+        render: (get) => get("Tunnel Chunks.chunksEnabled"),
+      },
+    },
+    { collapsed: true }
+  );
+
+  // Leva controls for the GPU particle animation, one folder per behavior
+  const animationControls = useSettings("Particle Animation", {
+    Tumble: folder({
+      tumbleSpeed: {
+        value: 0,
+        min: 0,
+        max: 3,
+        step: 0.01,
+        label: "Speed",
+      },
+    }),
+    Breathe: folder({
+      breatheAmount: {
+        value: 0,
+        min: 0,
+        max: 2,
+        step: 0.01,
+        label: "Amount",
+      },
+      breatheSpeed: {
+        value: 0.5,
+        min: 0,
+        max: 5,
+        step: 0.01,
+        label: "Speed",
+      },
+    }),
+    Shimmer: folder({
+      shimmerAmount: {
+        value: 0,
+        min: 0,
+        max: 10,
+        step: 0.1,
+        label: "Amount",
+      },
+      shimmerSpeed: {
+        value: 2,
+        min: 0,
+        max: 10,
+        step: 0.1,
+        label: "Speed",
+      },
+      shimmerColor: { value: "#ffffff", label: "Color" },
+    }),
+  });
+
+  // Cubes, tetrahedra, plates, shards and models, shared by every section
+  const particleGeometries = useParticleGeometries();
+
+  // Sections split into culled clusters that thin out with distance
+  const particleClusters = useParticleClusters();
+  const { clusterSize } = particleClusters.settings;
+  const clusters = useMemo(
+    () => ({ cellSize: clusterSize, registry: particleClusters.registry }),
+    [clusterSize, particleClusters.registry]
+  );
+
+  const countScale = particleControls.densityFactor * quality.particleDensity;
+  const particleProps = {
+    count: Math.floor(particleControls.baseCount * countScale), // Dynamic count, thinned out on lower quality tiers
+    maxCount: Math.floor(MAX_BASE_COUNT * countScale),
+    boxSize: particleControls.particleBoxSize,
+    boxDepth: particleControls.particleBoxDepth,
+    boxThickness: particleControls.particleBoxThickness,
+    crossSection: shapeControls.crossSection,
+    polygonSides: shapeControls.polygonSides,
+    ellipseAspect: shapeControls.ellipseAspect,
+    visible: particleControls.particlesVisible,
+    baseSize: particleControls.baseSize,
+    sizeRandomness: particleControls.sizeRandomness,
+    baseColor: particleControls.baseColor,
+    colorRandomness: particleControls.colorRandomness,
+    baseRotationX: particleControls.baseRotationX,
+    baseRotationY: particleControls.baseRotationY,
+    baseRotationZ: particleControls.baseRotationZ,
+    rotationRandomnessX: particleControls.rotationRandomnessX,
+    rotationRandomnessY: particleControls.rotationRandomnessY,
+    rotationRandomnessZ: particleControls.rotationRandomnessZ,
+    // Noise props
+    useParticleNoise: particleControls.useParticleNoise,
+    particleNoiseScale: particleControls.particleNoiseScale,
+    particleNoiseThreshold: particleControls.particleNoiseThreshold,
+    animation: particleAnimation,
+    geometries: particleGeometries,
+    castShadow: !shadows || shadows.particlesCast,
+    receiveShadow: !shadows || shadows.particlesReceive,
+    clusters,
+  };
+
   // Leva controls for Camera
-  const cameraControls = useControls("Camera Controls", {
+  const cameraControls = useSettings("Camera Controls", {
     cameraX: { value: -3.2, min: -50, max: 50, step: 0.1 },
     cameraY: { value: -2.7, min: -50, max: 50, step: 0.1 },
     cameraZ: { value: -9.1, min: -50, max: 50, step: 0.1 },
     fov: { value: 60, min: 10, max: 120, step: 1 },
+    far: { value: 200, min: 20, max: 500, step: 1, label: "Far Plane" },
     // Optional: Add lookAt controls later if needed
     // lookAtX: { value: 0, min: -20, max: 20, step: 0.1 },
     // lookAtY: { value: 0.3, min: -20, max: 20, step: 0.1 },
@@ -151,7 +390,7 @@ export default function Scene() {
   });
 
   // Leva controls for Bloom effect
-  const bloomControls = useControls("Bloom Controls", {
+  const bloomControls = useSettings("Bloom Controls", {
     bloomEnabled: { value: true, label: "Enable Bloom" },
     bloomIntensity: {
       value: 0.85,
@@ -177,124 +416,374 @@ export default function Scene() {
     // kernelSize and mipmapBlur are not controlled by Leva for now to keep it simpler
   });
 
-  // Set up scene and update light/target positions based on controls
-  useEffect(() => {
-    if (targetRef.current) {
-      targetRef.current.position.set(targetX, targetY, targetZ);
-    }
-    if (lightRef.current) {
-      lightRef.current.position.set(lightX, lightY, lightZ);
-      // The target object itself needs to be updated if its position changes via controls
-      // and it's a distinct object in the scene (which it is, via <primitive />)
-      if (lightRef.current.target) {
-        lightRef.current.target.position.set(targetX, targetY, targetZ);
-      }
+  // The post-processing chain's order and the other effects' controls
+  const postEffects = usePostEffects();
+  const speedEffects = useSpeedEffects();
+  const postChain = getActivePostChain(
+    postEffects,
+    bloomControls,
+    speedEffects
+  );
+
+  // The dust motes' controls, for their drift speed in the simulation
+  const dustControls = useDustMotes();
+
+  // Leva controls for the tunnel stream's motion
+  const motionControls = useSettings("Tunnel Motion", {
+    speed: { value: 2, min: 0, max: 50, step: 0.1 },
+    direction: { value: 1, options: { Forward: 1, Reverse: -1 } },
+    acceleration: {
+      value: 4,
+      min: 0,
+      max: 50,
+      step: 0.1,
+      hint: "0 = change speed instantly",
+    },
+    paused: false,
+  });
+
+  // Pointer, touch, keyboard and gamepad navigation. The camera and its look
+  // target stay inside the particle walls (wider for an ellipse).
+  const wallInset = 0.5;
+  const halfHeight = Math.max(
+    0,
+    particleControls.particleBoxSize / 2 - wallInset
+  );
+  const halfWidth =
+    shapeControls.crossSection === "ellipse"
+      ? Math.max(
+          0,
+          (particleControls.particleBoxSize * shapeControls.ellipseAspect) / 2 -
+            wallInset
+        )
+      : halfHeight;
+  const navigation = useNavigation({
+    base: {
+      x: cameraControls.cameraX,
+      y: cameraControls.cameraY,
+      z: cameraControls.cameraZ,
+    },
+    lookAt: { x: 0, y: 0.3, z: 0 },
+    // The throttle can stop the tunnel but not push it past full speed
+    throttleLimits: {
+      min: -motionControls.speed,
+      max: 50 - motionControls.speed,
+    },
+    bounds: {
+      minX: -halfWidth,
+      maxX: halfWidth,
+      minY: -halfHeight,
+      maxY: halfHeight,
+    },
+  });
+
+  // As many sections as it takes to fill the view, from one box depth behind
+  // the camera out to its far plane
+  const streamLayout = useMemo(
+    () =>
+      getStreamLayout({
+        boxDepth: particleControls.particleBoxDepth,
+        near: cameraControls.cameraZ - particleControls.particleBoxDepth,
+        far: cameraControls.cameraZ + cameraControls.far,
+      }),
+    [
+      particleControls.particleBoxDepth,
+      cameraControls.cameraZ,
+      cameraControls.far,
+    ]
+  );
+
+  // Curved mode: the tunnel is baked along a closed spline and the camera rig
+  // travels along it instead of the sections streaming past. A caller's path
+  // wins over the "Path" control; points are compared by value, so an inline
+  // array doesn't rebake the tunnel every render.
+  const pathKey = Array.isArray(path) ? JSON.stringify(path) : path;
+  const tunnelPath = useMemo(() => {
+    if (path) {
+      return createTunnelPath(createPathCurve(path), {
+        twist: shapeControls.pathTwist,
+      });
     }
-  }, [lightX, lightY, lightZ, targetX, targetY, targetZ]); // Only re-run if these specific positions change
+    if (shapeControls.tunnelPath !== "loop") return null;
+    const curve = createLoopCurve({
+      seed: particleControls.seed,
+      radius: shapeControls.pathRadius,
+      wiggle: shapeControls.pathWiggle,
+    });
+    return createTunnelPath(curve, { twist: shapeControls.pathTwist });
+  }, [
+    pathKey,
+    shapeControls.tunnelPath,
+    shapeControls.pathRadius,
+    shapeControls.pathWiggle,
+    shapeControls.pathTwist,
+    particleControls.seed,
+  ]);
 
-  // Add SpotLightHelper using useHelper from drei
-  // It will be added/removed based on the 'showHelper' control
-  // The helper uses the lightRef and updates automatically when the light's properties change.
-  useHelper(showHelper && lightRef, SpotLightHelper, helperColor);
+  // Whole sections round the loop, stretched slightly so it closes exactly
+  const pathSectionCount = tunnelPath
+    ? Math.max(
+        1,
+        Math.round(tunnelPath.length / particleControls.particleBoxDepth)
+      )
+    : 0;
+  const pathSectionDepth = tunnelPath
+    ? tunnelPath.length / pathSectionCount
+    : 0;
 
-  // Animation loop
-  useFrame((state, delta) => {
-    // Update tunnel section positions for continuous movement
-    section1Position.current += 2 * delta;
-    section2Position.current += 2 * delta;
+  // Which chunk every section shows. The stream's sections move on to the
+  // next chunk in line each time they wrap; the loop's are fixed.
+  const { chunksEnabled, profileAmount } = chunkControls;
+  const chunkWeights = Object.keys(CHUNK_TEMPLATES).map(
+    (template) => chunkControls[`${template}Weight`]
+  );
+  sectionChunkIndices.current = Array.from(
+    { length: tunnelPath ? pathSectionCount : streamLayout.sectionCount },
+    (_, i) =>
+      tunnelPath
+        ? i
+        : getSectionChunk(i, simulation.current.offset, streamLayout)
+  );
+  // Chunks are cached by index, so a section that didn't wrap keeps the same
+  // chunk object and doesn't regenerate its layout
+  const chunkCache = useMemo(
+    () => new Map(),
+    [chunksEnabled, profileAmount, particleControls.seed, chunkWeights.join()]
+  );
+  const sectionChunks = chunksEnabled
+    ? sectionChunkIndices.current.map((index) => {
+        if (!chunkCache.has(index)) {
+          chunkCache.set(
+            index,
+            getChunk(index, {
+              seed: particleControls.seed,
+              profileAmount,
+              weights: Object.fromEntries(
+                Object.keys(CHUNK_TEMPLATES).map((template, i) => [
+                  template,
+                  chunkWeights[i],
+                ])
+              ),
+            })
+          );
+        }
+        return chunkCache.get(index);
+      })
+    : [];
+  // Drop the chunks that have streamed out of view
+  chunkCache.forEach((_, index) => {
+    if (!sectionChunkIndices.current.includes(index)) chunkCache.delete(index);
+  });
+
+  // Time one full cycle takes at the set speed: the stream recycling every
+  // section once, or the rig going once round the loop. Recording exactly
+  // this long gives a seamless loop. A stream of procedural chunks never
+  // repeats, so it has none.
+  const loopDuration =
+    motionControls.speed > 0 && (tunnelPath || !chunksEnabled)
+      ? (tunnelPath ? tunnelPath.length : streamLayout.span) /
+        motionControls.speed
+      : 0;
+
+  // Which volumetric effect renders the beam. The screen-space god rays
+  // break once the light leaves the screen; the raymarched cone does not.
+  const { volumetricMode } = useSettings("Volumetric Controls", {
+    volumetricMode: {
+      value: "screenSpace",
+      options: {
+        "Screen-space god rays": "screenSpace",
+        "Raymarched cone": "raymarched",
+      },
+      label: "Mode",
+    },
+  });
+
+  // three bakes the shadow filter into every lit material's program, and
+  // doesn't notice when only the filter changes, so recompile them
+  const scene = useThree((state) => state.scene);
+  const shadowType = shadows ? shadows.shadowType : null;
+  useEffect(() => {
+    scene.traverse((object) => {
+      if (!object.material) return;
+      [].concat(object.material).forEach((material) => {
+        material.needsUpdate = true;
+      });
+    });
+  }, [scene, shadowType]);
 
-    if (section1Ref.current && section2Ref.current) {
-      section1Ref.current.position.z = section1Position.current;
-      section2Ref.current.position.z = section2Position.current;
+  // Animation loop: step the simulation, then show it
+  useFrame((state, delta) => {
+    // A recording replays from a fresh state, so it must not depend on what
+    // the pointer and keys happen to do meanwhile (nor on the audio, whose
+    // multipliers all read 1 while recording)
+    const live = !recording.current;
+    const sim = step(simulation.current, delta, {
+      speed: motionControls.speed,
+      direction: motionControls.direction,
+      acceleration: motionControls.acceleration,
+      paused: motionControls.paused,
+      speedScale: audio.tunnelSpeed,
+      tumbleSpeed: animationControls.tumbleSpeed,
+      breatheSpeed: animationControls.breatheSpeed,
+      shimmerSpeed: animationControls.shimmerSpeed,
+      dustDriftSpeed: dustControls.driftSpeed,
+      input: live ? navigation.input : null,
+      navigation: navigation.options,
+    });
+    simulation.current = sim;
 
-      // Reset positions when they go out of view for looping effect
-      if (section1Position.current >= 30) section1Position.current = -30;
-      if (section2Position.current >= 30) section2Position.current = -30;
+    syncParticleAnimation(particleAnimation, sim, {
+      ...animationControls,
+      shimmerAmount: animationControls.shimmerAmount * audio.particleShimmer,
+    });
+    if (bloomRef.current) {
+      bloomRef.current.intensity =
+        bloomControls.bloomIntensity * audio.bloomIntensity;
     }
 
-    // Update camera target
-    state.camera.lookAt(0, 0.3, 0);
+    if (tunnelPath) {
+      // The tunnel stays put and the rig moves round the path
+      tunnelPath.getFrame(getPathDistance(sim, tunnelPath.length), rigFrame);
+      rigFrame.decompose(
+        rigRef.current.position,
+        rigRef.current.quaternion,
+        rigRef.current.scale
+      );
+    } else {
+      rigRef.current.position.set(0, 0, 0);
+      rigRef.current.quaternion.identity();
 
-    // Ensure the spotlight's target's world matrix is updated for the helper
-    if (lightRef.current && lightRef.current.target) {
-      lightRef.current.target.updateMatrixWorld();
+      // Place every section, and regenerate the wrapped ones for their new
+      // chunks
+      let chunksChanged = false;
+      getStreamSections(sim, streamLayout).forEach(({ z, chunk }, i) => {
+        const section = sectionRefs.current[i];
+        if (section) section.position.z = z;
+        if (chunk !== sectionChunkIndices.current[i]) chunksChanged = true;
+      });
+      if (chunksEnabled && chunksChanged) setChunkVersion((v) => v + 1);
     }
+    rigRef.current.updateMatrixWorld();
+
+    // The tunnel runs towards the rig's +z either way, so its velocity past
+    // the camera is that axis turned by the rig
+    travel.velocity
+      .set(0, 0, sim.velocity)
+      .applyQuaternion(rigRef.current.quaternion);
+    travel.distance = sim.offset;
+    travel.frameTime = delta;
+    syncParticleStretch(
+      particleAnimation,
+      travel.velocity,
+      speedEffects.particleStretch *
+        getSpeedFactor(sim.velocity, speedEffects.warpSpeed)
+    );
+
+    // Camera position and target from navigation (in rig space, so they
+    // follow the path too). useNavigation's frame callback has already
+    // run, so its options are set.
+    const { position, target } = getNavigationView(
+      sim.navigation,
+      navigation.options
+    );
+    state.camera.position.set(position.x, position.y, position.z);
+    state.camera.lookAt(
+      rigRef.current.localToWorld(lookTarget.set(target.x, target.y, target.z))
+    );
+
+    // Particle LOD and counts, from where the camera now is
+    particleClusters.update(state.camera);
   });
 
   return (
     <>
-      {/* Main camera */}
-      <PerspectiveCamera
-        makeDefault
-        position={[
-          cameraControls.cameraX,
-          cameraControls.cameraY,
-          cameraControls.cameraZ,
-        ]}
-        fov={cameraControls.fov}
-        near={0.1}
-        far={200}
-      />
+      {/* Camera and light rig; identity unless the tunnel follows a path */}
+      <group ref={rigRef}>
+        {/* Main camera */}
+        <PerspectiveCamera
+          makeDefault
+          position={[
+            cameraControls.cameraX,
+            cameraControls.cameraY,
+            cameraControls.cameraZ,
+          ]}
+          fov={cameraControls.fov}
+          near={0.1}
+          far={cameraControls.far}
+        />
+
+        {/* Spotlights, each with its own Leva group and volumetric beam */}
+        {Array.from({ length: lightCount }, (_, i) => (
+          <VolumetricSpotLight
+            key={i}
+            index={i}
+            audio={audio}
+            shadowMapSize={
+              (shadows && shadows.mapSize) || quality.shadowMapSize
+            }
+            shadows={shadows}
+            fallbackShadowFar={cameraControls.far}
+            simulation={simulation}
+            navigation={i === 0 ? navigation : null} // Main light can follow the cursor
+            ref={(el) => (lightRefs.current[i] = el)}
+          />
+        ))}
+
+        {/* Dust lit inside the beams, streaming past with the tunnel */}
+        <DustMotes
+          lights={lightRefs}
+          lightCount={lightCount}
+          simulation={simulation}
+          controls={dustControls}
+          density={quality.particleDensity}
+        />
+      </group>
 
       {/* Tunnel structure */}
       <group ref={groupRef}>
-        <group ref={section1Ref} position={[0, 0, 0]}>
-          <TunnelParticles
-            count={Math.floor(
-              particleControls.baseCount * particleControls.densityFactor
-            )} // Dynamic count
-            boxSize={particleControls.particleBoxSize}
-            boxDepth={particleControls.particleBoxDepth}
-            boxThickness={particleControls.particleBoxThickness}
-            // Pass new particle props
-            visible={particleControls.particlesVisible}
-            baseSize={particleControls.baseSize}
-            sizeRandomness={particleControls.sizeRandomness}
-            baseColor={particleControls.baseColor}
-            colorRandomness={particleControls.colorRandomness}
-            baseRotationX={particleControls.baseRotationX}
-            baseRotationY={particleControls.baseRotationY}
-            baseRotationZ={particleControls.baseRotationZ}
-            rotationRandomnessX={particleControls.rotationRandomnessX}
-            rotationRandomnessY={particleControls.rotationRandomnessY}
-            rotationRandomnessZ={particleControls.rotationRandomnessZ}
-            // Noise props
-            useParticleNoise={particleControls.useParticleNoise}
-            particleNoiseScale={particleControls.particleNoiseScale}
-            particleNoiseThreshold={particleControls.particleNoiseThreshold}
-          />
-        </group>
-        <group ref={section2Ref} position={[0, 0, -29]}>
-          <TunnelParticles
-            count={Math.floor(
-              particleControls.baseCount * particleControls.densityFactor
-            )} // Dynamic count
-            boxSize={particleControls.particleBoxSize}
-            boxDepth={particleControls.particleBoxDepth}
-            boxThickness={particleControls.particleBoxThickness}
-            // Pass new particle props
-            visible={particleControls.particlesVisible}
-            baseSize={particleControls.baseSize}
-            sizeRandomness={particleControls.sizeRandomness}
-            baseColor={particleControls.baseColor}
-            colorRandomness={particleControls.colorRandomness}
-            baseRotationX={particleControls.baseRotationX}
-            baseRotationY={particleControls.baseRotationY}
-            baseRotationZ={particleControls.baseRotationZ}
-            rotationRandomnessX={particleControls.rotationRandomnessX}
-            rotationRandomnessY={particleControls.rotationRandomnessY}
-            rotationRandomnessZ={particleControls.rotationRandomnessZ}
-            // Noise props
-            useParticleNoise={particleControls.useParticleNoise}
-            particleNoiseScale={particleControls.particleNoiseScale}
-            particleNoiseThreshold={particleControls.particleNoiseThreshold}
-          />
-        </group>
+        {tunnelPath &&
+          Array.from({ length: pathSectionCount }, (_, i) => (
+            <TunnelParticles
+              key={i}
+              seed={particleControls.seed + i}
+              {...particleProps}
+              chunk={sectionChunks[i] || null}
+              boxDepth={pathSectionDepth}
+              path={tunnelPath}
+              pathCenter={(i + 0.5) * pathSectionDepth}
+            />
+          ))}
+        {!tunnelPath &&
+          Array.from({ length: streamLayout.sectionCount }, (_, i) => (
+            <group
+              key={i}
+              ref={(el) => (sectionRefs.current[i] = el)}
+              position={[
+                0,
+                0,
+                getSectionZ(i, simulation.current.offset, streamLayout),
+              ]}
+            >
+              <TunnelParticles
+                // Each section (or chunk) gets its own layout
+                seed={
+                  particleControls.seed +
+                  (chunksEnabled ? sectionChunkIndices.current[i] : i)
+                }
+                {...particleProps}
+                chunk={sectionChunks[i] || null}
+              />
+            </group>
+          ))}
       </group>
 
       {/* Unified Tunnel Box */}
       {tunnelVisible && (
-        <mesh position={[0, tunnelYPosition, tunnelZPosition]}>
+        <mesh
+          position={[0, tunnelYPosition, tunnelZPosition]}
+          castShadow={Boolean(shadows && shadows.tunnelBoxCast)}
+          receiveShadow={Boolean(shadows && shadows.tunnelBoxReceive)}
+        >
           <boxGeometry args={[tunnelWidth, tunnelHeight, tunnelDepth]} />
           <meshStandardMaterial
             color={tunnelColor}
@@ -304,54 +793,51 @@ export default function Scene() {
         </mesh>
       )}
 
-      {/* Light source controlled by Leva */}
-      <spotLight
-        ref={lightRef}
-        castShadow={castShadowVal}
-        color={lightColor}
-        intensity={intensity}
-        target={targetRef.current}
-        angle={angle}
-        penumbra={penumbra}
-        distance={distance}
-        decay={decay}
-      />
-
-      {/* Light mesh (visual representation), position updated with light's actual position */}
-      {/* Its color also reflects the controlled light color */}
-      <mesh
-        position={lightRef.current ? [lightX, lightY, lightZ] : [-7, 12, 3]}
-      >
-        <sphereGeometry args={[0.5, 16, 16]} />
-        <meshBasicMaterial
-          color={new THREE.Color(lightColor).multiplyScalar(intensity / 250)}
+      {/* Contact-hardening soft shadows: swaps three's PCF lookup for PCSS */}
+      {shadows && shadows.shadowsEnabled && shadows.shadowType === "pcss" && (
+        <SoftShadows
+          size={shadows.pcssSize}
+          samples={shadows.pcssSamples}
+          focus={shadows.pcssFocus}
         />
-      </mesh>
+      )}
 
-      {/* Object targeted by light, its position is also controlled by Leva */}
-      {/* Ensure this primitive is correctly positioned based on targetX, targetY, targetZ */}
-      <primitive
-        object={targetRef.current}
-        position={[targetX, targetY, targetZ]}
+      {/* Fixed-timestep offline recording */}
+      <Recorder
+        loopDuration={loopDuration}
+        simulation={simulation}
+        recording={recording}
       />
 
       {/* Ambient light for basic visibility */}
       <ambientLight intensity={0.05} />
 
       {/* Post-processing effects */}
-      <EffectComposer>
+      <EffectComposer key={`${volumetricMode}:${postChain.join()}`}>
         {/* Custom Volumetric Light Shader Effect */}
-        <VolumetricLightShader light={lightRef} />
-        {bloomControls.bloomEnabled && (
-          <Bloom
-            luminanceThreshold={bloomControls.luminanceThreshold}
-            luminanceSmoothing={bloomControls.luminanceSmoothing}
-            intensity={bloomControls.bloomIntensity}
-            kernelSize={KernelSize.HUGE} // KernelSize is now correctly imported
-            mipmapBlur
+        {volumetricMode === "raymarched" ? (
+          <RaymarchedConeShader
+            lights={lightRefs}
+            audio={audio}
+            quality={quality}
+          />
+        ) : (
+          <VolumetricLightShader
+            lights={lightRefs}
+            audio={audio}
+            quality={quality}
           />
         )}
-        <Noise opacity={0.02} />
+        <PostEffectChain
+          chain={postChain}
+          post={postEffects}
+          bloom={bloomControls}
+          bloomRef={bloomRef}
+          speed={speedEffects}
+          travel={travel}
+          quality={quality}
+          lights={lightRefs}
+        />
       </EffectComposer>
     </>
   );
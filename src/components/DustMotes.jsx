@@ -0,0 +1,245 @@
+import React, { useEffect, useMemo } from "react";
+import { useFrame } from "@react-three/fiber";
+import * as THREE from "three";
+import { createRandom } from "../utils/random";
+
+// Ashima 3D simplex noise, and curl noise built from three offset copies
+const noiseChunk = /* glsl */ `
+vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+vec4 permute(vec4 x) { return mod289(((x * 34.0) + 10.0) * x); }
+vec4 taylorInvSqrt(vec4 r) { return 1.79284291400159 - 0.85373472095314 * r; }
+
+float snoise(vec3 v) {
+  const vec2 C = vec2(1.0 / 6.0, 1.0 / 3.0);
+  const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
+  vec3 i = floor(v + dot(v, C.yyy));
+  vec3 x0 = v - i + dot(i, C.xxx);
+  vec3 g = step(x0.yzx, x0.xyz);
+  vec3 l = 1.0 - g;
+  vec3 i1 = min(g.xyz, l.zxy);
+  vec3 i2 = max(g.xyz, l.zxy);
+  vec3 x1 = x0 - i1 + C.xxx;
+  vec3 x2 = x0 - i2 + C.yyy;
+  vec3 x3 = x0 - D.yyy;
+  i = mod289(i);
+  vec4 p = permute(permute(permute(
+      i.z + vec4(0.0, i1.z, i2.z, 1.0))
+    + i.y + vec4(0.0, i1.y, i2.y, 1.0))
+    + i.x + vec4(0.0, i1.x, i2.x, 1.0));
+  float n_ = 0.142857142857;
+  vec3 ns = n_ * D.wyz - D.xzx;
+  vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
+  vec4 x_ = floor(j * ns.z);
+  vec4 y_ = floor(j - 7.0 * x_);
+  vec4 x = x_ * ns.x + ns.yyyy;
+  vec4 y = y_ * ns.x + ns.yyyy;
+  vec4 h = 1.0 - abs(x) - abs(y);
+  vec4 b0 = vec4(x.xy, y.xy);
+  vec4 b1 = vec4(x.zw, y.zw);
+  vec4 s0 = floor(b0) * 2.0 + 1.0;
+  vec4 s1 = floor(b1) * 2.0 + 1.0;
+  vec4 sh = -step(h, vec4(0.0));
+  vec4 a0 = b0.xzyw + s0.xzyw * sh.xxyy;
+  vec4 a1 = b1.xzyw + s1.xzyw * sh.zzww;
+  vec3 p0 = vec3(a0.xy, h.x);
+  vec3 p1 = vec3(a0.zw, h.y);
+  vec3 p2 = vec3(a1.xy, h.z);
+  vec3 p3 = vec3(a1.zw, h.w);
+  vec4 norm = taylorInvSqrt(vec4(dot(p0, p0), dot(p1, p1), dot(p2, p2), dot(p3, p3)));
+  p0 *= norm.x;
+  p1 *= norm.y;
+  p2 *= norm.z;
+  p3 *= norm.w;
+  vec4 m = max(0.5 - vec4(dot(x0, x0), dot(x1, x1), dot(x2, x2), dot(x3, x3)), 0.0);
+  m = m * m;
+  return 105.0 * dot(m * m, vec4(dot(p0, x0), dot(p1, x1), dot(p2, x2), dot(p3, x3)));
+}
+
+vec3 potential(vec3 p) {
+  return vec3(snoise(p), snoise(p + vec3(31.4, -12.7, 5.3)), snoise(p + vec3(-7.1, 19.9, 43.2)));
+}
+
+// Divergence-free, so motes swirl instead of bunching up
+vec3 curlNoise(vec3 p) {
+  const float e = 0.1;
+  vec3 dx = potential(p + vec3(e, 0.0, 0.0)) - potential(p - vec3(e, 0.0, 0.0));
+  vec3 dy = potential(p + vec3(0.0, e, 0.0)) - potential(p - vec3(0.0, e, 0.0));
+  vec3 dz = potential(p + vec3(0.0, 0.0, e)) - potential(p - vec3(0.0, 0.0, e));
+  return vec3(dy.z - dz.y, dz.x - dx.z, dx.y - dy.x) / (2.0 * e);
+}
+`;
+
+// Motes live in the light's cone frame: origin at the light, +z towards the
+// target. They fill the cone's bounding box, wrapping round it as they drift
+// and flow, and only the ones inside the cone are drawn.
+const vertexShader = /* glsl */ `
+${noiseChunk}
+// position: 0..1 in the box, fixed per mote
+uniform mat4 uConeMatrix;  // Cone frame to the light's parent space
+uniform float uLength;     // Cone length
+uniform float uRadius;     // Cone radius at uLength
+uniform vec3 uFlow;        // Tunnel flow so far, in the cone frame
+uniform float uDriftPhase; // The simulation's dust drift phase
+uniform float uDrift;      // Curl noise amplitude
+uniform float uSize;
+uniform float uViewportHeight;
+varying float vGlow;
+
+void main() {
+  vec3 boxSize = vec3(2.0 * uRadius, 2.0 * uRadius, uLength);
+  vec3 boxMin = vec3(-uRadius, -uRadius, 0.0);
+  vec3 local = boxMin + position * boxSize + uFlow;
+  local += curlNoise(position * 4.0 + vec3(0.0, 0.0, uDriftPhase)) * uDrift;
+  local = boxMin + mod(local - boxMin, boxSize);
+
+  // Brightest on the axis, nothing outside the cone, fading out towards the
+  // far end like the light itself
+  float along = local.z / uLength;
+  float radial = length(local.xy) / max(along * uRadius, 1e-4);
+  float axial = 1.0 - smoothstep(0.0, 1.0, radial);
+  vGlow = axial * axial * (1.0 - along * along) * smoothstep(0.0, 0.05, along);
+
+  vec4 mvPosition = modelViewMatrix * uConeMatrix * vec4(local, 1.0);
+  gl_Position = projectionMatrix * mvPosition;
+  // World-space size, like the particles: half the viewport per unit of
+  // projection at distance 1
+  gl_PointSize = vGlow > 0.0
+    ? uSize * uViewportHeight * projectionMatrix[1][1] * 0.5 / -mvPosition.z
+    : 0.0;
+}
+`;
+
+const fragmentShader = /* glsl */ `
+uniform vec3 uColor;
+uniform float uBrightness;
+varying float vGlow;
+
+void main() {
+  // Soft round sprite
+  float d = length(gl_PointCoord - 0.5) * 2.0;
+  float alpha = 1.0 - smoothstep(0.3, 1.0, d);
+  if (alpha <= 0.0) discard;
+  gl_FragColor = vec4(uColor * uBrightness * vGlow * alpha, 1.0);
+}
+`;
+
+// Stand-in length for lights with an infinite range (distance 0)
+const UNLIMITED_DISTANCE = 50;
+
+const _axis = new THREE.Vector3();
+const _forward = new THREE.Vector3(0, 0, 1);
+const _quaternion = new THREE.Quaternion();
+const _inverse = new THREE.Quaternion();
+const _flow = new THREE.Vector3();
+const _scale = new THREE.Vector3(1, 1, 1);
+
+// One light's motes. Drift and flow come straight from the simulation, so
+// they're the same whenever it is (a recording, a restored snapshot).
+function LightDust({ lights, index, geometry, controls, simulation }) {
+  const material = useMemo(
+    () =>
+      new THREE.ShaderMaterial({
+        uniforms: {
+          uConeMatrix: { value: new THREE.Matrix4() },
+          uLength: { value: 1 },
+          uRadius: { value: 1 },
+          uFlow: { value: new THREE.Vector3() },
+          uDriftPhase: { value: 0 },
+          uDrift: { value: 0 },
+          uSize: { value: 0.05 },
+          uViewportHeight: { value: 1 },
+          uColor: { value: new THREE.Color() },
+          uBrightness: { value: 1 },
+        },
+        vertexShader,
+        fragmentShader,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending,
+      }),
+    []
+  );
+  useEffect(() => () => material.dispose(), [material]);
+
+  useFrame((state) => {
+    const light = lights.current[index];
+    if (!light) return;
+    const u = material.uniforms;
+
+    // The light's cone, in the space of its (and our) parent
+    const length = light.distance > 0 ? light.distance : UNLIMITED_DISTANCE;
+    _axis.subVectors(light.target.position, light.position).normalize();
+    _quaternion.setFromUnitVectors(_forward, _axis);
+    u.uConeMatrix.value.compose(light.position, _quaternion, _scale);
+    u.uLength.value = length;
+    u.uRadius.value = length * Math.tan(Math.min(light.angle, 1.5));
+
+    // Stream with the tunnel: its whole travel along the parent's +z, in the
+    // cone frame and wrapped into one box here, in double precision, so the
+    // shader only sees small offsets
+    const sim = simulation ? simulation.current : null;
+    _flow
+      .set(0, 0, sim ? sim.offset : 0)
+      .applyQuaternion(_inverse.copy(_quaternion).invert());
+    const boxSize = [2 * u.uRadius.value, 2 * u.uRadius.value, length];
+    ["x", "y", "z"].forEach((axis, i) => {
+      // A zero-angle cone has no box to wrap in
+      if (boxSize[i] > 0) _flow[axis] %= boxSize[i];
+    });
+    u.uFlow.value.copy(_flow);
+
+    u.uDriftPhase.value = sim ? sim.dustPhase : 0;
+    u.uDrift.value = controls.drift;
+    u.uSize.value = controls.size;
+    u.uViewportHeight.value = state.size.height * state.gl.getPixelRatio();
+    u.uColor.value.copy(light.color);
+    // On the same scale as the light's emitter sphere, so audio-driven
+    // intensity reaches the dust too
+    u.uBrightness.value = (controls.brightness * light.intensity) / 250;
+  });
+
+  return (
+    <points geometry={geometry} material={material} frustumCulled={false} />
+  );
+}
+
+// Dust lit inside every spotlight's beam: a lightweight point-sprite system
+// per light that follows its position, target, angle and distance. Mount it
+// next to the lights, since it reads their positions in their parent's space.
+export default function DustMotes({
+  lights, // Ref holding the scene's THREE.SpotLights (see Scene)
+  lightCount = 1,
+  simulation, // Ref holding the scene's simulation state (utils/simulation)
+  controls, // The "Dust Motes" values (see hooks/useDustMotes)
+  density = 1, // Quality tier's particle density
+}) {
+  const count = Math.floor(controls.count * density);
+  const geometry = useMemo(() => {
+    // Each mote's fixed place in the cone's box, 0..1 on every axis
+    const random = createRandom(0);
+    const seeds = new Float32Array(count * 3);
+    for (let i = 0; i < seeds.length; i++) seeds[i] = random();
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute("position", new THREE.BufferAttribute(seeds, 3));
+    return geo;
+  }, [count]);
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  if (!controls.dustEnabled || count === 0) return null;
+
+  return (
+    <>
+      {Array.from({ length: lightCount }, (_, i) => (
+        <LightDust
+          key={i}
+          lights={lights}
+          index={i}
+          geometry={geometry}
+          controls={controls}
+          simulation={simulation}
+        />
+      ))}
+    </>
+  );
+}
@@ -0,0 +1,130 @@
+import React, { useLayoutEffect, useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import {
+  Bloom,
+  ChromaticAberration,
+  DepthOfField,
+  Noise,
+  Vignette,
+} from "@react-three/postprocessing";
+import { KernelSize } from "postprocessing";
+import * as THREE from "three";
+import ColorGradingShader from "../shaders/ColorGradingShader";
+import LensDirtShader from "../shaders/LensDirtShader";
+import AnamorphicShader from "../shaders/AnamorphicShader";
+import MotionBlurShader from "../shaders/MotionBlurShader";
+import { GRAIN_BLEND_FUNCTIONS } from "../hooks/usePostEffects";
+
+// The effects of the chain that are switched on, in chain order. Bloom keeps
+// its switch in its own group, motion blur runs for its blur or its speed
+// lines ("Speed Effects") and color grading is always on.
+export function getActivePostChain(post, bloom, speed) {
+  const enabled = {
+    dof: post.dofEnabled,
+    motionBlur: speed.motionBlurEnabled || speed.speedLinesEnabled,
+    bloom: bloom.bloomEnabled,
+    lensDirt: post.lensDirtEnabled,
+    anamorphic: post.anamorphicEnabled,
+    chromaticAberration: post.aberrationEnabled,
+    colorGrading: true,
+    vignette: post.vignetteEnabled,
+    grain: post.grainEnabled,
+  };
+  return post.chain.filter((id) => enabled[id]);
+}
+
+// Renders `chain` (from getActivePostChain) inside an <EffectComposer>. R3F
+// appends an effect it creates at the end of the composer whatever its place
+// in the JSX, so the effects are built once with their default arguments and
+// their parameters set on them in place; the composer is keyed by the chain
+// to rebuild it in order when effects are added, removed or moved.
+export default function PostEffectChain({
+  chain,
+  post,
+  bloom,
+  bloomRef,
+  speed,
+  travel,
+  quality,
+  lights,
+}) {
+  const dofRef = useRef();
+  const aberrationRef = useRef();
+  const vignetteRef = useRef();
+  const grainRef = useRef();
+
+  useLayoutEffect(() => {
+    if (bloomRef.current) {
+      const luminance = bloomRef.current.luminanceMaterial;
+      luminance.threshold = bloom.luminanceThreshold;
+      luminance.smoothing = bloom.luminanceSmoothing;
+      // Smaller on lower quality tiers
+      bloomRef.current.kernelSize = KernelSize[quality.bloomKernel];
+    }
+    if (aberrationRef.current) {
+      const aberration = aberrationRef.current;
+      aberration.offset.set(post.aberrationOffsetX, post.aberrationOffsetY);
+      aberration.radialModulation = post.aberrationRadial;
+      aberration.modulationOffset = post.aberrationModulationOffset;
+    }
+    if (vignetteRef.current) {
+      vignetteRef.current.offset = post.vignetteOffset;
+      vignetteRef.current.darkness = post.vignetteDarkness;
+    }
+    if (grainRef.current) {
+      const blendMode = grainRef.current.blendMode;
+      blendMode.blendFunction = GRAIN_BLEND_FUNCTIONS[post.grainBlend];
+      blendMode.opacity.value = post.grainOpacity;
+      grainRef.current.premultiply = post.grainPremultiply;
+    }
+  });
+
+  // The focus follows the main light's target as it moves
+  useFrame(() => {
+    const dof = dofRef.current;
+    if (!dof) return;
+    const light = lights.current[0];
+    if (post.dofFocus === "lightTarget" && light) {
+      if (!dof.target) dof.target = new THREE.Vector3();
+      light.target.getWorldPosition(dof.target);
+    } else {
+      dof.target = null;
+      dof.cocMaterial.worldFocusDistance = post.dofDistance;
+    }
+    dof.cocMaterial.worldFocusRange = post.dofRange;
+    dof.bokehScale = post.dofBokehScale;
+  });
+
+  const effects = {
+    dof: <DepthOfField ref={dofRef} />,
+    motionBlur: (
+      <MotionBlurShader travel={travel} settings={speed} quality={quality} />
+    ),
+    bloom: <Bloom ref={bloomRef} mipmapBlur />,
+    lensDirt: (
+      <LensDirtShader
+        bloom={bloomRef}
+        intensity={post.lensDirtIntensity}
+        seed={post.lensDirtSeed}
+        spots={post.lensDirtSpots}
+      />
+    ),
+    anamorphic: (
+      <AnamorphicShader
+        threshold={post.anamorphicThreshold}
+        length={post.anamorphicLength}
+        intensity={post.anamorphicIntensity}
+        tint={post.anamorphicTint}
+      />
+    ),
+    chromaticAberration: <ChromaticAberration ref={aberrationRef} />,
+    // Tone mapping, grade and LUT
+    colorGrading: <ColorGradingShader />,
+    vignette: <Vignette ref={vignetteRef} />,
+    grain: <Noise ref={grainRef} />,
+  };
+
+  return chain.map((id) => (
+    <React.Fragment key={id}>{effects[id]}</React.Fragment>
+  ));
+}
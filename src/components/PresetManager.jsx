@@ -0,0 +1,156 @@
+import { useEffect, useRef, useState } from "react";
+import { button, levaStore, useControls } from "leva";
+import {
+  PRESET_GROUPS,
+  createPresetDocument,
+  decodePresetHash,
+  encodePresetHash,
+} from "../utils/presets";
+import {
+  deletePreset,
+  exportPresetFile,
+  importPresetFile,
+  listPresetNames,
+  loadPreset,
+  savePreset,
+} from "../utils/presetStorage";
+
+// Leva entries that hold no value of their own
+const NON_VALUE_INPUTS = ["BUTTON", "BUTTON_GROUP", "MONITOR", "FOLDER"];
+
+// Read every preset group out of the global Leva store
+function captureGroups() {
+  const groups = {};
+  Object.entries(levaStore.getData()).forEach(([path, input]) => {
+    if (NON_VALUE_INPUTS.includes(input.type)) return;
+    const group = PRESET_GROUPS.find((name) => path.startsWith(`${name}.`));
+    if (!group) return;
+    groups[group] = groups[group] || {};
+    groups[group][path.slice(group.length + 1)] = input.value;
+  });
+  return groups;
+}
+
+function toLevaPaths(doc) {
+  const values = {};
+  Object.entries(doc.groups).forEach(([group, controls]) => {
+    Object.entries(controls).forEach(([key, value]) => {
+      values[`${group}.${key}`] = value;
+    });
+  });
+  return values;
+}
+
+// Groups register with Leva from effects (some inside the Canvas), so apply
+// whatever exists now and keep applying as the rest register.
+// Returns a function that stops waiting.
+function applyPreset(doc) {
+  const pending = toLevaPaths(doc);
+  const flush = () => {
+    const data = levaStore.getData();
+    const ready = {};
+    Object.keys(pending).forEach((path) => {
+      if (data[path]) {
+        ready[path] = pending[path];
+        delete pending[path];
+      }
+    });
+    if (Object.keys(ready).length > 0) levaStore.set(ready, false);
+    return Object.keys(pending).length === 0;
+  };
+
+  if (flush()) return () => {};
+  const unsubscribe = levaStore.useStore.subscribe(() => {
+    if (flush()) unsubscribe();
+  });
+  return unsubscribe;
+}
+
+export default function PresetManager() {
+  const [presetNames, setPresetNames] = useState(() => listPresetNames());
+  const cancelApplyRef = useRef(() => {});
+
+  const apply = (doc) => {
+    cancelApplyRef.current();
+    cancelApplyRef.current = applyPreset(doc);
+  };
+
+  const currentDocument = (name) =>
+    createPresetDocument(captureGroups(), name || "Untitled");
+
+  useControls(
+    "Presets",
+    () => ({
+      presetName: { value: "My Preset", label: "Name" },
+      ...(presetNames.length > 0 && {
+        savedPreset: {
+          options: presetNames,
+          value: presetNames[0],
+          label: "Saved",
+        },
+      }),
+      Save: button((get) => {
+        savePreset(currentDocument(get("Presets.presetName")));
+        setPresetNames(listPresetNames());
+      }),
+      Load: button((get) => {
+        try {
+          const doc = loadPreset(get("Presets.savedPreset"));
+          if (doc) apply(doc);
+        } catch (e) {
+          console.warn(`Preset load failed: ${e.message}`);
+        }
+      }),
+      Delete: button((get) => {
+        deletePreset(get("Presets.savedPreset"));
+        setPresetNames(listPresetNames());
+      }),
+      "Export File": button((get) => {
+        exportPresetFile(currentDocument(get("Presets.presetName")));
+      }),
+      "Import File": button(() => {
+        importPresetFile()
+          .then((doc) => doc && apply(doc))
+          .catch((e) => console.warn(`Preset import failed: ${e.message}`));
+      }),
+      "Copy Share Link": button((get) => {
+        const doc = currentDocument(get("Presets.presetName"));
+        const { origin, pathname, search } = window.location;
+        const url = `${origin}${pathname}${search}${encodePresetHash(doc)}`;
+        window.history.replaceState(null, "", url);
+        // Without clipboard access, show the link so it can be copied by hand
+        const showLink = () => window.prompt("Share link", url);
+        if (!navigator.clipboard) {
+          showLink();
+          return;
+        }
+        navigator.clipboard.writeText(url).catch((e) => {
+          console.warn(`Copying share link failed: ${e.message}`);
+          showLink();
+        });
+      }),
+    }),
+    { collapsed: true },
+    [presetNames]
+  );
+
+  // Shared links carry the preset in the URL hash
+  useEffect(() => {
+    const applyFromHash = () => {
+      try {
+        const doc = decodePresetHash(window.location.hash);
+        if (doc) apply(doc);
+      } catch (e) {
+        console.warn(`Ignoring preset in URL: ${e.message}`);
+      }
+    };
+    applyFromHash();
+    window.addEventListener("hashchange", applyFromHash);
+    return () => {
+      window.removeEventListener("hashchange", applyFromHash);
+      cancelApplyRef.current();
+    };
+  }, []);
+
+  return null;
+}
@@ -0,0 +1,173 @@
+import { useEffect, useRef } from "react";
+import { useThree } from "@react-three/fiber";
+import { useSettings } from "../settings/SettingsContext";
+import { button, monitor } from "../settings/schema";
+import {
+  createPngSequenceWriter,
+  createVideoWriter,
+  downloadBlob,
+  planRecording,
+} from "../utils/recording";
+import { createSimulationState } from "../utils/simulation";
+
+const nextFrame = () =>
+  new Promise((resolve) => requestAnimationFrame(() => resolve()));
+
+// Offline recorder. Takes over the render loop (frameloop "never") and
+// advances the scene with a fixed timestep, so every useFrame sees the same
+// delta whatever the real frame rate, and renders each frame at the chosen
+// resolution into a PNG sequence or a WebM. `loopDuration` is the time one
+// full tunnel cycle takes at the current speed, for exact loops.
+// `simulation` is Scene's simulation state ref, restarted for every
+// recording so Start and End are times from the beginning and the same
+// settings always give the same frames; `recording` is set while capturing,
+// which keeps live input and the audio out of the frames.
+export default function Recorder({
+  loopDuration = 0,
+  simulation = null,
+  recording = null,
+}) {
+  const { gl, advance, setFrameloop, setSize, setDpr, get } = useThree();
+  const statusRef = useRef("Idle");
+  const cancelRef = useRef(null);
+  const loopDurationRef = useRef(loopDuration);
+  loopDurationRef.current = loopDuration;
+
+  const record = async (settings) => {
+    if (cancelRef.current) return;
+    let cancelled = false;
+    cancelRef.current = () => (cancelled = true);
+
+    const previous = get();
+    const previousSize = { ...previous.size };
+    const previousDpr = previous.viewport.dpr;
+    const previousFrameloop = previous.frameloop;
+    let writer = null;
+
+    try {
+      const loop = settings.exactLoop ? loopDurationRef.current : 0;
+      if (settings.exactLoop && !(loop > 0)) {
+        throw new Error(
+          "Exact loop needs the tunnel moving, without procedural chunks"
+        );
+      }
+      const { preroll, frames, step } = planRecording({
+        fps: settings.fps,
+        start: settings.start,
+        end: settings.end,
+        loopDuration: loop,
+      });
+
+      setFrameloop("never");
+      setDpr(1);
+      setSize(settings.width, settings.height, false);
+      // Let the camera, composer and effects pick up the new size
+      await nextFrame();
+      await nextFrame();
+
+      writer =
+        settings.format === "webm"
+          ? await createVideoWriter(gl.domElement, { fps: settings.fps })
+          : createPngSequenceWriter(gl.domElement);
+
+      // Replay from the start, so the pre-roll lands exactly on Start
+      if (simulation) simulation.current = createSimulationState();
+      if (recording) recording.current = true;
+
+      // The clock restarts at 0 with frameloop "never"; every advance moves
+      // it (and every useFrame delta) by exactly one step
+      let time = 0;
+      for (let i = 0; i < preroll && !cancelled; i++) {
+        time += step;
+        advance(time);
+        if (i % 30 === 0) {
+          statusRef.current = `Pre-roll ${i}/${preroll}`;
+          await nextFrame();
+        }
+      }
+      for (let i = 0; i < frames && !cancelled; i++) {
+        time += step;
+        advance(time);
+        await writer.addFrame(i);
+        statusRef.current = `Frame ${i + 1}/${frames}`;
+      }
+
+      if (cancelled) {
+        writer.cancel();
+        statusRef.current = "Cancelled";
+      } else {
+        statusRef.current = "Encoding...";
+        const blob = await writer.finish();
+        const extension = settings.format === "webm" ? "webm" : "zip";
+        downloadBlob(
+          blob,
+          `tunnel-${settings.width}x${settings.height}.${extension}`
+        );
+        statusRef.current = `Done (${frames} frames)`;
+      }
+    } catch (e) {
+      if (writer) writer.cancel();
+      statusRef.current = `Failed: ${e.message}`;
+      console.warn(`Recording failed: ${e.message}`);
+    } finally {
+      if (recording) recording.current = false;
+      setSize(
+        previousSize.width,
+        previousSize.height,
+        previousSize.updateStyle,
+        previousSize.top,
+        previousSize.left
+      );
+      setDpr(previousDpr);
+      setFrameloop(previousFrameloop);
+      cancelRef.current = null;
+    }
+  };
+
+  useSettings(
+    "Recording",
+    {
+      format: {
+        value: "png",
+        options: { "PNG sequence (zip)": "png", WebM: "webm" },
+        label: "Format",
+      },
+      width: { value: 1920, min: 16, max: 7680, step: 2, label: "Width" },
+      height: { value: 1080, min: 16, max: 4320, step: 2, label: "Height" },
+      fps: { value: 30, options: [24, 25, 30, 50, 60], label: "FPS" },
+      start: { value: 1, min: 0, max: 600, step: 0.1, label: "Start (s)" },
+      exactLoop: {
+        value: false,
+        label: "Exact Loop",
+        hint: "Record exactly one tunnel cycle from the start time",
+      },
+      end: {
+        value: 6,
+        min: 0,
+        max: 600,
+        step: 0.1,
+        label: "End (s)",
+        render: (get) => !get("Recording.exactLoop"),
+      },
+      status: monitor(statusRef, { graph: false, interval: 200 }),
+      Record: button((get) =>
+        record({
+          format: get("Recording.format"),
+          width: get("Recording.width"),
+          height: get("Recording.height"),
+          fps: get("Recording.fps"),
+          start: get("Recording.start"),
+          end: Math.max(get("Recording.start"), get("Recording.end")),
+          exactLoop: get("Recording.exactLoop"),
+        })
+      ),
+      Cancel: button(() => cancelRef.current && cancelRef.current()),
+    },
+    { collapsed: true }
+  );
+
+  // Stop an unfinished recording if the recorder goes away
+  useEffect(() => () => cancelRef.current && cancelRef.current(), []);
+
+  return null;
+}
@@ -1,12 +1,191 @@
 import React, { useRef, useMemo, useEffect } from "react";
 import * as THREE from "three";
-import { createNoise2D } from "simplex-noise";
+import {
+  generateParticleLayout,
+  gatherParticles,
+  splitLayoutByGeometry,
+  writeParticleColors,
+  writeParticleTransforms,
+} from "../utils/particleLayout";
+import { clusterLayout } from "../utils/particleClusters";
+import { OCCLUSION_LAYER } from "../utils/layers";
+import { bendMatricesAlongPath } from "../utils/tunnelPath";
+import { applyChunkTemplate } from "../utils/tunnelChunks";
+import { applyParticleAnimation } from "../shaders/particleAnimation";
+
+// Per-instance attributes besides the matrices, with their item sizes
+const INSTANCE_ATTRIBUTES = [
+  ["color", 3],
+  ["aPhase", 1],
+  ["aSpin", 3],
+  ["aDrift", 3],
+];
+
+// Breathing moves a particle up to its drift length (at most 1) times the
+// Breathe Amount control (at most 2) off its rest position, so a cluster's
+// bounds grow by that much to keep them from being culled while in view
+const BOUNDS_PADDING = 2;
+
+// Instance buffers are rounded up to a power of two, so a batch whose share
+// of the particles shifts a little keeps its mesh
+const getCapacity = (count) =>
+  Math.max(16, 2 ** Math.ceil(Math.log2(Math.max(count, 1))));
+
+// A geometry from the shared library, wrapped so this mesh can add its own
+// instance attributes. The vertex buffers themselves are shared.
+function createInstancedGeometry(source, capacity) {
+  const geo = new THREE.BufferGeometry();
+  geo.setIndex(source.index);
+  Object.entries(source.attributes).forEach(([name, attribute]) =>
+    geo.setAttribute(name, attribute)
+  );
+  INSTANCE_ATTRIBUTES.forEach(([name, itemSize]) => {
+    const array = new Float32Array(capacity * itemSize);
+    geo.setAttribute(name, new THREE.InstancedBufferAttribute(array, itemSize));
+  });
+  return geo;
+}
+
+// Upload only the part of an instance buffer the first `count` instances use
+function markUpdated(attribute, count) {
+  attribute.clearUpdateRanges();
+  attribute.addUpdateRange(0, count * attribute.itemSize);
+  attribute.needsUpdate = true;
+}
+
+// The particles `indices` of a layout drawn with one geometry (one cluster
+// of them with clusters on): a lit mesh plus its occlusion copy. Each stage
+// of the layout (see utils/particleLayout) fills its own buffers, so a
+// transform change rewrites only the matrices and drifts and an appearance
+// change only the colors. Registered in `registry` (see
+// useParticleClusters), which sets how many of them are drawn each frame.
+function ParticleBatch({
+  geometry,
+  capacity,
+  layout,
+  indices,
+  transform,
+  appearance,
+  materials,
+  castShadow,
+  receiveShadow,
+  registry,
+}) {
+  const meshRef = useRef();
+  const occlusionRef = useRef();
+
+  const instancedGeometry = useMemo(
+    () => createInstancedGeometry(geometry, capacity),
+    [geometry, capacity]
+  );
+  useEffect(() => () => instancedGeometry.dispose(), [instancedGeometry]);
+
+  // The effects below also rerun when the mesh or geometry is recreated,
+  // since that starts the buffers out empty again
+
+  // Layout: the animation attributes, which nothing else changes
+  useEffect(() => {
+    [
+      ["aPhase", "phases"],
+      ["aSpin", "spins"],
+    ].forEach(([name, key]) => {
+      const attribute = instancedGeometry.getAttribute(name);
+      gatherParticles(
+        layout[key],
+        attribute.itemSize,
+        indices,
+        attribute.array
+      );
+      markUpdated(attribute, indices.length);
+    });
+  }, [layout, indices, instancedGeometry]);
+
+  // Transform: matrices, drifts and the bounds that follow from them
+  useEffect(() => {
+    const mesh = meshRef.current;
+    if (!mesh) return;
+    const drift = instancedGeometry.getAttribute("aDrift");
+    writeParticleTransforms(
+      layout,
+      indices,
+      transform,
+      mesh.instanceMatrix.array,
+      drift.array
+    );
+    if (transform.path) {
+      bendMatricesAlongPath(
+        mesh.instanceMatrix.array,
+        indices.length,
+        transform.path,
+        transform.pathCenter
+      );
+    }
+    markUpdated(mesh.instanceMatrix, indices.length);
+    markUpdated(drift, indices.length);
+
+    // Bounds of the whole batch, kept when LOD draws fewer instances
+    mesh.count = indices.length;
+    mesh.computeBoundingSphere();
+    mesh.boundingSphere.radius += BOUNDS_PADDING;
+
+    // The occlusion copy shares the instance matrices and bounds with the
+    // lit mesh
+    if (occlusionRef.current) {
+      occlusionRef.current.instanceMatrix = mesh.instanceMatrix;
+      occlusionRef.current.count = indices.length;
+      occlusionRef.current.boundingSphere = mesh.boundingSphere;
+    }
+  }, [layout, indices, instancedGeometry, transform]);
+
+  // Appearance: colors only
+  useEffect(() => {
+    const color = instancedGeometry.getAttribute("color");
+    writeParticleColors(layout, indices, appearance, color.array);
+    markUpdated(color, indices.length);
+  }, [layout, indices, instancedGeometry, appearance]);
+
+  useEffect(() => {
+    if (!registry || !meshRef.current) return;
+    const entry = {
+      mesh: meshRef.current,
+      occlusion: occlusionRef.current,
+      total: indices.length,
+    };
+    registry.add(entry);
+    return () => registry.delete(entry);
+  }, [indices, instancedGeometry, registry]);
+
+  return (
+    <>
+      <instancedMesh
+        key={capacity}
+        ref={meshRef}
+        args={[instancedGeometry, materials.lit, capacity]}
+        customDepthMaterial={materials.depth}
+        castShadow={castShadow}
+        receiveShadow={receiveShadow}
+      />
+      <instancedMesh
+        key={`occlusion-${capacity}`}
+        ref={occlusionRef}
+        args={[instancedGeometry, materials.occlusion, capacity]}
+        layers={OCCLUSION_LAYER}
+      />
+    </>
+  );
+}
 
 export default function TunnelParticles({
+  seed = 0,
   count = 2500,
   boxSize = 10,
   boxDepth = 30,
   boxThickness = 2,
+  crossSection = "square",
+  polygonSides = 6,
+  ellipseAspect = 1.5,
+  path = null, // Optional tunnel path (see utils/tunnelPath) to bend the section onto
+  pathCenter = 0, // Distance along the path of the section's centre
   visible = true,
   baseSize = 0.35,
   sizeRandomness = 0.5,
@@ -21,174 +200,180 @@ export default function TunnelParticles({
   useParticleNoise = true,
   particleNoiseScale = 0.1,
   particleNoiseThreshold = 0.0,
+  // Most particles the controls can ask for; buffers are sized for it so
+  // changing the count doesn't reallocate them
+  maxCount = count,
+  animation = null, // Shared uniforms from createParticleAnimationUniforms()
+  // Shared geometry library from createParticleGeometryLibrary(), at unit
+  // size; cubes without one
+  geometries = null,
+  chunk = null, // Procedural chunk from getChunk() to reshape the section for
+  castShadow = true,
+  receiveShadow = true,
+  // { cellSize, registry } from useParticleClusters to split the section
+  // into culled clusters with distance LOD; one cluster per geometry without
+  clusters = null,
 }) {
-  const meshRef = useRef();
-  const geomRef = useRef();
-  const tempObject = useMemo(() => new THREE.Object3D(), []);
-  const tempColor = useMemo(() => new THREE.Color(), []);
-
-  const noise2D = useMemo(() => createNoise2D(), []);
-
-  const particleData = useMemo(() => {
-    const matrices = [];
-    const colors = [];
-    const halfBoxSize = boxSize / 2;
-    const halfBoxThickness = boxThickness / 2;
-    const initialColor = new THREE.Color(baseColor);
-    let createdParticles = 0;
-
-    for (let i = 0; i < count; i++) {
-      const face = Math.floor(Math.random() * 4);
-      let x, y, z;
-      let noiseCoordX, noiseCoordY;
-
-      if (face === 0) {
-        x = THREE.MathUtils.randFloatSpread(boxSize);
-        y =
-          halfBoxSize +
-          THREE.MathUtils.randFloat(-halfBoxThickness, halfBoxThickness);
-        noiseCoordX = x;
-        noiseCoordY = z;
-      } else if (face === 1) {
-        x = THREE.MathUtils.randFloatSpread(boxSize);
-        y =
-          -halfBoxSize +
-          THREE.MathUtils.randFloat(-halfBoxThickness, halfBoxThickness);
-        noiseCoordX = x;
-        noiseCoordY = z;
-      } else if (face === 2) {
-        x =
-          -halfBoxSize +
-          THREE.MathUtils.randFloat(-halfBoxThickness, halfBoxThickness);
-        y = THREE.MathUtils.randFloatSpread(boxSize);
-        noiseCoordX = y;
-        noiseCoordY = z;
-      } else {
-        x =
-          halfBoxSize +
-          THREE.MathUtils.randFloat(-halfBoxThickness, halfBoxThickness);
-        y = THREE.MathUtils.randFloatSpread(boxSize);
-        noiseCoordX = y;
-        noiseCoordY = z;
-      }
-      z = THREE.MathUtils.randFloatSpread(boxDepth);
-
-      if (useParticleNoise) {
-        let primaryAxisOnFace, depthAxis;
-        if (face === 0 || face === 1) {
-          primaryAxisOnFace = x;
-        } else {
-          primaryAxisOnFace = y;
-        }
-        depthAxis = z;
-        const noiseValue = noise2D(
-          primaryAxisOnFace * particleNoiseScale,
-          depthAxis * particleNoiseScale
-        );
-        if (noiseValue < particleNoiseThreshold) {
-          continue;
-        }
-      }
-
-      tempObject.position.set(x, y, z);
-
-      const scaleFactor =
-        1 - sizeRandomness + Math.random() * 2 * sizeRandomness;
-      tempObject.scale.set(scaleFactor, scaleFactor, scaleFactor);
-
-      tempObject.rotation.set(
-        baseRotationX +
-          (Math.random() - 0.5) * 2 * rotationRandomnessX * Math.PI,
-        baseRotationY +
-          (Math.random() - 0.5) * 2 * rotationRandomnessY * Math.PI,
-        baseRotationZ +
-          (Math.random() - 0.5) * 2 * rotationRandomnessZ * Math.PI
-      );
-      tempObject.updateMatrix();
-      matrices.push(tempObject.matrix.clone());
-
-      tempColor.copy(initialColor);
-      if (colorRandomness > 0) {
-        const randomFactor = (Math.random() - 0.5) * 2 * colorRandomness;
-        tempColor.offsetHSL(
-          randomFactor * 0.3,
-          randomFactor * 0.3,
-          randomFactor * 0.3
-        );
-      }
-      colors.push(tempColor.r, tempColor.g, tempColor.b);
-      createdParticles++;
+  // Lit material, plus the shadow depth and god rays silhouette materials.
+  // All three get the same animation patch so they move together.
+  const materials = useMemo(() => {
+    const lit = new THREE.MeshStandardMaterial({
+      roughness: 1,
+      metalness: 0,
+      vertexColors: true,
+    });
+    const depth = new THREE.MeshDepthMaterial({
+      depthPacking: THREE.RGBADepthPacking,
+    });
+    // Black silhouettes for the god rays occlusion pass. Alpha is a light
+    // channel there too, so write zero to every channel, unblended.
+    const occlusion = new THREE.MeshBasicMaterial({
+      color: "black",
+      opacity: 0,
+      blending: THREE.NoBlending,
+    });
+    if (animation) {
+      applyParticleAnimation(lit, animation, { emissive: true });
+      applyParticleAnimation(depth, animation);
+      applyParticleAnimation(occlusion, animation);
     }
-    return { matrices, colors, actualCount: createdParticles };
+    return { lit, depth, occlusion };
+  }, [animation]);
+
+  useEffect(
+    () => () => {
+      materials.lit.dispose();
+      materials.depth.dispose();
+      materials.occlusion.dispose();
+    },
+    [materials]
+  );
+
+  // Geometries are unit sized and scaled by the instance matrices, so the
+  // particle size is a transform, not a new geometry
+  const cubeGeometry = useMemo(
+    () => (geometries ? null : new THREE.BoxGeometry(1, 1, 1)),
+    [geometries]
+  );
+  useEffect(() => () => cubeGeometry && cubeGeometry.dispose(), [cubeGeometry]);
+  const library = geometries || [{ geometry: cubeGeometry, weight: 1 }];
+  const geometryWeights = library.map(({ weight }) => weight);
+
+  // Layout stage (see utils/particleLayout): where the particles are, and
+  // only the controls that move, add or remove them
+  const layout = useMemo(() => {
+    const generated = generateParticleLayout({
+      seed,
+      count,
+      boxSize,
+      boxDepth,
+      boxThickness,
+      crossSection,
+      polygonSides,
+      ellipseAspect,
+      useParticleNoise,
+      particleNoiseScale,
+      particleNoiseThreshold,
+      geometryWeights,
+    });
+    return chunk
+      ? applyChunkTemplate(generated, chunk, {
+          boxSize,
+          boxDepth,
+          boxThickness,
+          crossSection,
+          ellipseAspect,
+          geometryWeights,
+        })
+      : generated;
   }, [
+    seed,
     count,
     boxSize,
     boxDepth,
     boxThickness,
-    baseSize,
-    sizeRandomness,
-    baseColor,
-    colorRandomness,
-    baseRotationX,
-    baseRotationY,
-    baseRotationZ,
-    rotationRandomnessX,
-    rotationRandomnessY,
-    rotationRandomnessZ,
-    tempObject,
-    tempColor,
-    noise2D,
+    crossSection,
+    polygonSides,
+    ellipseAspect,
     useParticleNoise,
     particleNoiseScale,
     particleNoiseThreshold,
+    geometryWeights.join(),
+    chunk,
   ]);
 
-  useEffect(() => {
-    if (!meshRef.current || !geomRef.current) return;
-
-    for (let i = 0; i < particleData.matrices.length; i++) {
-      meshRef.current.setMatrixAt(i, particleData.matrices[i]);
-    }
-    meshRef.current.instanceMatrix.needsUpdate = true;
-
-    const colorAttribute = geomRef.current.getAttribute("color");
-    if (colorAttribute) {
-      const numColorValuesToWrite = Math.min(
-        particleData.actualCount,
-        particleData.colors.length / 3
-      );
-      for (let i = 0; i < numColorValuesToWrite; i++) {
-        tempColor.fromArray(particleData.colors, i * 3);
-        colorAttribute.setXYZ(i, tempColor.r, tempColor.g, tempColor.b);
-      }
-      colorAttribute.needsUpdate = true;
-    }
-
-    meshRef.current.count = particleData.actualCount;
-  }, [particleData, tempColor]);
+  // Each geometry's particles, split into clusters
+  const cellSize = clusters ? clusters.cellSize : 0;
+  const batches = useMemo(
+    () =>
+      splitLayoutByGeometry(layout, library.length).flatMap((indices, i) =>
+        (cellSize
+          ? clusterLayout(layout, indices, { cellSize, seed: seed + i })
+          : [{ key: "all", indices }]
+        ).map((batch) => ({ geometryIndex: i, ...batch }))
+      ),
+    [layout, library.length, cellSize, seed]
+  );
 
-  const particleGeometry = useMemo(() => {
-    const geo = new THREE.BoxGeometry(baseSize, baseSize, baseSize);
-    const colorsArray = new Float32Array(count * 3);
-    const colorAttrib = new THREE.InstancedBufferAttribute(colorsArray, 3);
-    geo.setAttribute("color", colorAttrib);
-    return geo;
-  }, [baseSize, count]);
+  // Transform and appearance stages, rerun by the batches on their own
+  const transform = useMemo(
+    () => ({
+      baseSize,
+      sizeRandomness,
+      baseRotationX,
+      baseRotationY,
+      baseRotationZ,
+      rotationRandomnessX,
+      rotationRandomnessY,
+      rotationRandomnessZ,
+      path,
+      pathCenter,
+    }),
+    [
+      baseSize,
+      sizeRandomness,
+      baseRotationX,
+      baseRotationY,
+      baseRotationZ,
+      rotationRandomnessX,
+      rotationRandomnessY,
+      rotationRandomnessZ,
+      path,
+      pathCenter,
+    ]
+  );
+  const appearance = useMemo(
+    () => ({ baseColor, colorRandomness }),
+    [baseColor, colorRandomness]
+  );
 
   if (!visible) {
     return null;
   }
 
+  // One instanced mesh per geometry (and cluster). Each is sized for its
+  // share of maxCount, so the count can go up to it without a new mesh.
+  const capacityScale = Math.max(maxCount, count) / Math.max(count, 1);
   return (
-    <instancedMesh
-      key={count}
-      ref={meshRef}
-      args={[null, null, count]}
-      castShadow
-      receiveShadow
-    >
-      <primitive object={particleGeometry} attach="geometry" ref={geomRef} />
-      <meshStandardMaterial roughness={1} metalness={0} vertexColors={true} />
-    </instancedMesh>
+    <>
+      {batches.map(({ geometryIndex, key, indices }) => {
+        const { geometry } = library[geometryIndex];
+        return (
+          <ParticleBatch
+            key={`${geometry.uuid}-${key}`}
+            geometry={geometry}
+            capacity={getCapacity(Math.ceil(indices.length * capacityScale))}
+            layout={layout}
+            indices={indices}
+            transform={transform}
+            appearance={appearance}
+            materials={materials}
+            castShadow={castShadow}
+            receiveShadow={receiveShadow}
+            registry={clusters ? clusters.registry : null}
+          />
+        );
+      })}
+    </>
   );
 }
@@ -0,0 +1,280 @@
+import React, { forwardRef, useEffect, useMemo, useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import { useHelper } from "@react-three/drei";
+import * as THREE from "three";
+import { SpotLightHelper } from "three";
+import { useSettings } from "../settings/SettingsContext";
+import { OCCLUSION_LAYER } from "../utils/layers";
+import { getLightTarget } from "../utils/simulation";
+import { fitSpotShadowCamera } from "../utils/shadows";
+
+// Most lights the volumetric effects accumulate in one pass. The god rays
+// occlusion buffer gives each light one RGBA channel, hence four.
+export const MAX_VOLUMETRIC_LIGHTS = 4;
+
+// Leva group for each light. The first keeps the original group name so
+// existing presets still address it.
+export function getSpotlightGroupName(index) {
+  return index === 0 ? "Spotlight Controls" : `Spotlight ${index + 1}`;
+}
+
+// Defaults per slot: the main beam, then a row of accent skylights
+const LIGHT_DEFAULTS = [
+  {
+    lightColor: "#ffffff",
+    intensity: 850,
+    lightX: -3.5,
+    lightY: 15.5,
+    lightZ: 6,
+    targetX: -1.0,
+    targetY: -2.0,
+    targetZ: 3.5,
+  },
+  {
+    lightColor: "#ff9a4d",
+    intensity: 500,
+    lightX: 3.5,
+    lightY: 15.5,
+    lightZ: 22,
+    targetX: 1.0,
+    targetY: -2.0,
+    targetZ: 19.5,
+  },
+  {
+    lightColor: "#4d8cff",
+    intensity: 500,
+    lightX: -3.5,
+    lightY: 15.5,
+    lightZ: 38,
+    targetX: -1.0,
+    targetY: -2.0,
+    targetZ: 35.5,
+  },
+  {
+    lightColor: "#ff4dd2",
+    intensity: 500,
+    lightX: 3.5,
+    lightY: 15.5,
+    lightZ: 54,
+    targetX: 1.0,
+    targetY: -2.0,
+    targetZ: 51.5,
+  },
+];
+
+// Writes this light's brightness into its own channel of the occlusion
+// buffer (R, G, B or A), so the god rays can blur every light separately.
+// NoBlending so the alpha channel is written as-is.
+function createEmitterMaterial(index) {
+  const channel = new THREE.Vector4();
+  channel.setComponent(index, 1);
+  return new THREE.ShaderMaterial({
+    uniforms: {
+      uChannel: { value: channel },
+      uBrightness: { value: 1 },
+    },
+    vertexShader: /* glsl */ `
+      void main() {
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: /* glsl */ `
+      uniform vec4 uChannel;
+      uniform float uBrightness;
+      void main() {
+        gl_FragColor = uChannel * uBrightness;
+      }
+    `,
+    blending: THREE.NoBlending,
+  });
+}
+
+// A spotlight with its target, visible emitter sphere, occlusion-pass emitter
+// and its own Leva folder. The forwarded ref is the THREE.SpotLight, which the
+// volumetric effects read position, direction, cone and color from.
+// `simulation` is the scene's simulation state ref, read for the cursor when
+// the light follows it. `shadows` are the "Shadows" settings (see
+// hooks/useShadowSettings); an unlimited light's shadow camera reaches
+// `fallbackShadowFar`.
+const VolumetricSpotLight = forwardRef(function VolumetricSpotLight(
+  {
+    index = 0,
+    audio,
+    shadowMapSize = 512,
+    shadows = null,
+    fallbackShadowFar = 100,
+    simulation = null,
+    navigation = null,
+  },
+  ref
+) {
+  const lightRef = useRef();
+  const targetRef = useRef(new THREE.Object3D());
+  const defaults = LIGHT_DEFAULTS[index % LIGHT_DEFAULTS.length];
+
+  // Control spotlight properties with leva
+  const {
+    lightColor,
+    intensity,
+    distance,
+    angle,
+    penumbra,
+    decay,
+    lightX,
+    lightY,
+    lightZ,
+    targetX,
+    targetY,
+    targetZ,
+    castShadowVal,
+    helperColor,
+    showHelper,
+  } = useSettings(getSpotlightGroupName(index), {
+    lightColor: defaults.lightColor,
+    intensity: { value: defaults.intensity, min: 0, max: 1000, step: 10 },
+    distance: { value: 37, min: 0, max: 200, step: 1 },
+    angle: { value: 0.7, min: 0, max: Math.PI / 2, step: 0.01 },
+    penumbra: { value: 0.31, min: 0, max: 1, step: 0.01 },
+    decay: { value: 1, min: 0, max: 5, step: 0.01 },
+    lightX: { value: defaults.lightX, min: -50, max: 50, step: 0.5 },
+    lightY: { value: defaults.lightY, min: -50, max: 50, step: 0.5 },
+    lightZ: { value: defaults.lightZ, min: -50, max: 80, step: 0.5 },
+    targetX: { value: defaults.targetX, min: -50, max: 50, step: 0.5 },
+    targetY: { value: defaults.targetY, min: -50, max: 50, step: 0.5 },
+    targetZ: { value: defaults.targetZ, min: -50, max: 80, step: 0.5 },
+    castShadowVal: true,
+    showHelper: false,
+    helperColor: "#ff0000",
+  });
+
+  const emitterMaterial = useMemo(() => createEmitterMaterial(index), [index]);
+  useEffect(() => () => emitterMaterial.dispose(), [emitterMaterial]);
+
+  // Set up scene and update light/target positions based on controls
+  useEffect(() => {
+    if (targetRef.current) {
+      targetRef.current.position.set(targetX, targetY, targetZ);
+    }
+    if (lightRef.current) {
+      lightRef.current.position.set(lightX, lightY, lightZ);
+      // The target object itself needs to be updated if its position changes via controls
+      // and it's a distinct object in the scene (which it is, via <primitive />)
+      if (lightRef.current.target) {
+        lightRef.current.target.position.set(targetX, targetY, targetZ);
+      }
+    }
+  }, [lightX, lightY, lightZ, targetX, targetY, targetZ]); // Only re-run if these specific positions change
+
+  // three only allocates the shadow map once, so drop it when the size changes
+  useEffect(() => {
+    const light = lightRef.current;
+    if (light && light.shadow.map) {
+      light.shadow.map.dispose();
+      light.shadow.map = null;
+    }
+  }, [shadowMapSize]);
+
+  // Shadow camera: fitted to the cone, or set by hand
+  const autoFrustum = !shadows || shadows.autoFrustum;
+  const { near, far, focus } = autoFrustum
+    ? fitSpotShadowCamera({
+        angle,
+        penumbra,
+        distance,
+        fallbackFar: fallbackShadowFar,
+      })
+    : {
+        near: shadows.shadowNear,
+        far: shadows.shadowFar,
+        focus: shadows.shadowFocus,
+      };
+  useEffect(() => {
+    const light = lightRef.current;
+    if (!light) return;
+    // SpotLightShadow takes the far plane from the distance (when there is
+    // one) and the fov from the angle and focus every frame
+    light.shadow.focus = focus;
+    light.shadow.camera.near = near;
+    light.shadow.camera.far = far;
+    light.shadow.camera.updateProjectionMatrix();
+  }, [near, far, focus]);
+
+  // Add SpotLightHelper using useHelper from drei
+  // It will be added/removed based on the 'showHelper' control
+  // The helper uses the lightRef and updates automatically when the light's properties change.
+  useHelper(showHelper && lightRef, SpotLightHelper, helperColor);
+
+  useFrame(() => {
+    // Audio can push the intensity around the control's value every frame
+    const level = intensity * (audio ? audio.spotlightIntensity : 1);
+    // Emitter brightness follows the light, like the visible sphere's color
+    emitterMaterial.uniforms.uBrightness.value = level / 250;
+    if (lightRef.current) {
+      lightRef.current.intensity = level;
+    }
+    // "Light follows cursor" swings the target across the tunnel, inside its walls
+    const base = { x: targetX, y: targetY, z: targetZ };
+    const { x, y, z } =
+      simulation && navigation && navigation.lightFollowsCursor
+        ? getLightTarget(simulation.current, base, navigation.bounds)
+        : base;
+    targetRef.current.position.set(x, y, z);
+    // Ensure the spotlight's target's world matrix is updated for the helper
+    if (lightRef.current && lightRef.current.target) {
+      lightRef.current.target.updateMatrixWorld();
+    }
+  });
+
+  const setLightRef = (light) => {
+    lightRef.current = light;
+    if (typeof ref === "function") ref(light);
+    else if (ref) ref.current = light;
+  };
+
+  return (
+    <>
+      {/* Light source controlled by Leva */}
+      <spotLight
+        ref={setLightRef}
+        castShadow={castShadowVal}
+        color={lightColor}
+        intensity={intensity}
+        target={targetRef.current}
+        angle={angle}
+        penumbra={penumbra}
+        distance={distance}
+        decay={decay}
+        shadow-mapSize={[shadowMapSize, shadowMapSize]}
+        shadow-bias={shadows ? shadows.bias : 0}
+        shadow-normalBias={shadows ? shadows.normalBias : 0}
+        shadow-radius={shadows ? shadows.radius : 1}
+        shadow-blurSamples={shadows ? shadows.blurSamples : 8}
+      />
+
+      {/* Light mesh (visual representation); its color reflects the light color */}
+      <mesh position={[lightX, lightY, lightZ]}>
+        <sphereGeometry args={[0.5, 16, 16]} />
+        <meshBasicMaterial
+          color={new THREE.Color(lightColor).multiplyScalar(intensity / 250)}
+        />
+      </mesh>
+
+      {/* The same sphere in the occlusion pass, emitting into this light's channel */}
+      <mesh
+        position={[lightX, lightY, lightZ]}
+        layers={OCCLUSION_LAYER}
+        material={emitterMaterial}
+      >
+        <sphereGeometry args={[0.5, 16, 16]} />
+      </mesh>
+
+      {/* Object targeted by light, its position is also controlled by Leva */}
+      <primitive
+        object={targetRef.current}
+        position={[targetX, targetY, targetZ]}
+      />
+    </>
+  );
+});
+
+export default VolumetricSpotLight;
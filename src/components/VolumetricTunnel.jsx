@@ -0,0 +1,129 @@
+import React, { Suspense, useEffect, useRef, useState } from "react";
+import { Canvas, useThree } from "@react-three/fiber";
+import Scene from "../Scene";
+import useQualityGovernor from "../hooks/useQualityGovernor";
+import useShadowSettings from "../hooks/useShadowSettings";
+import { getCanvasShadows } from "../utils/shadows";
+import {
+  SettingsProvider,
+  staticAdapter,
+  useSettingsConfig,
+} from "../settings/SettingsContext";
+
+const containerStyle = { position: "relative", width: "100%", height: "100%" };
+
+const indicatorStyle = {
+  position: "absolute",
+  left: 12,
+  bottom: 12,
+  zIndex: 1,
+  padding: "2px 8px",
+  borderRadius: 4,
+  background: "rgba(0, 0, 0, 0.5)",
+  color: "rgba(255, 255, 255, 0.7)",
+  font: "11px/1.6 monospace",
+  pointerEvents: "none",
+};
+
+// How long a lost WebGL context gets to come back by itself before the
+// canvas is replaced
+const CONTEXT_RESTORE_TIMEOUT = 3000;
+
+// Recovers from a lost WebGL context (GPU reset, driver update, too many
+// contexts, a sleeping display). Three.js can't rebuild the composer's
+// render targets or the scene's generated textures in place, so once the
+// context is restored, or hasn't been for a while, the canvas is remounted
+// with a fresh one.
+function ContextLossRecovery({ onRecover }) {
+  const gl = useThree((state) => state.gl);
+  useEffect(() => {
+    const canvas = gl.domElement;
+    let timeout = null;
+    const onLost = (event) => {
+      // Without this the browser never restores the context
+      event.preventDefault();
+      console.warn("WebGL context lost, recovering");
+      timeout = setTimeout(onRecover, CONTEXT_RESTORE_TIMEOUT);
+    };
+    const onRestored = () => {
+      clearTimeout(timeout);
+      onRecover();
+    };
+    canvas.addEventListener("webglcontextlost", onLost);
+    canvas.addEventListener("webglcontextrestored", onRestored);
+    return () => {
+      clearTimeout(timeout);
+      canvas.removeEventListener("webglcontextlost", onLost);
+      canvas.removeEventListener("webglcontextrestored", onRestored);
+    };
+  }, [gl, onRecover]);
+  return null;
+}
+
+function TunnelCanvas({ className, style }) {
+  const config = useSettingsConfig();
+  // Set by the Recorder while it captures
+  const recording = useRef(false);
+  // Steps quality down on slow machines (and back up when there's headroom)
+  const { tier, pinned, showIndicator } = useQualityGovernor(recording);
+  const shadows = useShadowSettings();
+  // Bumped to remount the canvas after a lost context
+  const [canvasKey, setCanvasKey] = useState(0);
+  const [recover] = useState(() => () => setCanvasKey((key) => key + 1));
+
+  return (
+    <div className={className} style={{ ...containerStyle, ...style }}>
+      {showIndicator && (
+        <div style={indicatorStyle}>
+          {tier.name}
+          {pinned ? " (pinned)" : ""}
+        </div>
+      )}
+      <Canvas
+        key={canvasKey}
+        shadows={getCanvasShadows(shadows)}
+        gl={{ alpha: true }}
+        dpr={[Math.min(1, tier.maxDpr), tier.maxDpr]}
+      >
+        {config.background && (
+          <color attach="background" args={[config.background]} />
+        )}
+        <ContextLossRecovery onRecover={recover} />
+        <Suspense fallback={null}>
+          <Scene
+            quality={tier}
+            shadows={shadows}
+            recording={recording}
+            path={config.path}
+          />
+        </Suspense>
+      </Canvas>
+    </div>
+  );
+}
+
+// The whole tunnel as one component. `config` (see settings/config.js) sets
+// the light, tunnel, particles, camera, bloom, god rays and the rest; it can
+// change at any time. `overrides` set single controls by key on top of it,
+// with strings converted to each control's type (see settings/overrides.js),
+// e.g. the query of a kiosk URL. `debug` takes a settings adapter, e.g.
+// levaAdapter from the "leva" entry, to tune everything from a panel
+// instead. Switching adapters remounts the scene.
+export default function VolumetricTunnel({
+  config,
+  overrides = null,
+  debug = null,
+  className,
+  style,
+}) {
+  const adapter = debug || staticAdapter;
+  return (
+    <SettingsProvider config={config} overrides={overrides} adapter={adapter}>
+      <TunnelCanvas
+        key={adapter === staticAdapter ? "static" : "debug"}
+        className={className}
+        style={style}
+      />
+    </SettingsProvider>
+  );
+}
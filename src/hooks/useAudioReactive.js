@@ -0,0 +1,209 @@
+import { useEffect, useMemo, useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import { useSettings } from "../settings/SettingsContext";
+import { button, folder } from "../settings/schema";
+import { createAudioInput, pickAudioFile } from "../utils/audioInput";
+import {
+  DEFAULT_BANDS,
+  createBandState,
+  getModulation,
+  measureBands,
+  updateBands,
+} from "../utils/audioBands";
+
+// Parameters the bands can drive. Each one is a multiplier on the control's
+// own value, so a mapping with amount 0 (the default) changes nothing.
+export const AUDIO_TARGETS = {
+  spotlightIntensity: "Spotlight",
+  tunnelSpeed: "Tunnel Speed",
+  bloomIntensity: "Bloom",
+  volumetricIntensity: "God Rays / Cone",
+  particleShimmer: "Shimmer",
+};
+
+const SOURCE_OPTIONS = { None: "none" };
+DEFAULT_BANDS.forEach(({ name }) => {
+  const label = name[0].toUpperCase() + name.slice(1);
+  SOURCE_OPTIONS[label] = name;
+  SOURCE_OPTIONS[`${label} beat`] = `${name}.beat`;
+});
+
+function bandControls({ name, minHz, maxHz, gain }) {
+  return {
+    [`${name}Min`]: {
+      value: minHz,
+      min: 20,
+      max: 20000,
+      step: 10,
+      label: "Min Hz",
+    },
+    [`${name}Max`]: {
+      value: maxHz,
+      min: 20,
+      max: 20000,
+      step: 10,
+      label: "Max Hz",
+    },
+    [`${name}Gain`]: { value: gain, min: 0, max: 4, step: 0.05, label: "Gain" },
+  };
+}
+
+function mappingControls(target, label) {
+  return {
+    [`${target}Source`]: {
+      value: "none",
+      options: SOURCE_OPTIONS,
+      label: `${label} from`,
+    },
+    [`${target}Amount`]: {
+      value: 0,
+      min: -1,
+      max: 4,
+      step: 0.05,
+      label: `${label} amount`,
+    },
+  };
+}
+
+// Audio-reactive mode. Plays a dropped or picked audio file, or listens to
+// the microphone, and returns one shared object of multipliers (see
+// AUDIO_TARGETS) that is updated every frame. Consumers read it in their own
+// useFrame, like the particle animation uniforms. While `recording` (a ref)
+// is set every multiplier reads 1, so a recording never depends on the audio
+// that happens to play while it's captured.
+export default function useAudioReactive(recording = null) {
+  const input = useMemo(() => createAudioInput(), []);
+  const stateRef = useRef(createBandState(DEFAULT_BANDS));
+  const modulation = useMemo(() => {
+    const values = {};
+    Object.keys(AUDIO_TARGETS).forEach((target) => (values[target] = 1));
+    return values;
+  }, []);
+  // Getters rather than a second object, so the switch takes effect on the
+  // first recorded frame whichever useFrame reads it first
+  const multipliers = useMemo(() => {
+    const view = {};
+    Object.keys(AUDIO_TARGETS).forEach((target) => {
+      Object.defineProperty(view, target, {
+        enumerable: true,
+        get: () => (recording && recording.current ? 1 : modulation[target]),
+      });
+    });
+    return view;
+  }, [modulation, recording]);
+
+  const playFile = (file) =>
+    input
+      .playFile(file)
+      .catch((e) => console.warn(`Audio file failed: ${e.message}`));
+
+  const controls = useSettings(
+    "Audio Reactive",
+    {
+      Input: folder({
+        "Load File": button(() => {
+          pickAudioFile().then((file) => file && playFile(file));
+        }),
+        "Use Microphone": button(() => {
+          input
+            .useMicrophone()
+            .catch((e) => console.warn(`Microphone failed: ${e.message}`));
+        }),
+        Stop: button(() => input.stop()),
+      }),
+      Bands: folder(
+        Object.fromEntries(
+          DEFAULT_BANDS.map((band) => [
+            band.name[0].toUpperCase() + band.name.slice(1),
+            folder(bandControls(band)),
+          ])
+        )
+      ),
+      Response: folder({
+        attack: { value: 0.02, min: 0, max: 1, step: 0.01 },
+        release: { value: 0.25, min: 0, max: 2, step: 0.01 },
+        beatThreshold: {
+          value: 1.4,
+          min: 1,
+          max: 4,
+          step: 0.05,
+          label: "Beat Threshold",
+        },
+        beatHold: {
+          value: 0.2,
+          min: 0.05,
+          max: 1,
+          step: 0.01,
+          label: "Beat Hold",
+        },
+      }),
+      Mappings: folder(
+        Object.assign(
+          {},
+          ...Object.entries(AUDIO_TARGETS).map(([target, label]) =>
+            mappingControls(target, label)
+          )
+        )
+      ),
+    },
+    { collapsed: true }
+  );
+
+  // Drop an audio file anywhere on the page to play it
+  useEffect(() => {
+    const onDragOver = (event) => {
+      if (event.dataTransfer && event.dataTransfer.types.includes("Files")) {
+        event.preventDefault();
+      }
+    };
+    const onDrop = (event) => {
+      const file = event.dataTransfer && event.dataTransfer.files[0];
+      if (!file || !file.type.startsWith("audio/")) return;
+      event.preventDefault();
+      playFile(file);
+    };
+    window.addEventListener("dragover", onDragOver);
+    window.addEventListener("drop", onDrop);
+    return () => {
+      window.removeEventListener("dragover", onDragOver);
+      window.removeEventListener("drop", onDrop);
+    };
+  }, [input]);
+
+  useEffect(() => () => input.dispose(), [input]);
+
+  useFrame((_, delta) => {
+    const bands = DEFAULT_BANDS.map(({ name }) => ({
+      name,
+      minHz: controls[`${name}Min`],
+      maxHz: controls[`${name}Max`],
+      gain: controls[`${name}Gain`],
+    }));
+    // Silence while nothing plays, so levels and pulses fall back to rest
+    const frequencyData = input.getFrequencyData();
+    const rawLevels = frequencyData
+      ? measureBands(frequencyData, input.sampleRate, bands)
+      : bands.map(() => 0);
+    stateRef.current = updateBands(stateRef.current, rawLevels, delta, {
+      attack: controls.attack,
+      release: controls.release,
+      beatThreshold: controls.beatThreshold,
+      beatHold: controls.beatHold,
+    });
+
+    const mappings = {};
+    Object.keys(AUDIO_TARGETS).forEach((target) => {
+      mappings[target] = {
+        source: controls[`${target}Source`],
+        amount: controls[`${target}Amount`],
+      };
+    });
+    // Never let a negative amount flip a parameter's sign
+    const values = getModulation(stateRef.current, mappings);
+    Object.keys(values).forEach((target) => {
+      modulation[target] = Math.max(0, values[target]);
+    });
+  });
+
+  return multipliers;
+}
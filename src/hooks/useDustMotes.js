@@ -0,0 +1,24 @@
+import { useSettings } from "../settings/SettingsContext";
+
+// Dust lit inside the spotlights' beams (see components/DustMotes). Scene
+// reads the drift speed to step the dust's drift phase in the simulation.
+export default function useDustMotes() {
+  return useSettings(
+    "Dust Motes",
+    {
+      dustEnabled: { value: true, label: "Enabled" },
+      count: { value: 3000, min: 0, max: 20000, step: 100 },
+      size: { value: 0.04, min: 0.005, max: 0.3, step: 0.005 },
+      drift: { value: 0.4, min: 0, max: 3, step: 0.05, label: "Drift" },
+      driftSpeed: {
+        value: 0.05,
+        min: 0,
+        max: 1,
+        step: 0.01,
+        label: "Drift Speed",
+      },
+      brightness: { value: 0.2, min: 0, max: 2, step: 0.01 },
+    },
+    { collapsed: true }
+  );
+}
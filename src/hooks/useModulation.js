@@ -0,0 +1,116 @@
+import { useEffect, useMemo, useSyncExternalStore } from "react";
+import { useFrame } from "@react-three/fiber";
+import { useModulationStore, useSettings } from "../settings/SettingsContext";
+import { button, folder } from "../settings/schema";
+import { MODULATION_GROUP } from "../settings/modulation";
+import { MODULATOR_SHAPES } from "../utils/modulators";
+
+export const MODULATOR_SLOTS = 4;
+
+function slotControls(slot, targets) {
+  const n = slot + 1;
+  return {
+    [`mod${n}Target`]: { value: "none", options: targets, label: "Target" },
+    [`mod${n}Shape`]: {
+      value: "sine",
+      options: MODULATOR_SHAPES,
+      label: "Shape",
+    },
+    [`mod${n}Rate`]: {
+      value: 0.5,
+      min: 0,
+      max: 20,
+      step: 0.01,
+      label: "Rate (Hz)",
+    },
+    [`mod${n}Depth`]: {
+      value: 0.1,
+      min: 0,
+      max: 1,
+      step: 0.01,
+      label: "Depth",
+    },
+    [`mod${n}Offset`]: {
+      value: 0,
+      min: -1,
+      max: 1,
+      step: 0.01,
+      label: "Offset",
+    },
+    [`mod${n}Phase`]: { value: 0, min: 0, max: 1, step: 0.01, label: "Phase" },
+    [`mod${n}Seed`]: { value: n, min: 0, max: 9999, step: 1, label: "Seed" },
+    [`mod${n}Attack`]: {
+      value: 0.05,
+      min: 0,
+      max: 5,
+      step: 0.01,
+      label: "Attack (s)",
+      render: (get) => get(`Modulation.Mod ${n}.mod${n}Shape`) === "envelope",
+    },
+    [`mod${n}Decay`]: {
+      value: 0.5,
+      min: 0,
+      max: 10,
+      step: 0.01,
+      label: "Decay (s)",
+      render: (get) => get(`Modulation.Mod ${n}.mod${n}Shape`) === "envelope",
+    },
+  };
+}
+
+// Modulation panel: MODULATOR_SLOTS modulators, each bound to any numeric
+// control by its "Group.key" target. Feeds the settings modulation store
+// (settings/modulation.js) with the modulators and with the scene clock, so
+// with the Recorder's fixed timestep a recording sees the same modulation
+// every time.
+export default function useModulation() {
+  const store = useModulationStore();
+  // Target options grow as groups mount and register their controls
+  const controlsVersion = useSyncExternalStore(
+    store.subscribeControls,
+    store.getControlsVersion
+  );
+  const targets = useMemo(() => {
+    const options = { None: "none" };
+    store.getControls().forEach((target) => (options[target] = target));
+    return options;
+  }, [store, controlsVersion]);
+
+  const controls = useSettings(
+    MODULATION_GROUP,
+    Object.fromEntries(
+      Array.from({ length: MODULATOR_SLOTS }, (_, slot) => [
+        `Mod ${slot + 1}`,
+        folder(
+          {
+            ...slotControls(slot, targets),
+            Trigger: button(() => store.trigger(slot)),
+          },
+          { collapsed: slot > 0 }
+        ),
+      ])
+    ),
+    { collapsed: true, deps: [targets] }
+  );
+
+  const modulators = Array.from({ length: MODULATOR_SLOTS }, (_, slot) => {
+    const n = slot + 1;
+    if (controls[`mod${n}Target`] === "none") return null;
+    return {
+      target: controls[`mod${n}Target`],
+      shape: controls[`mod${n}Shape`],
+      rate: controls[`mod${n}Rate`],
+      depth: controls[`mod${n}Depth`],
+      offset: controls[`mod${n}Offset`],
+      phase: controls[`mod${n}Phase`],
+      seed: controls[`mod${n}Seed`],
+      attack: controls[`mod${n}Attack`],
+      decay: controls[`mod${n}Decay`],
+    };
+  });
+  const key = JSON.stringify(modulators);
+  useEffect(() => store.setModulators(JSON.parse(key)), [store, key]);
+
+  // Modulated values reach their components on the next render
+  useFrame((state) => store.setTime(state.clock.elapsedTime));
+}
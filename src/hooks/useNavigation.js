@@ -0,0 +1,227 @@
+import { useEffect, useMemo, useRef } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import { useSettings } from "../settings/SettingsContext";
+
+// Keys held for steering (x/y) and the throttle
+const KEY_AXES = {
+  ArrowLeft: ["steerX", -1],
+  KeyA: ["steerX", -1],
+  ArrowRight: ["steerX", 1],
+  KeyD: ["steerX", 1],
+  ArrowUp: ["steerY", 1],
+  KeyW: ["steerY", 1],
+  ArrowDown: ["steerY", -1],
+  KeyS: ["steerY", -1],
+  KeyR: ["throttle", 1],
+  KeyF: ["throttle", -1],
+};
+
+const GAMEPAD_DEADZONE = 0.15;
+const deadzone = (value) => (Math.abs(value) < GAMEPAD_DEADZONE ? 0 : value);
+
+// Don't steal keys from the settings panel's text fields
+const isTyping = (event) =>
+  event.target instanceof HTMLElement &&
+  (event.target.isContentEditable ||
+    ["INPUT", "TEXTAREA", "SELECT"].includes(event.target.tagName));
+
+// Input layer. Pointer parallax/look-around, touch drag, keyboard and gamepad
+// steering and throttle, each switchable under "Navigation". Returns one
+// shared object, updated every frame, with the input axes and the options
+// the simulation steps the navigation state with (see utils/simulation):
+// camera `base` and undisturbed `lookAt`, `bounds` to stay inside, the
+// throttle's `throttleLimits` and the feel controls. Also carries whether
+// the main light follows the cursor.
+export default function useNavigation({
+  base,
+  lookAt,
+  bounds,
+  throttleLimits = { min: -50, max: 50 },
+}) {
+  const { gl } = useThree();
+  const controls = useSettings(
+    "Navigation",
+    {
+      pointerEnabled: { value: true, label: "Pointer" },
+      touchEnabled: { value: true, label: "Touch Drag" },
+      keyboardEnabled: { value: true, label: "Keyboard" },
+      gamepadEnabled: { value: true, label: "Gamepad" },
+      lightFollowsCursor: { value: false, label: "Light Follows Cursor" },
+      lookRange: { value: 4, min: 0, max: 10, step: 0.1, label: "Look Range" },
+      parallax: { value: 0.6, min: 0, max: 3, step: 0.05, label: "Parallax" },
+      damping: { value: 0.15, min: 0, max: 1, step: 0.01, label: "Damping" },
+      steerSpeed: {
+        value: 3,
+        min: 0,
+        max: 20,
+        step: 0.1,
+        label: "Steer Speed",
+      },
+      throttleRate: {
+        value: 4,
+        min: 0,
+        max: 20,
+        step: 0.1,
+        label: "Throttle Rate",
+      },
+    },
+    { collapsed: true }
+  );
+
+  // Raw axes from the event listeners, read once per frame
+  const input = useRef({ cursorX: 0, cursorY: 0, dragX: 0, dragY: 0 });
+  const keys = useRef(new Set());
+  const navigation = useMemo(
+    () => ({
+      input: null,
+      options: null,
+      lightFollowsCursor: false,
+      bounds,
+    }),
+    []
+  );
+
+  // Pointer parallax (mouse and pen) and touch drag look-around
+  useEffect(() => {
+    const element = gl.domElement;
+    let drag = null;
+    const normalized = (event) => {
+      const rect = element.getBoundingClientRect();
+      return [
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -(((event.clientY - rect.top) / rect.height) * 2 - 1),
+      ];
+    };
+    const onPointerMove = (event) => {
+      if (event.pointerType === "touch") {
+        if (!drag || !controls.touchEnabled) return;
+        const rect = element.getBoundingClientRect();
+        const clamp = (v) => Math.min(1, Math.max(-1, v));
+        input.current.dragX = clamp(
+          ((event.clientX - drag.startX) / rect.width) * 2
+        );
+        input.current.dragY = clamp(
+          -((event.clientY - drag.startY) / rect.height) * 2
+        );
+      } else if (controls.pointerEnabled) {
+        [input.current.cursorX, input.current.cursorY] = normalized(event);
+      }
+    };
+    const onPointerDown = (event) => {
+      if (event.pointerType !== "touch") return;
+      drag = { startX: event.clientX, startY: event.clientY };
+    };
+    // Releasing a drag lets the view settle back
+    const onPointerUp = (event) => {
+      if (event.pointerType !== "touch") return;
+      drag = null;
+      input.current.dragX = 0;
+      input.current.dragY = 0;
+    };
+    const onPointerLeave = (event) => {
+      if (event.pointerType === "touch") return;
+      input.current.cursorX = 0;
+      input.current.cursorY = 0;
+    };
+
+    // Without this the browser scrolls or zooms instead of dragging
+    const touchAction = element.style.touchAction;
+    if (controls.touchEnabled) element.style.touchAction = "none";
+    element.addEventListener("pointermove", onPointerMove);
+    element.addEventListener("pointerdown", onPointerDown);
+    element.addEventListener("pointerup", onPointerUp);
+    element.addEventListener("pointercancel", onPointerUp);
+    element.addEventListener("pointerleave", onPointerLeave);
+    return () => {
+      element.style.touchAction = touchAction;
+      element.removeEventListener("pointermove", onPointerMove);
+      element.removeEventListener("pointerdown", onPointerDown);
+      element.removeEventListener("pointerup", onPointerUp);
+      element.removeEventListener("pointercancel", onPointerUp);
+      element.removeEventListener("pointerleave", onPointerLeave);
+      Object.assign(input.current, {
+        cursorX: 0,
+        cursorY: 0,
+        dragX: 0,
+        dragY: 0,
+      });
+    };
+  }, [gl, controls.pointerEnabled, controls.touchEnabled]);
+
+  // Keyboard steering and throttle
+  useEffect(() => {
+    if (!controls.keyboardEnabled) return undefined;
+    const held = keys.current;
+    const onKeyDown = (event) => {
+      if (!KEY_AXES[event.code] || isTyping(event)) return;
+      held.add(event.code);
+      event.preventDefault(); // Arrow keys would scroll the page
+    };
+    const onKeyUp = (event) => held.delete(event.code);
+    const onBlur = () => held.clear();
+    window.addEventListener("keydown", onKeyDown);
+    window.addEventListener("keyup", onKeyUp);
+    window.addEventListener("blur", onBlur);
+    return () => {
+      held.clear();
+      window.removeEventListener("keydown", onKeyDown);
+      window.removeEventListener("keyup", onKeyUp);
+      window.removeEventListener("blur", onBlur);
+    };
+  }, [controls.keyboardEnabled]);
+
+  useFrame(() => {
+    const axes = {
+      cursorX: input.current.cursorX,
+      cursorY: input.current.cursorY,
+      lookX: input.current.dragX,
+      lookY: input.current.dragY,
+      steerX: 0,
+      steerY: 0,
+      throttle: 0,
+    };
+    keys.current.forEach((code) => {
+      const [axis, sign] = KEY_AXES[code];
+      axes[axis] += sign;
+    });
+
+    // First connected gamepad: left stick steers, right stick looks,
+    // right/left triggers open and close the throttle
+    const gamepads =
+      controls.gamepadEnabled && navigator.getGamepads
+        ? navigator.getGamepads()
+        : [];
+    const gamepad = Array.from(gamepads).find((pad) => pad && pad.connected);
+    if (gamepad) {
+      const [lx = 0, ly = 0, rx = 0, ry = 0] = gamepad.axes;
+      const trigger = (i) =>
+        gamepad.buttons[i] ? gamepad.buttons[i].value : 0;
+      axes.steerX += deadzone(lx);
+      axes.steerY -= deadzone(ly);
+      axes.lookX += deadzone(rx);
+      axes.lookY -= deadzone(ry);
+      axes.throttle += trigger(7) - trigger(6);
+    }
+    axes.steerX = Math.min(1, Math.max(-1, axes.steerX));
+    axes.steerY = Math.min(1, Math.max(-1, axes.steerY));
+    axes.throttle = Math.min(1, Math.max(-1, axes.throttle));
+
+    navigation.input = axes;
+    navigation.options = {
+      bounds,
+      base,
+      lookAt,
+      lookRange: controls.lookRange,
+      parallax: controls.parallax,
+      damping: controls.damping,
+      steerSpeed: controls.steerSpeed,
+      throttleRate: controls.throttleRate,
+      minThrottle: throttleLimits.min,
+      maxThrottle: throttleLimits.max,
+    };
+    navigation.lightFollowsCursor = controls.lightFollowsCursor;
+    navigation.bounds = bounds;
+  });
+
+  return navigation;
+}
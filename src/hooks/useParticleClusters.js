@@ -0,0 +1,122 @@
+import { useMemo, useRef } from "react";
+import * as THREE from "three";
+import { useSettings } from "../settings/SettingsContext";
+import { folder, monitor } from "../settings/schema";
+import { getLodCount, getLodFraction } from "../utils/particleClusters";
+
+const _frustum = new THREE.Frustum();
+const _projection = new THREE.Matrix4();
+const _sphere = new THREE.Sphere();
+const _cameraPosition = new THREE.Vector3();
+
+// Spatial clusters, distance LOD and instance counts for the tunnel's
+// particles (see utils/particleClusters). Every cluster's meshes register in
+// `registry`; Scene calls `update(camera)` once a frame, after it has placed
+// the camera, to thin out distant clusters and refresh the counts.
+export default function useParticleClusters() {
+  const instancesRef = useRef(0);
+  const drawnRef = useRef(0);
+  const visibleRef = useRef(0);
+
+  const settings = useSettings(
+    "Particle Clusters",
+    {
+      // Small enough to split the default walls into quadrants, so clusters
+      // beside the camera are culled too, without too many draw calls
+      clusterSize: {
+        value: 5,
+        min: 2,
+        max: 50,
+        step: 1,
+        label: "Cluster Size",
+      },
+      LOD: folder({
+        lodEnabled: { value: true, label: "Enabled" },
+        lodNear: {
+          value: 40,
+          min: 0,
+          max: 300,
+          step: 1,
+          label: "Full Density Until",
+          render: (get) => get("Particle Clusters.LOD.lodEnabled"),
+        },
+        lodFar: {
+          value: 160,
+          min: 1,
+          max: 500,
+          step: 1,
+          label: "Min Density From",
+          render: (get) => get("Particle Clusters.LOD.lodEnabled"),
+        },
+        lodMinDensity: {
+          value: 0.3,
+          min: 0.05,
+          max: 1,
+          step: 0.05,
+          label: "Min Density",
+          render: (get) => get("Particle Clusters.LOD.lodEnabled"),
+        },
+      }),
+      Stats: folder({
+        // Every particle, then what's left after LOD, then the part of that
+        // inside the camera's view (the rest is culled)
+        Instances: monitor(instancesRef, { graph: false, interval: 250 }),
+        "After LOD": monitor(drawnRef, { graph: false, interval: 250 }),
+        "In View": monitor(visibleRef, { graph: false, interval: 250 }),
+      }),
+    },
+    { collapsed: true }
+  );
+
+  // { mesh, occlusion, total } for every mounted cluster
+  const registry = useMemo(() => new Set(), []);
+
+  const settingsRef = useRef(settings);
+  settingsRef.current = settings;
+
+  const update = (camera) => {
+    const { lodEnabled, lodNear, lodFar, lodMinDensity } = settingsRef.current;
+    camera.updateMatrixWorld();
+    camera.getWorldPosition(_cameraPosition);
+    _frustum.setFromProjectionMatrix(
+      _projection.multiplyMatrices(
+        camera.projectionMatrix,
+        camera.matrixWorldInverse
+      )
+    );
+
+    let instances = 0;
+    let drawn = 0;
+    let visible = 0;
+    registry.forEach(({ mesh, occlusion, total }) => {
+      // Sections move every frame, after their last render
+      mesh.updateWorldMatrix(true, false);
+      _sphere.copy(mesh.boundingSphere).applyMatrix4(mesh.matrixWorld);
+
+      let count = total;
+      if (lodEnabled) {
+        // From the nearest point of the cluster, so the camera's own
+        // cluster is always at full density
+        const distance = Math.max(
+          0,
+          _sphere.center.distanceTo(_cameraPosition) - _sphere.radius
+        );
+        count = getLodCount(
+          total,
+          getLodFraction(distance, { lodNear, lodFar, lodMinDensity })
+        );
+      }
+      mesh.count = count;
+      if (occlusion) occlusion.count = count;
+
+      instances += total;
+      drawn += count;
+      if (_frustum.intersectsSphere(_sphere)) visible += count;
+    });
+    instancesRef.current = instances;
+    drawnRef.current = drawn;
+    visibleRef.current = visible;
+  };
+
+  return { settings, registry, update };
+}
@@ -0,0 +1,124 @@
+import { useEffect, useMemo, useState } from "react";
+import { useSettings } from "../settings/SettingsContext";
+import { button } from "../settings/schema";
+import {
+  PARTICLE_GEOMETRY_TYPES,
+  createParticleGeometryLibrary,
+  disposeParticleGeometryLibrary,
+  loadModelGeometry,
+  pickModelFile,
+} from "../utils/particleGeometries";
+
+const TYPE_LABELS = {
+  cube: "Cubes",
+  tetrahedron: "Tetrahedra",
+  plate: "Plates",
+  shard: "Shards",
+  model: "Model",
+};
+
+// Particle geometry mix. Returns the shared geometry library for every
+// tunnel section, rebuilt when the mix changes. Geometries are unit sized;
+// TunnelParticles scales them to the particle size with the instance
+// matrices. A GLB model comes from "Model URL" or "Load Model", and only
+// counts once loaded.
+export default function useParticleGeometries() {
+  const [modelFile, setModelFile] = useState(null);
+  const [model, setModel] = useState(null);
+
+  const controls = useSettings(
+    "Particle Geometry",
+    {
+      ...Object.fromEntries(
+        PARTICLE_GEOMETRY_TYPES.map((type) => [
+          `${type}Weight`,
+          {
+            value: type === "cube" ? 1 : 0,
+            min: 0,
+            max: 1,
+            step: 0.05,
+            label: TYPE_LABELS[type],
+          },
+        ])
+      ),
+      shardSeed: { value: 1, min: 0, max: 9999, step: 1, label: "Shard Seed" },
+      shardVariants: {
+        value: 4,
+        min: 1,
+        max: 8,
+        step: 1,
+        label: "Shard Variants",
+      },
+      shardPoints: {
+        value: 12,
+        min: 5,
+        max: 32,
+        step: 1,
+        label: "Shard Points",
+      },
+      shardJaggedness: {
+        value: 0.5,
+        min: 0,
+        max: 1,
+        step: 0.05,
+        label: "Jaggedness",
+      },
+      modelUrl: { value: "", label: "Model URL" },
+      "Load Model": button(() => {
+        pickModelFile().then((file) => file && setModelFile(file));
+      }),
+    },
+    { collapsed: true }
+  );
+
+  // A picked file wins over the URL until the URL is changed
+  useEffect(() => setModelFile(null), [controls.modelUrl]);
+
+  useEffect(() => {
+    if (!modelFile && !controls.modelUrl) {
+      setModel(null);
+      return undefined;
+    }
+    let cancelled = false;
+    const url = modelFile ? URL.createObjectURL(modelFile) : controls.modelUrl;
+    loadModelGeometry(url)
+      .then((geometry) => {
+        if (cancelled) geometry.dispose();
+        else setModel(geometry);
+      })
+      .catch((e) => !cancelled && console.warn(`Model failed: ${e.message}`))
+      .finally(() => modelFile && URL.revokeObjectURL(url));
+    return () => {
+      cancelled = true;
+    };
+  }, [modelFile, controls.modelUrl]);
+  useEffect(() => () => model && model.dispose(), [model]);
+
+  const library = useMemo(
+    () =>
+      createParticleGeometryLibrary({
+        weights: Object.fromEntries(
+          PARTICLE_GEOMETRY_TYPES.map((type) => [
+            type,
+            controls[`${type}Weight`],
+          ])
+        ),
+        model,
+        seed: controls.shardSeed,
+        shardVariants: controls.shardVariants,
+        shardPoints: controls.shardPoints,
+        jaggedness: controls.shardJaggedness,
+      }),
+    [
+      ...PARTICLE_GEOMETRY_TYPES.map((type) => controls[`${type}Weight`]),
+      model,
+      controls.shardSeed,
+      controls.shardVariants,
+      controls.shardPoints,
+      controls.shardJaggedness,
+    ]
+  );
+  useEffect(() => () => disposeParticleGeometryLibrary(library), [library]);
+
+  return library;
+}
@@ -0,0 +1,241 @@
+import { BlendFunction } from "postprocessing";
+import { useSettings } from "../settings/SettingsContext";
+import { folder } from "../settings/schema";
+import {
+  CHAIN_SLOTS,
+  DEFAULT_POST_CHAIN,
+  POST_EFFECTS,
+  chainSlotKey,
+  getPostChain,
+} from "../utils/postChain";
+
+const SLOT_OPTIONS = { None: "none", ...POST_EFFECTS };
+
+export const GRAIN_BLEND_FUNCTIONS = {
+  colorDodge: BlendFunction.COLOR_DODGE,
+  screen: BlendFunction.SCREEN,
+  overlay: BlendFunction.OVERLAY,
+  softLight: BlendFunction.SOFT_LIGHT,
+};
+
+const isOn = (key) => (get) => get(`Post Effects.${key}`);
+
+// The post-processing chain and every effect's parameters. The "Chain"
+// folder orders the effects: pick one per slot, or None to drop it; an
+// effect picked twice runs at its first slot. Each effect also has its own
+// on/off switch, so it can be toggled without losing its place. Bloom and
+// color grading keep their own groups. Returns { chain, ...values }.
+export default function usePostEffects() {
+  const values = useSettings(
+    "Post Effects",
+    {
+      Chain: folder(
+        Object.fromEntries(
+          Array.from({ length: CHAIN_SLOTS }, (_, slot) => [
+            chainSlotKey(slot),
+            {
+              value: DEFAULT_POST_CHAIN[slot] || "none",
+              options: SLOT_OPTIONS,
+              label: String(slot + 1),
+            },
+          ])
+        )
+      ),
+      "Depth of Field": folder(
+        {
+          dofEnabled: { value: false, label: "Enabled" },
+          dofFocus: {
+            value: "lightTarget",
+            options: { "Light target": "lightTarget", Distance: "distance" },
+            label: "Focus On",
+            render: isOn("Depth of Field.dofEnabled"),
+          },
+          dofDistance: {
+            value: 20,
+            min: 0.5,
+            max: 200,
+            step: 0.5,
+            label: "Distance",
+            render: (get) =>
+              get("Post Effects.Depth of Field.dofEnabled") &&
+              get("Post Effects.Depth of Field.dofFocus") === "distance",
+          },
+          dofRange: {
+            value: 10,
+            min: 0.5,
+            max: 100,
+            step: 0.5,
+            label: "In Focus Range",
+            render: isOn("Depth of Field.dofEnabled"),
+          },
+          dofBokehScale: {
+            value: 2,
+            min: 0,
+            max: 10,
+            step: 0.1,
+            label: "Bokeh Size",
+            render: isOn("Depth of Field.dofEnabled"),
+          },
+        },
+        { collapsed: true }
+      ),
+      "Lens Dirt": folder(
+        {
+          lensDirtEnabled: { value: false, label: "Enabled" },
+          lensDirtIntensity: {
+            value: 2,
+            min: 0,
+            max: 10,
+            step: 0.1,
+            label: "Intensity",
+            render: isOn("Lens Dirt.lensDirtEnabled"),
+          },
+          lensDirtSpots: {
+            value: 80,
+            min: 0,
+            max: 300,
+            step: 1,
+            label: "Specks",
+            render: isOn("Lens Dirt.lensDirtEnabled"),
+          },
+          lensDirtSeed: {
+            value: 1,
+            min: 0,
+            max: 9999,
+            step: 1,
+            label: "Seed",
+            render: isOn("Lens Dirt.lensDirtEnabled"),
+          },
+        },
+        { collapsed: true }
+      ),
+      "Anamorphic Streaks": folder(
+        {
+          anamorphicEnabled: { value: false, label: "Enabled" },
+          anamorphicThreshold: {
+            value: 0.8,
+            min: 0,
+            max: 2,
+            step: 0.01,
+            label: "Threshold",
+            render: isOn("Anamorphic Streaks.anamorphicEnabled"),
+          },
+          anamorphicLength: {
+            value: 0.3,
+            min: 0.01,
+            max: 1,
+            step: 0.01,
+            label: "Length",
+            render: isOn("Anamorphic Streaks.anamorphicEnabled"),
+          },
+          anamorphicIntensity: {
+            value: 1,
+            min: 0,
+            max: 5,
+            step: 0.05,
+            label: "Intensity",
+            render: isOn("Anamorphic Streaks.anamorphicEnabled"),
+          },
+          anamorphicTint: {
+            value: "#6f8cff",
+            label: "Tint",
+            render: isOn("Anamorphic Streaks.anamorphicEnabled"),
+          },
+        },
+        { collapsed: true }
+      ),
+      "Chromatic Aberration": folder(
+        {
+          aberrationEnabled: { value: false, label: "Enabled" },
+          aberrationOffsetX: {
+            value: 0.001,
+            min: -0.02,
+            max: 0.02,
+            step: 0.0005,
+            label: "Offset X",
+            render: isOn("Chromatic Aberration.aberrationEnabled"),
+          },
+          aberrationOffsetY: {
+            value: 0.0005,
+            min: -0.02,
+            max: 0.02,
+            step: 0.0005,
+            label: "Offset Y",
+            render: isOn("Chromatic Aberration.aberrationEnabled"),
+          },
+          aberrationRadial: {
+            value: true,
+            label: "Stronger At Edges",
+            render: isOn("Chromatic Aberration.aberrationEnabled"),
+          },
+          aberrationModulationOffset: {
+            value: 0.15,
+            min: 0,
+            max: 1,
+            step: 0.01,
+            label: "Clear Centre",
+            render: (get) =>
+              get("Post Effects.Chromatic Aberration.aberrationEnabled") &&
+              get("Post Effects.Chromatic Aberration.aberrationRadial"),
+          },
+        },
+        { collapsed: true }
+      ),
+      Vignette: folder(
+        {
+          vignetteEnabled: { value: false, label: "Enabled" },
+          vignetteOffset: {
+            value: 0.5,
+            min: 0,
+            max: 1,
+            step: 0.01,
+            label: "Offset",
+            render: isOn("Vignette.vignetteEnabled"),
+          },
+          vignetteDarkness: {
+            value: 0.5,
+            min: 0,
+            max: 1,
+            step: 0.01,
+            label: "Darkness",
+            render: isOn("Vignette.vignetteEnabled"),
+          },
+        },
+        { collapsed: true }
+      ),
+      "Film Grain": folder(
+        {
+          grainEnabled: { value: true, label: "Enabled" },
+          grainOpacity: {
+            value: 0.02,
+            min: 0,
+            max: 1,
+            step: 0.005,
+            label: "Opacity",
+            render: isOn("Film Grain.grainEnabled"),
+          },
+          grainBlend: {
+            value: "colorDodge",
+            options: {
+              "Color Dodge": "colorDodge",
+              Screen: "screen",
+              Overlay: "overlay",
+              "Soft Light": "softLight",
+            },
+            label: "Blend",
+            render: isOn("Film Grain.grainEnabled"),
+          },
+          grainPremultiply: {
+            value: false,
+            label: "Scale By Brightness",
+            render: isOn("Film Grain.grainEnabled"),
+          },
+        },
+        { collapsed: true }
+      ),
+    },
+    { collapsed: true }
+  );
+
+  return { ...values, chain: getPostChain(values) };
+}
@@ -0,0 +1,93 @@
+import { useEffect } from "react";
+
+// Browsers only allow fullscreen from a user gesture (unless started in a
+// kiosk browser), so a refused request is retried on the first one
+function requestFullscreen(element) {
+  if (!element.requestFullscreen || document.fullscreenElement) {
+    return () => {};
+  }
+  const retry = () => {
+    element.requestFullscreen().catch(() => {});
+    remove();
+  };
+  const remove = () => {
+    window.removeEventListener("pointerdown", retry);
+    window.removeEventListener("keydown", retry);
+  };
+  element.requestFullscreen().catch(() => {
+    window.addEventListener("pointerdown", retry);
+    window.addEventListener("keydown", retry);
+  });
+  return remove;
+}
+
+// Keeps the screen awake. The browser drops the lock whenever the page is
+// hidden, so it's taken again each time the page comes back.
+function holdWakeLock() {
+  if (!("wakeLock" in navigator)) return () => {};
+  let sentinel = null;
+  let released = false;
+  const request = () => {
+    if (document.visibilityState !== "visible" || sentinel) return;
+    navigator.wakeLock
+      .request("screen")
+      .then((lock) => {
+        if (released) {
+          lock.release();
+          return;
+        }
+        sentinel = lock;
+        lock.addEventListener("release", () => (sentinel = null));
+      })
+      .catch((e) => console.warn(`Wake lock failed: ${e.message}`));
+  };
+  request();
+  document.addEventListener("visibilitychange", request);
+  return () => {
+    released = true;
+    document.removeEventListener("visibilitychange", request);
+    if (sentinel) sentinel.release();
+  };
+}
+
+// Hides the cursor over `element` after `timeout` seconds without movement
+function hideIdleCursor(element, timeout) {
+  let timer = null;
+  const show = () => {
+    element.style.cursor = "";
+    clearTimeout(timer);
+    timer = setTimeout(() => (element.style.cursor = "none"), timeout * 1000);
+  };
+  show();
+  window.addEventListener("pointermove", show);
+  window.addEventListener("pointerdown", show);
+  return () => {
+    clearTimeout(timer);
+    window.removeEventListener("pointermove", show);
+    window.removeEventListener("pointerdown", show);
+    element.style.cursor = "";
+  };
+}
+
+// Presentation (kiosk) mode for lobby screens and stream overlays:
+// fullscreen, a screen wake lock and an auto-hiding cursor, each optional.
+// `cursorTimeout` is in seconds; null keeps the cursor.
+export default function usePresentation({
+  fullscreen = false,
+  wakeLock = false,
+  cursorTimeout = null,
+}) {
+  useEffect(
+    () =>
+      fullscreen ? requestFullscreen(document.documentElement) : undefined,
+    [fullscreen]
+  );
+  useEffect(() => (wakeLock ? holdWakeLock() : undefined), [wakeLock]);
+  useEffect(
+    () =>
+      cursorTimeout
+        ? hideIdleCursor(document.documentElement, cursorTimeout)
+        : undefined,
+    [cursorTimeout]
+  );
+}
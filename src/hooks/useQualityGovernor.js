@@ -0,0 +1,76 @@
+import { useEffect, useRef, useState } from "react";
+import { useSettings } from "../settings/SettingsContext";
+import { monitor } from "../settings/schema";
+import { QUALITY_TIERS, selectQualityTier } from "../utils/qualityTiers";
+
+// Longer gaps mean the tab was hidden or the page was busy elsewhere, not
+// that the scene is slow
+const MAX_FRAME_TIME = 250;
+// Frames of history kept; more than any selection window needs
+const HISTORY_LENGTH = 600;
+
+const TIER_OPTIONS = { Auto: "auto" };
+QUALITY_TIERS.forEach((tier, i) => (TIER_OPTIONS[tier.name] = i));
+
+// Adaptive quality. Measures frame times with requestAnimationFrame (so it
+// can live outside the Canvas) and steps through QUALITY_TIERS, starting at
+// the top. Returns the active tier, whether it was pinned and whether the
+// tier indicator should be shown. `recording` is the Recorder's flag ref:
+// capture frames are slow on purpose, so the tier holds while it's set.
+export default function useQualityGovernor(recording = null) {
+  const [autoTier, setAutoTier] = useState(QUALITY_TIERS.length - 1);
+  const fpsRef = useRef(0);
+
+  const { tierMode, showIndicator } = useSettings(
+    "Quality",
+    {
+      tierMode: { value: "auto", options: TIER_OPTIONS, label: "Tier" },
+      showIndicator: { value: true, label: "Show Tier" },
+      fps: monitor(fpsRef, { graph: true, interval: 250 }),
+    },
+    { collapsed: true }
+  );
+  const pinned = tierMode !== "auto";
+
+  useEffect(() => {
+    let frameTimes = [];
+    let last = performance.now();
+    let tier = autoTier;
+    let frame;
+
+    const tick = (now) => {
+      const frameTime = now - last;
+      last = now;
+      if (recording && recording.current) {
+        // Judge the tier afresh once the recording is over
+        frameTimes = [];
+        frame = requestAnimationFrame(tick);
+        return;
+      }
+      if (frameTime < MAX_FRAME_TIME) {
+        frameTimes.push(frameTime);
+        if (frameTimes.length > HISTORY_LENGTH) frameTimes.shift();
+        // Smoothed readout for the panel
+        fpsRef.current += (1000 / frameTime - fpsRef.current) * 0.05;
+      }
+      if (!pinned) {
+        const next = selectQualityTier(frameTimes, tier);
+        if (next !== tier) {
+          tier = next;
+          frameTimes = []; // Judge the new tier on its own frames
+          setAutoTier(next);
+        }
+      }
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+    // Restarts (with a fresh history) when pinning or unpinning
+  }, [pinned]);
+
+  return {
+    tier: QUALITY_TIERS[pinned ? tierMode : autoTier],
+    pinned,
+    showIndicator,
+  };
+}
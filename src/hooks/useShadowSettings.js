@@ -0,0 +1,128 @@
+import { useSettings } from "../settings/SettingsContext";
+import { folder } from "../settings/schema";
+import { SHADOW_TYPES } from "../utils/shadows";
+
+const MAP_SIZES = {
+  "Quality tier": 0,
+  512: 512,
+  1024: 1024,
+  2048: 2048,
+  4096: 4096,
+};
+
+const isType =
+  (...types) =>
+  (get) =>
+    types.includes(get("Shadows.Filter.shadowType"));
+
+// Shadow quality for every spotlight and what casts and receives. Read once
+// outside the Canvas, since the filter mode is a <Canvas shadows> setting,
+// and passed down to the scene. Casting and receiving are set for all the
+// particle sections at once: the stream recycles them as it moves, so a
+// toggle for one section would keep moving to another part of the tunnel.
+export default function useShadowSettings() {
+  return useSettings(
+    "Shadows",
+    {
+      shadowsEnabled: { value: true, label: "Enabled" },
+      Filter: folder({
+        shadowType: {
+          value: "pcfSoft",
+          options: SHADOW_TYPES,
+          label: "Filter",
+        },
+        radius: {
+          value: 1,
+          min: 0,
+          max: 10,
+          step: 0.1,
+          label: "Blur Radius",
+          render: isType("pcf", "vsm"),
+        },
+        blurSamples: {
+          value: 8,
+          min: 1,
+          max: 25,
+          step: 1,
+          label: "Blur Samples",
+          render: isType("vsm"),
+        },
+        pcssSize: {
+          value: 25,
+          min: 1,
+          max: 100,
+          step: 1,
+          label: "Penumbra Size",
+          render: isType("pcss"),
+        },
+        pcssSamples: {
+          value: 10,
+          min: 1,
+          max: 32,
+          step: 1,
+          label: "Samples",
+          render: isType("pcss"),
+        },
+        pcssFocus: {
+          value: 0,
+          min: 0,
+          max: 2,
+          step: 0.01,
+          label: "Focus",
+          render: isType("pcss"),
+        },
+      }),
+      Map: folder({
+        mapSize: { value: 0, options: MAP_SIZES, label: "Resolution" },
+        bias: {
+          value: -0.0002,
+          min: -0.01,
+          max: 0.01,
+          step: 0.0001,
+          label: "Bias",
+        },
+        normalBias: {
+          value: 0.02,
+          min: 0,
+          max: 0.2,
+          step: 0.001,
+          label: "Normal Bias",
+        },
+      }),
+      Frustum: folder({
+        autoFrustum: { value: true, label: "Fit To Cone" },
+        shadowNear: {
+          value: 0.5,
+          min: 0.01,
+          max: 10,
+          step: 0.01,
+          label: "Near",
+          render: (get) => !get("Shadows.Frustum.autoFrustum"),
+        },
+        shadowFar: {
+          value: 500,
+          min: 1,
+          max: 1000,
+          step: 1,
+          label: "Far",
+          render: (get) => !get("Shadows.Frustum.autoFrustum"),
+        },
+        shadowFocus: {
+          value: 1,
+          min: 0.1,
+          max: 1,
+          step: 0.01,
+          label: "Focus",
+          render: (get) => !get("Shadows.Frustum.autoFrustum"),
+        },
+      }),
+      "Casters & Receivers": folder({
+        particlesCast: { value: true, label: "Particles Cast" },
+        particlesReceive: { value: true, label: "Particles Receive" },
+        tunnelBoxCast: { value: false, label: "Tunnel Box Cast" },
+        tunnelBoxReceive: { value: false, label: "Tunnel Box Receive" },
+      }),
+    },
+    { collapsed: true }
+  );
+}
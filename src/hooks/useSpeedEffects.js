@@ -0,0 +1,97 @@
+import { useSettings } from "../settings/SettingsContext";
+import { folder } from "../settings/schema";
+
+const isOn = (key) => (get) => get(`Speed Effects.${key}`);
+
+// Effects that follow the tunnel's velocity: motion blur along the direction
+// of travel, radial speed lines and stretched particles. Motion blur and the
+// speed lines are drawn by the "Motion Blur" effect of the post-processing
+// chain, so they run at its place in the chain.
+export default function useSpeedEffects() {
+  return useSettings(
+    "Speed Effects",
+    {
+      warpSpeed: {
+        value: 30,
+        min: 1,
+        max: 100,
+        step: 1,
+        label: "Warp Speed",
+        hint: "Speed at which the speed lines and stretch are at full strength",
+      },
+      "Motion Blur": folder({
+        motionBlurEnabled: { value: false, label: "Enabled" },
+        motionBlurStrength: {
+          value: 1,
+          min: 0,
+          max: 3,
+          step: 0.05,
+          label: "Strength",
+          render: isOn("Motion Blur.motionBlurEnabled"),
+        },
+        motionBlurSamples: {
+          value: 16,
+          min: 2,
+          max: 32,
+          step: 1,
+          label: "Samples",
+          render: isOn("Motion Blur.motionBlurEnabled"),
+        },
+        motionBlurShutter: {
+          value: 180,
+          min: 0,
+          max: 360,
+          step: 5,
+          label: "Shutter Angle",
+          hint: "Share of each frame the shutter is open, in degrees",
+          render: isOn("Motion Blur.motionBlurEnabled"),
+        },
+      }),
+      "Speed Lines": folder(
+        {
+          speedLinesEnabled: { value: false, label: "Enabled" },
+          speedLinesIntensity: {
+            value: 0.4,
+            min: 0,
+            max: 2,
+            step: 0.01,
+            label: "Intensity",
+            render: isOn("Speed Lines.speedLinesEnabled"),
+          },
+          speedLinesCount: {
+            value: 60,
+            min: 8,
+            max: 200,
+            step: 1,
+            label: "Lines",
+            render: isOn("Speed Lines.speedLinesEnabled"),
+          },
+          speedLinesStart: {
+            value: 0.3,
+            min: 0,
+            max: 1,
+            step: 0.01,
+            label: "Start At",
+            hint: "Share of warp speed where the lines start to show",
+            render: isOn("Speed Lines.speedLinesEnabled"),
+          },
+        },
+        { collapsed: true }
+      ),
+      "Particle Stretch": folder(
+        {
+          particleStretch: {
+            value: 0,
+            min: 0,
+            max: 4,
+            step: 0.05,
+            label: "Stretch At Warp",
+            hint: "Extra length along the direction of travel, as a multiple of the particle's size",
+          },
+        },
+        { collapsed: true }
+      ),
+    },
+    { collapsed: true }
+  );
+}
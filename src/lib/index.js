@@ -0,0 +1,7 @@
+// Library entry: the tunnel as a React component and as a plain mount().
+// The Leva debug panel lives in the separate "leva" entry (lib/leva.js).
+export { default as VolumetricTunnel } from "../components/VolumetricTunnel";
+export { mount } from "./mount";
+export { resolveConfig, DEFAULT_BACKGROUND } from "../settings/config";
+export { QUALITY_TIERS } from "../utils/qualityTiers";
+export { parseUrlParams } from "../utils/urlParams";
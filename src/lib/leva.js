@@ -0,0 +1,5 @@
+// Optional debug add-on: pass levaAdapter as <VolumetricTunnel debug> (or
+// mount's debug option) to tune everything from a Leva panel. PresetManager
+// adds saving, loading and sharing presets of that panel.
+export { levaAdapter } from "../settings/leva";
+export { default as PresetManager } from "../components/PresetManager";
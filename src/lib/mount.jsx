@@ -0,0 +1,31 @@
+import React from "react";
+import { createRoot } from "react-dom/client";
+import VolumetricTunnel from "../components/VolumetricTunnel";
+
+// Framework-free entry: render the tunnel into `element`. Returns a handle to
+// swap the config (same shape as <VolumetricTunnel config>) and to tear down.
+// `options.debug` takes a settings adapter and `options.overrides` control
+// overrides, as the component's props do.
+export function mount(
+  element,
+  config = {},
+  { debug = null, overrides = null } = {}
+) {
+  const root = createRoot(element);
+  let current = config;
+  const render = () =>
+    root.render(
+      <VolumetricTunnel config={current} overrides={overrides} debug={debug} />
+    );
+  render();
+
+  return {
+    update(nextConfig) {
+      current = nextConfig;
+      render();
+    },
+    unmount() {
+      root.unmount();
+    },
+  };
+}
@@ -0,0 +1,80 @@
+import {
+  createContext,
+  createElement,
+  useContext,
+  useEffect,
+  useMemo,
+  useSyncExternalStore,
+} from "react";
+import { entryDefault, flattenSchema } from "./schema";
+import { getConfigSection, resolveConfig } from "./config";
+import { createModulationStore } from "./modulation";
+import { applyOverrides } from "./overrides";
+
+// Where components get their settings from. Each group is declared with a
+// schema (see schema.js) and read through useSettings; an adapter decides
+// what backs it. The default adapter serves the config object, falling back
+// to schema defaults. The Leva adapter (settings/leva.js) shows the group as
+// a panel, seeded from the config, and serves the panel's values instead.
+// Either way the values then pass through the modulation store (see
+// modulation.js), which moves any control a modulator is bound to.
+
+// Adapter: (group, schema, configSection, options) => values. It's called
+// during render and may be a hook, so one tree must keep the same adapter.
+export function staticAdapter(group, schema, section) {
+  const values = {};
+  Object.entries(flattenSchema(schema)).forEach(([key, entry]) => {
+    values[key] = key in section ? section[key] : entryDefault(entry);
+  });
+  return values;
+}
+
+const SettingsContext = createContext({
+  config: resolveConfig(),
+  adapter: staticAdapter,
+  modulation: createModulationStore(),
+});
+
+// `overrides` (see overrides.js) are applied over the config, by control key
+export function SettingsProvider({
+  config,
+  overrides = null,
+  adapter = staticAdapter,
+  children,
+}) {
+  const modulation = useMemo(() => createModulationStore(), []);
+  const value = useMemo(
+    () => ({ config: resolveConfig(config), overrides, adapter, modulation }),
+    [config, overrides, adapter, modulation]
+  );
+  return createElement(SettingsContext.Provider, { value }, children);
+}
+
+export function useSettingsConfig() {
+  return useContext(SettingsContext).config;
+}
+
+export function useModulationStore() {
+  return useContext(SettingsContext).modulation;
+}
+
+// Values of one settings group, flattened like Leva's useControls
+export function useSettings(group, schema, options) {
+  const { config, overrides, adapter, modulation } =
+    useContext(SettingsContext);
+  const section = applyOverrides(
+    getConfigSection(config, group),
+    group,
+    schema,
+    overrides
+  );
+  const values = adapter(group, schema, section, options);
+  // Schemas are declared inline, so they're registered once per group
+  useEffect(() => {
+    modulation.register(group, schema);
+  }, [modulation, group]);
+  useSyncExternalStore(modulation.subscribe, () =>
+    modulation.getVersion(group)
+  );
+  return modulation.apply(group, values);
+}
@@ -0,0 +1,257 @@
+// The config object <VolumetricTunnel> and mount() take. Every section is
+// optional and every key in it falls back to the default in its settings
+// schema, so a config only names what it changes. Keys match the Leva
+// controls, so a look tuned in the debug panel can be copied straight over.
+
+import { chainToSlots } from "../utils/postChain";
+
+/**
+ * @typedef {Object} LightConfig
+ * @property {string} [lightColor]
+ * @property {number} [intensity]
+ * @property {number} [distance]
+ * @property {number} [angle] Cone half-angle, in radians
+ * @property {number} [penumbra]
+ * @property {number} [decay]
+ * @property {number} [lightX]
+ * @property {number} [lightY]
+ * @property {number} [lightZ]
+ * @property {number} [targetX]
+ * @property {number} [targetY]
+ * @property {number} [targetZ]
+ * @property {boolean} [castShadowVal]
+ */
+
+/**
+ * @typedef {Object} TunnelConfig
+ * @property {boolean} [tunnelVisible]
+ * @property {string} [tunnelColor]
+ * @property {boolean} [tunnelWireframe]
+ * @property {number} [tunnelWidth]
+ * @property {number} [tunnelHeight]
+ * @property {number} [tunnelDepth]
+ * @property {number} [tunnelYPosition]
+ * @property {number} [tunnelZPosition]
+ */
+
+/**
+ * @typedef {Object} ParticlesConfig
+ * @property {boolean} [particlesVisible]
+ * @property {number} [seed]
+ * @property {number} [baseCount]
+ * @property {number} [densityFactor]
+ * @property {number} [particleBoxSize]
+ * @property {number} [particleBoxDepth]
+ * @property {number} [particleBoxThickness]
+ * @property {number} [baseSize]
+ * @property {number} [sizeRandomness]
+ * @property {string} [baseColor]
+ * @property {number} [colorRandomness]
+ * @property {boolean} [useParticleNoise]
+ * @property {number} [particleNoiseScale]
+ * @property {number} [particleNoiseThreshold]
+ */
+
+/**
+ * @typedef {Object} ParticleGeometryConfig Share of each shape, 0-1
+ * @property {number} [cubeWeight]
+ * @property {number} [tetrahedronWeight]
+ * @property {number} [plateWeight]
+ * @property {number} [shardWeight]
+ * @property {number} [modelWeight] Needs modelUrl
+ * @property {number} [shardSeed]
+ * @property {number} [shardVariants]
+ * @property {number} [shardPoints]
+ * @property {number} [shardJaggedness]
+ * @property {string} [modelUrl] GLB or glTF to use as a particle
+ */
+
+/**
+ * @typedef {Object} CameraConfig
+ * @property {number} [cameraX]
+ * @property {number} [cameraY]
+ * @property {number} [cameraZ]
+ * @property {number} [fov]
+ * @property {number} [far]
+ */
+
+/**
+ * @typedef {Object} BloomConfig
+ * @property {boolean} [bloomEnabled]
+ * @property {number} [bloomIntensity]
+ * @property {number} [luminanceThreshold]
+ * @property {number} [luminanceSmoothing]
+ */
+
+/**
+ * @typedef {Object} GodRaysConfig
+ * @property {number} [exposure]
+ * @property {number} [decay]
+ * @property {number} [density]
+ * @property {number} [weight]
+ * @property {number} [samples]
+ * @property {boolean} [blur]
+ * @property {number} [resolution] 1, 0.5 or 0.25 of the screen
+ */
+
+/**
+ * @typedef {Object} ColorGradingConfig
+ * @property {"none"|"reinhard"|"aces"|"agx"|"neutral"|"cineon"} [toneMapping]
+ * @property {number} [exposure] In stops
+ * @property {number} [contrast]
+ * @property {number} [saturation]
+ * @property {number} [temperature] -1 (cool) to 1 (warm)
+ * @property {number} [tint] -1 (green) to 1 (magenta)
+ * @property {number} [liftR] Also liftG, liftB, gammaR/G/B and gainR/G/B
+ * @property {string} [lutUrl] .cube 3D LUT to load
+ * @property {number} [lutAmount]
+ */
+
+/**
+ * @typedef {Object} ShadowsConfig
+ * @property {boolean} [shadowsEnabled]
+ * @property {"pcf"|"pcfSoft"|"vsm"|"pcss"} [shadowType]
+ * @property {number} [radius] PCF and VSM blur
+ * @property {number} [blurSamples] VSM
+ * @property {number} [pcssSize] Also pcssSamples and pcssFocus
+ * @property {0|512|1024|2048|4096} [mapSize] 0 follows the quality tier
+ * @property {number} [bias]
+ * @property {number} [normalBias]
+ * @property {boolean} [autoFrustum] Fit the shadow camera to each cone
+ * @property {number} [shadowNear] Also shadowFar and shadowFocus, without autoFrustum
+ * @property {boolean} [particlesCast] Also particlesReceive, tunnelBoxCast and tunnelBoxReceive
+ */
+
+/**
+ * @typedef {Object} ParticleClustersConfig
+ * @property {number} [clusterSize] Edge of each culled cluster, in world units
+ * @property {boolean} [lodEnabled] Thin out distant clusters
+ * @property {number} [lodNear] Full density up to this distance
+ * @property {number} [lodFar] Min density from this distance on
+ * @property {number} [lodMinDensity] Share of particles drawn at lodFar
+ */
+
+/**
+ * @typedef {Object} PostEffectsConfig
+ * @property {Array<"dof"|"motionBlur"|"bloom"|"lensDirt"|"anamorphic"|"chromaticAberration"|"colorGrading"|"vignette"|"grain">} [chain]
+ *   Effect order after the volumetric light; effects left out don't run.
+ *   Expands to the chain1...chain9 slot controls
+ * @property {boolean} [dofEnabled] Also lensDirtEnabled, anamorphicEnabled, aberrationEnabled, vignetteEnabled and grainEnabled
+ * @property {"lightTarget"|"distance"} [dofFocus]
+ * @property {number} [dofDistance] World units, when dofFocus is "distance"
+ * @property {number} [dofRange] Also dofBokehScale
+ * @property {number} [lensDirtIntensity] Also lensDirtSpots and lensDirtSeed
+ * @property {number} [anamorphicThreshold] Also anamorphicLength and anamorphicIntensity
+ * @property {string} [anamorphicTint]
+ * @property {number} [aberrationOffsetX] Also aberrationOffsetY, in UV units
+ * @property {boolean} [aberrationRadial] Also aberrationModulationOffset
+ * @property {number} [vignetteOffset] Also vignetteDarkness
+ * @property {number} [grainOpacity]
+ * @property {"colorDodge"|"screen"|"overlay"|"softLight"} [grainBlend]
+ * @property {boolean} [grainPremultiply]
+ */
+
+/**
+ * @typedef {Object} SpeedEffectsConfig
+ * @property {number} [warpSpeed] Speed at which speed lines and stretch peak
+ * @property {boolean} [motionBlurEnabled]
+ * @property {number} [motionBlurStrength]
+ * @property {number} [motionBlurSamples] Capped by the quality tier
+ * @property {number} [motionBlurShutter] Shutter angle, in degrees
+ * @property {boolean} [speedLinesEnabled]
+ * @property {number} [speedLinesIntensity] Also speedLinesCount
+ * @property {number} [speedLinesStart] Share of warpSpeed where they appear
+ * @property {number} [particleStretch] Extra length at warp speed, in particle sizes
+ */
+
+/**
+ * @typedef {Object} TunnelSceneConfig
+ * @property {LightConfig[]} [lights] One entry per spotlight (up to four)
+ * @property {TunnelConfig} [tunnel]
+ * @property {ParticlesConfig} [particles]
+ * @property {CameraConfig} [camera]
+ * @property {BloomConfig} [bloom]
+ * @property {GodRaysConfig} [godRays]
+ * @property {Object} [raymarch] Raymarched cone ("Raymarch Params")
+ * @property {ColorGradingConfig} [colorGrading]
+ * @property {PostEffectsConfig} [postEffects]
+ * @property {SpeedEffectsConfig} [speedEffects]
+ * @property {ShadowsConfig} [shadows]
+ * @property {{volumetricMode?: "screenSpace"|"raymarched"}} [volumetric]
+ * @property {{lightCount?: number}} [lightRig] Defaults to lights.length
+ * @property {ParticleGeometryConfig} [particleGeometry]
+ * @property {ParticleClustersConfig} [particleClusters]
+ * @property {Object} [shape] Cross-section and path ("Tunnel Shape")
+ * @property {Object} [chunks] Procedural chunk templates ("Tunnel Chunks")
+ * @property {Object} [animation] Particle animation ("Particle Animation")
+ * @property {{dustEnabled?: boolean, count?: number, size?: number, drift?: number, driftSpeed?: number, brightness?: number}} [dust]
+ * @property {{speed?: number, direction?: 1|-1, acceleration?: number, paused?: boolean}} [motion]
+ * @property {Object} [audio] Audio-reactive mappings ("Audio Reactive")
+ * @property {Object} [modulation] Modulator slots, e.g. {mod1Target: "Bloom Controls.bloomIntensity", mod1Shape: "sine"} ("Modulation")
+ * @property {{tierMode?: "auto"|number, showIndicator?: boolean}} [quality]
+ * @property {Object} [recording]
+ * @property {Object} [navigation] Input toggles and feel ("Navigation")
+ * @property {string|null} [background] Clear color; null for transparent
+ * @property {import("three").Curve|Array<[number, number, number]>} [path] Closed curve or control points for the tunnel to follow, instead of the "Tunnel Shape" path (see utils/tunnelPath)
+ */
+
+// Where each settings group reads its config from
+export const GROUP_CONFIG_PATHS = {
+  "Spotlight Controls": ["lights", 0],
+  "Spotlight 2": ["lights", 1],
+  "Spotlight 3": ["lights", 2],
+  "Spotlight 4": ["lights", 3],
+  "Light Rig": ["lightRig"],
+  "Tunnel Controls": ["tunnel"],
+  "Particle Controls": ["particles"],
+  "Particle Geometry": ["particleGeometry"],
+  "Particle Clusters": ["particleClusters"],
+  "Tunnel Shape": ["shape"],
+  "Tunnel Chunks": ["chunks"],
+  "Particle Animation": ["animation"],
+  "Dust Motes": ["dust"],
+  "Camera Controls": ["camera"],
+  "Bloom Controls": ["bloom"],
+  "Tunnel Motion": ["motion"],
+  "Volumetric Controls": ["volumetric"],
+  "God Rays Params": ["godRays"],
+  "Raymarch Params": ["raymarch"],
+  "Color Grading": ["colorGrading"],
+  "Post Effects": ["postEffects"],
+  "Speed Effects": ["speedEffects"],
+  Shadows: ["shadows"],
+  "Audio Reactive": ["audio"],
+  Modulation: ["modulation"],
+  Recording: ["recording"],
+  Quality: ["quality"],
+  Navigation: ["navigation"],
+};
+
+export const DEFAULT_BACKGROUND = "#010101";
+
+// Fill in what can be derived from other sections
+export function resolveConfig(config) {
+  config = config || {};
+  const resolved = { background: DEFAULT_BACKGROUND, ...config };
+  if (config.lights && !(config.lightRig && config.lightRig.lightCount)) {
+    resolved.lightRig = {
+      ...config.lightRig,
+      lightCount: Math.max(1, config.lights.length),
+    };
+  }
+  if (config.postEffects && config.postEffects.chain) {
+    const { chain, ...postEffects } = config.postEffects;
+    resolved.postEffects = { ...postEffects, ...chainToSlots(chain) };
+  }
+  return resolved;
+}
+
+// The config section a settings group reads from (empty if not given)
+export function getConfigSection(config, group) {
+  const path = GROUP_CONFIG_PATHS[group] || [group];
+  let section = config;
+  for (const key of path) {
+    section = section && section[key];
+  }
+  return section || {};
+}
@@ -0,0 +1,43 @@
+import * as leva from "leva";
+import { isButton, isFolder, isMonitor } from "./schema";
+
+// Leva debug adapter: every settings group becomes a Leva panel group. The
+// config only seeds the starting values; from then on the panel is the
+// source of truth. This is the only settings module that imports Leva, so
+// apps that don't debug with it never load it.
+
+function toLevaSchema(schema, section) {
+  const converted = {};
+  Object.entries(schema).forEach(([key, entry]) => {
+    if (isFolder(entry)) {
+      converted[key] = leva.folder(
+        toLevaSchema(entry.schema, section),
+        entry.options
+      );
+    } else if (isButton(entry)) {
+      converted[key] = leva.button(entry.onClick, entry.options);
+    } else if (isMonitor(entry)) {
+      converted[key] = leva.monitor(entry.objectOrFn, entry.options);
+    } else if (key in section) {
+      converted[key] =
+        entry !== null && typeof entry === "object" && "value" in entry
+          ? { ...entry, value: section[key] }
+          : section[key];
+    } else {
+      converted[key] = entry;
+    }
+  });
+  return converted;
+}
+
+// options.deps are passed on as Leva's deps, for schemas whose entries
+// (e.g. select options) change after the first render
+export function levaAdapter(group, schema, section, options) {
+  const { deps, ...settings } = options || {};
+  return leva.useControls(
+    group,
+    toLevaSchema(schema, section),
+    options && settings,
+    deps
+  );
+}
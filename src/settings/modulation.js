@@ -0,0 +1,128 @@
+import { applyModulator } from "../utils/modulators";
+import { flattenSchema } from "./schema";
+
+// Modulation store: the modulators bound to settings controls, and the clock
+// they run on. useSettings passes every group's values through apply(), so a
+// bound control is modulated wherever it's read, and components re-render
+// only while one of their own controls is bound.
+//
+// Targets are "Group.key" strings. Any control declared with a numeric value
+// and both min and max can be a target; its range scales the modulator's
+// depth and offset, and clamps the result. The modulators' own controls
+// can't, so a modulator never feeds back into itself.
+
+export const MODULATION_GROUP = "Modulation";
+
+export function createModulationStore() {
+  const controls = new Map(); // "Group.key" -> { min, max }
+  const versions = new Map(); // Group -> render version
+  const listeners = new Set();
+  const controlListeners = new Set();
+  let controlsVersion = 0;
+  let modulators = [];
+  let triggers = [];
+  let bound = new Map(); // Group -> [{ key, slot, modulator }]
+  let time = 0;
+
+  const notify = (groups) => {
+    groups.forEach((group) => versions.set(group, getVersion(group) + 1));
+    listeners.forEach((listener) => listener());
+  };
+
+  const getVersion = (group) => versions.get(group) || 0;
+
+  const rebind = () => {
+    const previous = [...bound.keys()];
+    bound = new Map();
+    modulators.forEach((modulator, slot) => {
+      if (!modulator || !controls.has(modulator.target)) return;
+      const dot = modulator.target.indexOf(".");
+      const group = modulator.target.slice(0, dot);
+      if (!bound.has(group)) bound.set(group, []);
+      bound.get(group).push({
+        key: modulator.target.slice(dot + 1),
+        slot,
+        modulator,
+      });
+    });
+    // Groups that were unbound need one more render to drop the modulation
+    notify([...new Set([...previous, ...bound.keys()])]);
+  };
+
+  return {
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getVersion,
+
+    // Numeric controls that can be modulated
+    register(group, schema) {
+      if (group === MODULATION_GROUP) return;
+      let added = false;
+      Object.entries(flattenSchema(schema)).forEach(([key, entry]) => {
+        if (
+          entry === null ||
+          typeof entry !== "object" ||
+          typeof entry.value !== "number" ||
+          typeof entry.min !== "number" ||
+          typeof entry.max !== "number"
+        ) {
+          return;
+        }
+        const target = `${group}.${key}`;
+        if (!controls.has(target)) added = true;
+        controls.set(target, { min: entry.min, max: entry.max });
+      });
+      if (added) {
+        controlsVersion++;
+        controlListeners.forEach((listener) => listener());
+        // A modulator may have been waiting for this control
+        rebind();
+      }
+    },
+    subscribeControls(listener) {
+      controlListeners.add(listener);
+      return () => controlListeners.delete(listener);
+    },
+    getControlsVersion: () => controlsVersion,
+    getControls: () => [...controls.keys()].sort(),
+
+    // One modulator (or null for an empty slot) per slot
+    setModulators(list) {
+      modulators = list;
+      rebind();
+    },
+
+    // Fire slot's envelope from the current time
+    trigger(slot) {
+      triggers[slot] = time;
+      if (bound.size) notify([...bound.keys()]);
+    },
+
+    getTime: () => time,
+    setTime(value) {
+      if (value === time) return;
+      time = value;
+      if (bound.size) notify([...bound.keys()]);
+    },
+
+    // A group's values with its bound controls modulated; the same object
+    // when nothing in the group is bound
+    apply(group, values) {
+      const bindings = bound.get(group);
+      if (!bindings) return values;
+      const result = { ...values };
+      bindings.forEach(({ key, slot, modulator }) => {
+        if (typeof result[key] !== "number") return;
+        result[key] = applyModulator(
+          result[key],
+          { ...modulator, trigger: triggers[slot] },
+          time,
+          controls.get(`${group}.${key}`)
+        );
+      });
+      return result;
+    },
+  };
+}
@@ -0,0 +1,57 @@
+import { entryDefault, flattenSchema } from "./schema";
+import { GROUP_CONFIG_PATHS } from "./config";
+
+// Loosely typed overrides on top of the config, e.g. from a URL query.
+// Overrides are keyed by control key: a bare key ("speed", "lightColor")
+// sets that control in every group that has one, and a key qualified with
+// its config section ("motion.speed", "lights.1.intensity") sets it in that
+// group only, winning over the bare key. String values are converted to the
+// control's type, so "0" turns a switch off and "ff8800" is a color.
+
+const FALSE_STRINGS = /^(0|false|off|no)$/i;
+
+// `raw` as the type of `entry`'s value, or undefined if it doesn't fit
+export function coerceOverride(raw, entry) {
+  const current = entryDefault(entry);
+  if (typeof raw !== "string") {
+    return typeof raw === typeof current ? raw : undefined;
+  }
+  const options = entry && typeof entry === "object" && entry.options;
+  if (options) {
+    const values = Array.isArray(options) ? options : Object.values(options);
+    return values.find((value) => String(value) === raw);
+  }
+  if (typeof current === "boolean") return !FALSE_STRINGS.test(raw);
+  if (typeof current === "number") {
+    const value = Number(raw);
+    return raw.trim() !== "" && Number.isFinite(value) ? value : undefined;
+  }
+  if (
+    typeof current === "string" &&
+    current.startsWith("#") &&
+    /^([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(raw)
+  ) {
+    return `#${raw}`;
+  }
+  return typeof current === "string" ? raw : undefined;
+}
+
+// A group's config section with its overrides applied. Returns `section`
+// itself when none apply.
+export function applyOverrides(section, group, schema, overrides) {
+  if (!overrides) return section;
+  const prefix = (GROUP_CONFIG_PATHS[group] || [group]).join(".");
+  let result = section;
+  Object.entries(flattenSchema(schema)).forEach(([key, entry]) => {
+    const qualified = `${prefix}.${key}`;
+    const raw = qualified in overrides ? overrides[qualified] : overrides[key];
+    if (raw === undefined) return;
+    // Values that don't fit the control (e.g. "abc" for a number) are
+    // ignored
+    const value = coerceOverride(raw, entry);
+    if (value === undefined) return;
+    if (result === section) result = { ...section };
+    result[key] = value;
+  });
+  return result;
+}
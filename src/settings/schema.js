@@ -0,0 +1,49 @@
+// Settings schemas: the same shape Leva's useControls takes (a value, or an
+// object with value/min/max/options/label...), so a group can be shown as a
+// Leva panel, but without importing Leva. Folders, buttons and monitors are
+// plain markers here; the Leva adapter turns them into the real thing, and
+// without it buttons and monitors simply don't exist.
+
+const FOLDER = "folder";
+const BUTTON = "button";
+const MONITOR = "monitor";
+
+export const folder = (schema, options = {}) => ({
+  __settings: FOLDER,
+  schema,
+  options,
+});
+
+export const button = (onClick, options = {}) => ({
+  __settings: BUTTON,
+  onClick,
+  options,
+});
+
+export const monitor = (objectOrFn, options = {}) => ({
+  __settings: MONITOR,
+  objectOrFn,
+  options,
+});
+
+export const isFolder = (entry) => entry && entry.__settings === FOLDER;
+export const isButton = (entry) => entry && entry.__settings === BUTTON;
+export const isMonitor = (entry) => entry && entry.__settings === MONITOR;
+
+// Default value of one schema entry
+export function entryDefault(entry) {
+  if (entry !== null && typeof entry === "object" && "value" in entry) {
+    return entry.value;
+  }
+  return entry;
+}
+
+// Every value-holding entry, with folders flattened away (as Leva returns
+// them) and buttons/monitors left out
+export function flattenSchema(schema, target = {}) {
+  Object.entries(schema).forEach(([key, entry]) => {
+    if (isFolder(entry)) flattenSchema(entry.schema, target);
+    else if (!isButton(entry) && !isMonitor(entry)) target[key] = entry;
+  });
+  return target;
+}
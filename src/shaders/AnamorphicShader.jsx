@@ -0,0 +1,68 @@
+import { forwardRef, useEffect, useImperativeHandle, useMemo } from "react";
+import { BlendFunction, Effect, EffectAttribute } from "postprocessing";
+import * as THREE from "three";
+
+// Anamorphic streaks: the bright parts of the frame smeared horizontally and
+// tinted, like the flares of an anamorphic lens. A single pass of taps along
+// the row, jittered per pixel so long streaks don't break into copies.
+const fragmentShader = `
+uniform float uThreshold;
+uniform float uLength;    // Reach either side, as a fraction of the width
+uniform float uIntensity;
+uniform vec3 uTint;
+
+#define STREAK_TAPS 24
+
+const vec3 STREAK_LUMA = vec3(0.2126, 0.7152, 0.0722);
+
+void mainImage(const in vec4 inputColor, const in vec2 uv, out vec4 outputColor) {
+    float jitter = fract(sin(dot(uv, vec2(12.9898, 78.233))) * 43758.5453);
+    vec3 streak = vec3(0.0);
+    float total = 0.0;
+    for (int i = -STREAK_TAPS; i <= STREAK_TAPS; i++) {
+        float t = (float(i) + jitter - 0.5) / float(STREAK_TAPS);
+        // Brightest at the source, fading towards the ends
+        float weight = exp(-3.0 * abs(t));
+        vec3 color = texture2D(inputBuffer, uv + vec2(t * uLength, 0.0)).rgb;
+        float luminance = dot(color, STREAK_LUMA);
+        streak += color * max(luminance - uThreshold, 0.0) / max(luminance, 1e-4) * weight;
+        total += weight;
+    }
+    outputColor = vec4(streak / total * uTint * uIntensity, 1.0);
+}
+`;
+
+class AnamorphicEffect extends Effect {
+  constructor() {
+    super("AnamorphicEffect", fragmentShader, {
+      blendFunction: BlendFunction.ADD,
+      attributes: EffectAttribute.CONVOLUTION, // Reads neighbouring pixels
+      uniforms: new Map([
+        ["uThreshold", new THREE.Uniform(0.8)],
+        ["uLength", new THREE.Uniform(0.3)],
+        ["uIntensity", new THREE.Uniform(1)],
+        ["uTint", new THREE.Uniform(new THREE.Color())],
+      ]),
+    });
+  }
+}
+
+const AnamorphicShader = forwardRef(function AnamorphicShader(
+  { threshold = 0.8, length = 0.3, intensity = 1, tint = "#6f8cff" },
+  ref
+) {
+  const effect = useMemo(() => new AnamorphicEffect(), []);
+  useEffect(() => () => effect.dispose(), [effect]);
+
+  const uniforms = effect.uniforms;
+  uniforms.get("uThreshold").value = threshold;
+  uniforms.get("uLength").value = length;
+  uniforms.get("uIntensity").value = intensity;
+  uniforms.get("uTint").value.set(tint);
+
+  useImperativeHandle(ref, () => effect, [effect]);
+
+  return <primitive object={effect} dispose={null} />;
+});
+
+export default AnamorphicShader;
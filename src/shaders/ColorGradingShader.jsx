@@ -0,0 +1,374 @@
+import {
+  forwardRef,
+  useEffect,
+  useImperativeHandle,
+  useMemo,
+  useState,
+} from "react";
+import { Effect } from "postprocessing";
+import * as THREE from "three";
+import { useSettings } from "../settings/SettingsContext";
+import { button, folder } from "../settings/schema";
+import { parseCubeLut } from "../utils/cubeLut";
+
+// Color grading, in this order: exposure and white balance on the linear
+// HDR input, tone mapping, then contrast, lift/gamma/gain, saturation and an
+// optional .cube LUT in display (sRGB-encoded) space, where grades are
+// authored. Every control at its default leaves the image unchanged.
+const fragmentShader = `
+uniform int uToneMapping;    // See TONE_MAPPING
+uniform float uExposure;     // Linear multiplier
+uniform vec3 uWhiteBalance;  // Per-channel multiplier, luminance preserving
+uniform float uContrast;
+uniform float uSaturation;
+uniform vec3 uLift;
+uniform vec3 uGamma;
+uniform vec3 uGain;
+uniform lowp sampler3D tLut;
+uniform float uLutAmount;    // 0 without a LUT
+uniform float uLutSize;
+uniform vec3 uLutDomainMin;
+uniform vec3 uLutDomainMax;
+
+const vec3 GRADING_LUMA = vec3(0.2126, 0.7152, 0.0722);
+
+vec3 reinhard(vec3 color) {
+    return color / (1.0 + color);
+}
+
+// ACES fit by Stephen Hill, as used by three.js
+vec3 rrtAndOdtFit(vec3 v) {
+    vec3 a = v * (v + 0.0245786) - 0.000090537;
+    vec3 b = v * (0.983729 * v + 0.4329510) + 0.238081;
+    return a / b;
+}
+
+vec3 acesFilmic(vec3 color) {
+    const mat3 inputMat = mat3(
+        vec3(0.59719, 0.07600, 0.02840),
+        vec3(0.35458, 0.90834, 0.13383),
+        vec3(0.04823, 0.01566, 0.83777)
+    );
+    const mat3 outputMat = mat3(
+        vec3(1.60475, -0.10208, -0.00327),
+        vec3(-0.53108, 1.10813, -0.07276),
+        vec3(-0.07367, -0.00605, 1.07602)
+    );
+    color = inputMat * (color / 0.6);
+    color = rrtAndOdtFit(color);
+    return clamp(outputMat * color, 0.0, 1.0);
+}
+
+// Minimal AgX (sRGB primaries, default look)
+vec3 agx(vec3 color) {
+    const mat3 inset = mat3(
+        vec3(0.842479062253094, 0.0423282422610123, 0.0423756549057051),
+        vec3(0.0784335999999992, 0.878468636469772, 0.0784336),
+        vec3(0.0792237451477643, 0.0791661274605434, 0.879142973793104)
+    );
+    const mat3 outset = mat3(
+        vec3(1.19687900512017, -0.0528968517574562, -0.0529716355144438),
+        vec3(-0.0980208811401368, 1.15190312990417, -0.0980434501171241),
+        vec3(-0.0990297440797205, -0.0989611768448433, 1.15107367264116)
+    );
+    const float minEv = -12.47393;
+    const float maxEv = 4.026069;
+    color = inset * color;
+    color = clamp(log2(max(color, vec3(1e-10))), minEv, maxEv);
+    color = (color - minEv) / (maxEv - minEv);
+    vec3 x2 = color * color;
+    vec3 x4 = x2 * x2;
+    color = 15.5 * x4 * x2 - 40.14 * x4 * color + 31.96 * x4
+        - 6.868 * x2 * color + 0.4298 * x2 + 0.1191 * color - 0.00232;
+    return pow(max(outset * color, vec3(0.0)), vec3(2.2));
+}
+
+// Khronos PBR Neutral
+vec3 neutral(vec3 color) {
+    const float startCompression = 0.8 - 0.04;
+    const float desaturation = 0.15;
+    float x = min(color.r, min(color.g, color.b));
+    float offset = x < 0.08 ? x - 6.25 * x * x : 0.04;
+    color -= offset;
+    float peak = max(color.r, max(color.g, color.b));
+    if (peak < startCompression) return color;
+    const float d = 1.0 - startCompression;
+    float newPeak = 1.0 - d * d / (peak + d - startCompression);
+    color *= newPeak / peak;
+    float g = 1.0 - 1.0 / (desaturation * (peak - newPeak) + 1.0);
+    return mix(color, vec3(newPeak), g);
+}
+
+// Optimized Cineon by Jim Hejl and Richard Burgess-Dawson
+vec3 cineon(vec3 color) {
+    color = max(vec3(0.0), color - 0.004);
+    return pow(
+        (color * (6.2 * color + 0.5)) / (color * (6.2 * color + 1.7) + 0.06),
+        vec3(2.2)
+    );
+}
+
+vec3 toneMap(vec3 color) {
+    if (uToneMapping == 1) return reinhard(color);
+    if (uToneMapping == 2) return acesFilmic(color);
+    if (uToneMapping == 3) return agx(color);
+    if (uToneMapping == 4) return neutral(color);
+    if (uToneMapping == 5) return cineon(color);
+    return color;
+}
+
+vec3 encodeSrgb(vec3 c) {
+    c = max(c, vec3(0.0));
+    return mix(c * 12.92, 1.055 * pow(c, vec3(1.0 / 2.4)) - 0.055, step(0.0031308, c));
+}
+
+vec3 decodeSrgb(vec3 c) {
+    c = max(c, vec3(0.0));
+    return mix(c / 12.92, pow((c + 0.055) / 1.055, vec3(2.4)), step(0.04045, c));
+}
+
+vec3 applyLut(vec3 color) {
+    vec3 uvw = clamp((color - uLutDomainMin) / (uLutDomainMax - uLutDomainMin), 0.0, 1.0);
+    // Sample texel centres, so 0 and 1 hit the first and last entries
+    uvw = uvw * ((uLutSize - 1.0) / uLutSize) + 0.5 / uLutSize;
+    return texture(tLut, uvw).rgb;
+}
+
+void mainImage(const in vec4 inputColor, const in vec2 uv, out vec4 outputColor) {
+    vec3 color = inputColor.rgb * uExposure * uWhiteBalance;
+    color = encodeSrgb(toneMap(color));
+
+    color = (color - 0.5) * uContrast + 0.5;
+    color = uGain * (color + uLift * (1.0 - color));
+    color = pow(max(color, vec3(0.0)), 1.0 / uGamma);
+    color = mix(vec3(dot(color, GRADING_LUMA)), color, uSaturation);
+    if (uLutAmount > 0.0) {
+        color = mix(color, applyLut(color), uLutAmount);
+    }
+
+    outputColor = vec4(decodeSrgb(color), inputColor.a);
+}
+`;
+
+export const TONE_MAPPING = {
+  None: "none",
+  Reinhard: "reinhard",
+  "ACES Filmic": "aces",
+  AgX: "agx",
+  Neutral: "neutral",
+  Cineon: "cineon",
+};
+const TONE_MAPPING_INDEX = Object.fromEntries(
+  Object.values(TONE_MAPPING).map((mode, i) => [mode, i])
+);
+
+// Per-channel multiplier for a temperature (-1 cool .. 1 warm) and tint
+// (-1 green .. 1 magenta), scaled to keep luminance
+export function getWhiteBalance(
+  temperature,
+  tint,
+  target = new THREE.Vector3()
+) {
+  target.set(
+    1 + temperature * 0.3 + tint * 0.1,
+    1 - tint * 0.3,
+    1 - temperature * 0.3 + tint * 0.1
+  );
+  const luminance = 0.2126 * target.x + 0.7152 * target.y + 0.0722 * target.z;
+  return target.divideScalar(luminance);
+}
+
+// 3D texture for a parsed LUT (see utils/cubeLut). Half floats filter
+// linearly everywhere WebGL2 runs.
+export function createLutTexture({ size, data }) {
+  const texels = new Uint16Array(size * size * size * 4);
+  for (let i = 0; i < size * size * size; i++) {
+    texels[i * 4] = THREE.DataUtils.toHalfFloat(data[i * 3]);
+    texels[i * 4 + 1] = THREE.DataUtils.toHalfFloat(data[i * 3 + 1]);
+    texels[i * 4 + 2] = THREE.DataUtils.toHalfFloat(data[i * 3 + 2]);
+    texels[i * 4 + 3] = THREE.DataUtils.toHalfFloat(1);
+  }
+  const texture = new THREE.Data3DTexture(texels, size, size, size);
+  texture.type = THREE.HalfFloatType;
+  texture.format = THREE.RGBAFormat;
+  texture.minFilter = THREE.LinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.wrapS = THREE.ClampToEdgeWrapping;
+  texture.wrapT = THREE.ClampToEdgeWrapping;
+  texture.wrapR = THREE.ClampToEdgeWrapping;
+  texture.unpackAlignment = 1;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+class ColorGradingEffect extends Effect {
+  constructor() {
+    super("ColorGradingEffect", fragmentShader, {
+      uniforms: new Map([
+        ["uToneMapping", new THREE.Uniform(0)],
+        ["uExposure", new THREE.Uniform(1)],
+        ["uWhiteBalance", new THREE.Uniform(new THREE.Vector3(1, 1, 1))],
+        ["uContrast", new THREE.Uniform(1)],
+        ["uSaturation", new THREE.Uniform(1)],
+        ["uLift", new THREE.Uniform(new THREE.Vector3(0, 0, 0))],
+        ["uGamma", new THREE.Uniform(new THREE.Vector3(1, 1, 1))],
+        ["uGain", new THREE.Uniform(new THREE.Vector3(1, 1, 1))],
+        ["tLut", new THREE.Uniform(null)],
+        ["uLutAmount", new THREE.Uniform(0)],
+        ["uLutSize", new THREE.Uniform(2)],
+        ["uLutDomainMin", new THREE.Uniform(new THREE.Vector3(0, 0, 0))],
+        ["uLutDomainMax", new THREE.Uniform(new THREE.Vector3(1, 1, 1))],
+      ]),
+    });
+    // Bound until a LUT is loaded, so the sampler always has a 3D texture
+    this.emptyLut = createLutTexture({
+      size: 2,
+      data: new Float32Array(2 * 2 * 2 * 3),
+    });
+    this.setLut(null);
+  }
+
+  setLut(lut, texture) {
+    this.uniforms.get("tLut").value = texture || this.emptyLut;
+    this.uniforms.get("uLutSize").value = lut ? lut.size : 2;
+    this.uniforms
+      .get("uLutDomainMin")
+      .value.fromArray(lut ? lut.domainMin : [0, 0, 0]);
+    this.uniforms
+      .get("uLutDomainMax")
+      .value.fromArray(lut ? lut.domainMax : [1, 1, 1]);
+  }
+
+  dispose() {
+    this.emptyLut.dispose();
+    super.dispose();
+  }
+}
+
+function pickLutFile() {
+  return new Promise((resolve) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".cube";
+    input.addEventListener("change", () => {
+      resolve((input.files && input.files[0]) || null);
+    });
+    input.addEventListener("cancel", () => resolve(null));
+    input.click();
+  });
+}
+
+const channelControls = (prefix, value, min, max) =>
+  Object.fromEntries(
+    ["R", "G", "B"].map((channel) => [
+      `${prefix}${channel}`,
+      { value, min, max, step: 0.01, label: channel },
+    ])
+  );
+
+const ColorGradingShader = forwardRef(function ColorGradingShader(_, ref) {
+  const effect = useMemo(() => new ColorGradingEffect(), []);
+  useEffect(() => () => effect.dispose(), [effect]);
+  // The parsed LUT, from "LUT URL" or a picked .cube file
+  const [lutText, setLutText] = useState(null);
+  const [lut, setLut] = useState(null);
+
+  const controls = useSettings(
+    "Color Grading",
+    {
+      Tone: folder({
+        toneMapping: {
+          value: "none",
+          options: TONE_MAPPING,
+          label: "Tone Mapping",
+        },
+        exposure: { value: 0, min: -5, max: 5, step: 0.05, hint: "Stops" },
+        contrast: { value: 1, min: 0, max: 2, step: 0.01 },
+        saturation: { value: 1, min: 0, max: 2, step: 0.01 },
+      }),
+      "White Balance": folder({
+        temperature: { value: 0, min: -1, max: 1, step: 0.01 },
+        tint: { value: 0, min: -1, max: 1, step: 0.01 },
+      }),
+      Lift: folder(channelControls("lift", 0, -0.5, 0.5), { collapsed: true }),
+      Gamma: folder(channelControls("gamma", 1, 0.2, 3), { collapsed: true }),
+      Gain: folder(channelControls("gain", 1, 0, 3), { collapsed: true }),
+      LUT: folder({
+        "Load LUT": button(() => {
+          pickLutFile().then((file) => file && file.text().then(setLutText));
+        }),
+        lutUrl: { value: "", label: "LUT URL" },
+        lutAmount: { value: 1, min: 0, max: 1, step: 0.01, label: "Amount" },
+      }),
+    },
+    { collapsed: true }
+  );
+
+  // A picked file wins over the URL until the URL is changed
+  useEffect(() => {
+    if (!controls.lutUrl) {
+      setLutText(null);
+      return undefined;
+    }
+    let cancelled = false;
+    fetch(controls.lutUrl)
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.text();
+      })
+      .then((text) => !cancelled && setLutText(text))
+      .catch((e) => !cancelled && console.warn(`LUT failed: ${e.message}`));
+    return () => {
+      cancelled = true;
+    };
+  }, [controls.lutUrl]);
+
+  useEffect(() => {
+    if (!lutText) {
+      setLut(null);
+      return;
+    }
+    try {
+      setLut(parseCubeLut(lutText));
+    } catch (e) {
+      console.warn(`LUT failed: ${e.message}`);
+      setLut(null);
+    }
+  }, [lutText]);
+
+  useEffect(() => {
+    const texture = lut ? createLutTexture(lut) : null;
+    effect.setLut(lut, texture);
+    return () => texture && texture.dispose();
+  }, [effect, lut]);
+
+  useEffect(() => {
+    const uniforms = effect.uniforms;
+    uniforms.get("uToneMapping").value =
+      TONE_MAPPING_INDEX[controls.toneMapping] || 0;
+    uniforms.get("uExposure").value = Math.pow(2, controls.exposure);
+    getWhiteBalance(
+      controls.temperature,
+      controls.tint,
+      uniforms.get("uWhiteBalance").value
+    );
+    uniforms.get("uContrast").value = controls.contrast;
+    uniforms.get("uSaturation").value = controls.saturation;
+    uniforms
+      .get("uLift")
+      .value.set(controls.liftR, controls.liftG, controls.liftB);
+    uniforms
+      .get("uGamma")
+      .value.set(controls.gammaR, controls.gammaG, controls.gammaB);
+    uniforms
+      .get("uGain")
+      .value.set(controls.gainR, controls.gainG, controls.gainB);
+    uniforms.get("uLutAmount").value = lut ? controls.lutAmount : 0;
+  });
+
+  useImperativeHandle(ref, () => effect, [effect]);
+
+  return <primitive object={effect} dispose={null} />;
+});
+
+export default ColorGradingShader;
@@ -0,0 +1,87 @@
+import { forwardRef, useEffect, useImperativeHandle, useMemo } from "react";
+import { BlendFunction, Effect } from "postprocessing";
+import * as THREE from "three";
+import { generateLensDirt } from "../utils/lensDirt";
+
+// Lens dirt lit by the bloom: the bloom effect's blurred glow, masked by a
+// dirt texture and added on top, so specks and smudges catch the light
+// wherever the frame is bright. Needs a bloom effect to read from; without
+// one it adds nothing.
+const fragmentShader = `
+uniform sampler2D tBloom;
+uniform sampler2D tDirt;
+uniform float uIntensity;
+
+void mainImage(const in vec4 inputColor, const in vec2 uv, out vec4 outputColor) {
+    vec3 glow = texture2D(tBloom, uv).rgb;
+    outputColor = vec4(glow * texture2D(tDirt, uv).r * uIntensity, 1.0);
+}
+`;
+
+class LensDirtEffect extends Effect {
+  constructor() {
+    super("LensDirtEffect", fragmentShader, {
+      blendFunction: BlendFunction.ADD,
+      uniforms: new Map([
+        ["tBloom", new THREE.Uniform(null)],
+        ["tDirt", new THREE.Uniform(null)],
+        ["uIntensity", new THREE.Uniform(0)],
+      ]),
+    });
+    this.bloom = null; // Ref to the BloomEffect whose glow lights the dirt
+    // Bound while there's no bloom, so the sampler is never empty
+    this.black = new THREE.DataTexture(new Uint8Array(4), 1, 1);
+    this.black.needsUpdate = true;
+  }
+
+  setDirt(dirt) {
+    const previous = this.uniforms.get("tDirt").value;
+    const texture = new THREE.DataTexture(
+      dirt.data,
+      dirt.size,
+      dirt.size,
+      THREE.RedFormat
+    );
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+    this.uniforms.get("tDirt").value = texture;
+    if (previous) previous.dispose();
+  }
+
+  // The bloom renders its glow in its own update, earlier in the chain (a
+  // frame late if the dirt comes first)
+  update() {
+    const bloom = this.bloom && this.bloom.current;
+    this.uniforms.get("tBloom").value = bloom ? bloom.texture : this.black;
+  }
+
+  dispose() {
+    const dirt = this.uniforms.get("tDirt").value;
+    if (dirt) dirt.dispose();
+    this.black.dispose();
+    super.dispose();
+  }
+}
+
+// `bloom` is a ref to the chain's <Bloom>
+const LensDirtShader = forwardRef(function LensDirtShader(
+  { bloom, intensity = 2, seed = 1, spots = 80 },
+  ref
+) {
+  const effect = useMemo(() => new LensDirtEffect(), []);
+  useEffect(() => () => effect.dispose(), [effect]);
+
+  useEffect(() => {
+    effect.setDirt(generateLensDirt({ seed, spots }));
+  }, [effect, seed, spots]);
+
+  effect.bloom = bloom;
+  effect.uniforms.get("uIntensity").value = intensity;
+
+  useImperativeHandle(ref, () => effect, [effect]);
+
+  return <primitive object={effect} dispose={null} />;
+});
+
+export default LensDirtShader;
@@ -0,0 +1,169 @@
+import { forwardRef, useEffect, useImperativeHandle, useMemo } from "react";
+import { BlendFunction, Effect, EffectAttribute } from "postprocessing";
+import * as THREE from "three";
+import { useFrame, useThree } from "@react-three/fiber";
+import {
+  getShutterTime,
+  getSpeedFactor,
+  getSpeedLinesAmount,
+} from "../utils/speedEffects";
+
+// Motion blur from the tunnel's travel, plus optional speed lines. Every
+// surface moves past the camera at the tunnel's velocity, so its motion on
+// screen follows from its depth: near surfaces and the edges of the frame
+// streak, the far end of the tunnel stays sharp. The blur covers the
+// distance travelled while the shutter is open.
+const fragmentShader = `
+uniform vec3 uDisplacement;   // Scene movement while the shutter is open, in view space
+uniform vec2 uProjectionScale; // The projection's x and y focal scale
+uniform float uMaxBlur;        // Longest streak, in uv
+uniform vec2 uVanishingPoint;  // Where the direction of travel meets the screen, in uv
+uniform float uSpeedLines;
+uniform float uLineCount;
+uniform float uLinePhase;      // Distance travelled, so the lines move with the tunnel
+
+float speedLineHash(float n) {
+    return fract(sin(n * 91.3458) * 47453.5453);
+}
+
+void mainImage(const in vec4 inputColor, const in vec2 uv, const in float depth, out vec4 outputColor) {
+    // The surface's view position, and how far its projection moves for
+    // uDisplacement (the derivative of the perspective divide)
+    float viewZ = getViewZ(depth);
+    vec2 position = (uv * 2.0 - 1.0) * -viewZ / uProjectionScale;
+    vec2 blur = uProjectionScale * (uDisplacement.xy * -viewZ + position * uDisplacement.z) / (viewZ * viewZ) * 0.5;
+    float blurLength = length(blur);
+    if (blurLength > uMaxBlur) blur *= uMaxBlur / blurLength;
+
+    vec3 color = inputColor.rgb;
+    if (blurLength > 1e-4) {
+        // Centred on the pixel, jittered so few samples band less
+        float jitter = fract(sin(dot(uv, vec2(12.9898, 78.233))) * 43758.5453);
+        color = vec3(0.0);
+        for (int i = 0; i < MOTION_BLUR_SAMPLES; i++) {
+            float t = (float(i) + jitter) / float(MOTION_BLUR_SAMPLES) - 0.5;
+            color += texture2D(inputBuffer, uv + blur * t).rgb;
+        }
+        color /= float(MOTION_BLUR_SAMPLES);
+    }
+
+    if (uSpeedLines > 0.0) {
+        // Thin rays out of the vanishing point, every other lane lit, broken
+        // into dashes that run outwards as the tunnel moves
+        vec2 offset = (uv - uVanishingPoint) * vec2(aspect, 1.0);
+        float radius = length(offset);
+        float around = (atan(offset.y, offset.x) / 6.2831853 + 0.5) * uLineCount;
+        float lane = floor(around);
+        float seed = speedLineHash(lane);
+        float width = mix(0.05, 0.2, speedLineHash(lane + 17.0));
+        float line = 1.0 - smoothstep(0.0, width, abs(fract(around) - 0.5));
+        float dash = pow(sin(3.14159265 * fract(radius * (1.0 + 2.0 * seed) - uLinePhase * (0.5 + seed))), 4.0);
+        // Clear in the middle, where the lines would crowd together
+        float fade = smoothstep(0.2, 0.8, radius);
+        color += vec3(line * dash * fade * step(0.5, seed) * uSpeedLines);
+    }
+
+    outputColor = vec4(color, inputColor.a);
+}
+`;
+
+class MotionBlurEffect extends Effect {
+  constructor() {
+    super("MotionBlurEffect", fragmentShader, {
+      blendFunction: BlendFunction.NORMAL,
+      // Reads neighbouring pixels, and the depth for each pixel's motion
+      attributes: EffectAttribute.CONVOLUTION | EffectAttribute.DEPTH,
+      defines: new Map([["MOTION_BLUR_SAMPLES", "16"]]),
+      uniforms: new Map([
+        ["uDisplacement", new THREE.Uniform(new THREE.Vector3())],
+        ["uProjectionScale", new THREE.Uniform(new THREE.Vector2(1, 1))],
+        ["uMaxBlur", new THREE.Uniform(0.1)],
+        ["uVanishingPoint", new THREE.Uniform(new THREE.Vector2(0.5, 0.5))],
+        ["uSpeedLines", new THREE.Uniform(0)],
+        ["uLineCount", new THREE.Uniform(60)],
+        ["uLinePhase", new THREE.Uniform(0)],
+      ]),
+    });
+  }
+
+  get samples() {
+    return Number(this.defines.get("MOTION_BLUR_SAMPLES"));
+  }
+
+  set samples(value) {
+    if (this.defines.get("MOTION_BLUR_SAMPLES") !== String(value)) {
+      this.defines.set("MOTION_BLUR_SAMPLES", String(value));
+      this.setChanged();
+    }
+  }
+}
+
+// Scratch objects, reused every frame
+const _quaternion = new THREE.Quaternion();
+const _direction = new THREE.Vector3();
+
+// `travel` is Scene's per-frame { velocity, distance, frameTime }: the
+// world-space velocity of the tunnel past the camera, the distance it has
+// travelled and the frame's duration. `settings` are the "Speed Effects"
+// values and `quality` the current tier, whose sample count caps the
+// control's.
+const MotionBlurShader = forwardRef(function MotionBlurShader(
+  { travel, settings, quality },
+  ref
+) {
+  const { camera } = useThree();
+  const effect = useMemo(() => new MotionBlurEffect(), []);
+  useEffect(() => () => effect.dispose(), [effect]);
+
+  useImperativeHandle(ref, () => effect, [effect]);
+
+  useFrame(() => {
+    const uniforms = effect.uniforms;
+    effect.samples = quality
+      ? Math.min(settings.motionBlurSamples, quality.motionBlurSamples)
+      : settings.motionBlurSamples;
+
+    // The travel in the camera's frame
+    camera.getWorldQuaternion(_quaternion).invert();
+    _direction.copy(travel.velocity).applyQuaternion(_quaternion);
+    const exposure = settings.motionBlurEnabled
+      ? getShutterTime(settings.motionBlurShutter, travel.frameTime) *
+        settings.motionBlurStrength
+      : 0;
+    uniforms
+      .get("uDisplacement")
+      .value.copy(_direction)
+      .multiplyScalar(exposure);
+    const projection = camera.projectionMatrix.elements;
+    uniforms.get("uProjectionScale").value.set(projection[0], projection[5]);
+
+    // The camera heads against the tunnel's motion; when that's behind it
+    // (the tunnel running in reverse) the lines meet at the point it's
+    // leaving instead
+    if (_direction.z > 0) _direction.negate();
+    const depth = Math.max(-_direction.z, 1e-3);
+    uniforms
+      .get("uVanishingPoint")
+      .value.set(
+        THREE.MathUtils.clamp((projection[0] * _direction.x) / depth, -4, 4),
+        THREE.MathUtils.clamp((projection[5] * _direction.y) / depth, -4, 4)
+      )
+      .multiplyScalar(0.5)
+      .addScalar(0.5);
+
+    const speedFactor = getSpeedFactor(
+      travel.velocity.length(),
+      settings.warpSpeed
+    );
+    uniforms.get("uSpeedLines").value = settings.speedLinesEnabled
+      ? settings.speedLinesIntensity *
+        getSpeedLinesAmount(speedFactor, settings.speedLinesStart)
+      : 0;
+    uniforms.get("uLineCount").value = settings.speedLinesCount;
+    uniforms.get("uLinePhase").value = travel.distance * 0.05;
+  });
+
+  return <primitive object={effect} dispose={null} />;
+});
+
+export default MotionBlurShader;
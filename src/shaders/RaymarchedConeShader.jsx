@@ -0,0 +1,181 @@
+import { forwardRef, useImperativeHandle, useMemo } from "react";
+import { Effect, BlendFunction, EffectAttribute } from "postprocessing";
+import * as THREE from "three";
+import { useFrame, useThree } from "@react-three/fiber";
+import { useTexture } from "@react-three/drei";
+import { useSettings } from "../settings/SettingsContext";
+import fragmentShader from "./glsl/volumetricLight.frag?raw";
+import noiseTextureUrl from "../assets/perlin_noise_512.png";
+import { MAX_VOLUMETRIC_LIGHTS } from "../components/VolumetricSpotLight";
+
+// One uniform value per light slot
+const perLight = (create) =>
+  new THREE.Uniform(Array.from({ length: MAX_VOLUMETRIC_LIGHTS }, create));
+
+// Depth-aware raymarched spotlight cones. Unlike the screen-space god rays this
+// works in world space, so the beams stay correct when a light is off-screen,
+// and it samples each spotlight's shadow map so particles cut shafts through it.
+class RaymarchedConeEffect extends Effect {
+  constructor({ noiseTexture = null } = {}) {
+    super("RaymarchedConeEffect", fragmentShader, {
+      blendFunction: BlendFunction.ADD,
+      attributes: EffectAttribute.DEPTH, // Needed to stop the march at the visible surface
+      defines: new Map([["MAX_LIGHTS", String(MAX_VOLUMETRIC_LIGHTS)]]),
+      uniforms: new Map([
+        ["noiseTexture", new THREE.Uniform(noiseTexture)],
+        ["shadowMap0", new THREE.Uniform(null)],
+        ["shadowMap1", new THREE.Uniform(null)],
+        ["shadowMap2", new THREE.Uniform(null)],
+        ["shadowMap3", new THREE.Uniform(null)],
+        ["shadowMatrix", perLight(() => new THREE.Matrix4())],
+        ["lightShadows", perLight(() => false)],
+        ["uProjectionMatrixInverse", new THREE.Uniform(new THREE.Matrix4())],
+        ["uCameraWorldMatrix", new THREE.Uniform(new THREE.Matrix4())],
+        ["uCameraPosition", new THREE.Uniform(new THREE.Vector3())],
+        ["uLightCount", new THREE.Uniform(0)],
+        ["lightPosition", perLight(() => new THREE.Vector3())],
+        ["lightDirection", perLight(() => new THREE.Vector3(0, -1, 0))],
+        ["lightColor", perLight(() => new THREE.Color(1, 1, 1))],
+        ["coneCos", perLight(() => Math.cos(Math.PI / 3))],
+        ["penumbraCos", perLight(() => Math.cos(Math.PI / 3))],
+        ["lightDistance", perLight(() => 0)],
+        ["maxDistance", new THREE.Uniform(200)],
+        ["fIntensity", new THREE.Uniform(1)],
+        ["fAttenuation", new THREE.Uniform(0.01)],
+        ["fNoiseAmount", new THREE.Uniform(0.5)],
+        ["fNoiseScale", new THREE.Uniform(0.05)],
+        ["fShadowBias", new THREE.Uniform(0.0005)],
+        ["uShadows", new THREE.Uniform(true)],
+        ["uVarianceShadows", new THREE.Uniform(false)],
+        ["uJitter", new THREE.Uniform(true)],
+        ["uSamples", new THREE.Uniform(64)],
+        ["uFrame", new THREE.Uniform(0)],
+      ]),
+    });
+  }
+}
+
+const RaymarchedConeShader = forwardRef(function RaymarchedConeShader(
+  props,
+  ref
+) {
+  const { camera } = useThree();
+  const noiseTexture = useTexture(noiseTextureUrl);
+  const effect = useMemo(() => {
+    noiseTexture.wrapS = noiseTexture.wrapT = THREE.RepeatWrapping;
+    return new RaymarchedConeEffect({ noiseTexture });
+  }, [noiseTexture]);
+
+  const coneControls = useSettings("Raymarch Params", {
+    coneIntensity: {
+      value: 0.08,
+      min: 0,
+      max: 1,
+      step: 0.005,
+      label: "Intensity",
+    },
+    coneAttenuation: {
+      value: 0.005,
+      min: 0,
+      max: 0.2,
+      step: 0.001,
+      label: "Attenuation",
+    },
+    coneSamples: { value: 64, min: 8, max: 128, step: 1, label: "Samples" },
+    coneNoiseAmount: {
+      value: 0.5,
+      min: 0,
+      max: 1,
+      step: 0.01,
+      label: "Noise Amount",
+    },
+    coneNoiseScale: {
+      value: 0.05,
+      min: 0.005,
+      max: 0.5,
+      step: 0.005,
+      label: "Noise Scale",
+    },
+    coneShadows: { value: true, label: "Shadow Shafts" },
+    coneShadowBias: {
+      value: 0.0005,
+      min: 0,
+      max: 0.01,
+      step: 0.0001,
+      label: "Shadow Bias",
+    },
+    coneJitter: { value: true, label: "Jitter" },
+  });
+
+  useImperativeHandle(ref, () => effect, [effect]);
+
+  // Scratch vectors, reused every frame
+  const lightPosition = useMemo(() => new THREE.Vector3(), []);
+  const targetPosition = useMemo(() => new THREE.Vector3(), []);
+
+  useFrame((state) => {
+    if (!props.lights) return;
+    // props.lights is a ref holding the scene's THREE.SpotLights (unmounted
+    // slots are left null at the end)
+    const lights = props.lights.current
+      .filter(Boolean)
+      .slice(0, MAX_VOLUMETRIC_LIGHTS);
+    const uniforms = effect.uniforms;
+
+    // Cone geometry straight from each <spotLight>
+    lights.forEach((light, i) => {
+      light.getWorldPosition(lightPosition);
+      light.target.getWorldPosition(targetPosition);
+      uniforms.get("lightPosition").value[i].copy(lightPosition);
+      uniforms
+        .get("lightDirection")
+        .value[i].subVectors(targetPosition, lightPosition)
+        .normalize();
+      uniforms.get("lightColor").value[i].copy(light.color);
+      uniforms.get("coneCos").value[i] = Math.cos(light.angle);
+      uniforms.get("penumbraCos").value[i] = Math.cos(
+        light.angle * (1 - light.penumbra)
+      );
+      uniforms.get("lightDistance").value[i] = light.distance;
+
+      // The shadow map only exists once the light has rendered shadows
+      const shadowMap = light.castShadow && light.shadow.map;
+      uniforms.get("lightShadows").value[i] = Boolean(shadowMap);
+      if (shadowMap) {
+        uniforms.get(`shadowMap${i}`).value = shadowMap.texture;
+        uniforms.get("shadowMatrix").value[i].copy(light.shadow.matrix);
+      }
+    });
+    uniforms.get("uLightCount").value = lights.length;
+
+    // Camera, for reconstructing world positions from depth
+    uniforms
+      .get("uProjectionMatrixInverse")
+      .value.copy(camera.projectionMatrixInverse);
+    uniforms.get("uCameraWorldMatrix").value.copy(camera.matrixWorld);
+    camera.getWorldPosition(uniforms.get("uCameraPosition").value);
+    uniforms.get("maxDistance").value = camera.far;
+
+    uniforms.get("uShadows").value = coneControls.coneShadows;
+    // VSM maps hold the depth mean and spread as two packed halves instead
+    // of packed depth
+    uniforms.get("uVarianceShadows").value =
+      state.gl.shadowMap.type === THREE.VSMShadowMap;
+    uniforms.get("fIntensity").value =
+      coneControls.coneIntensity *
+      (props.audio ? props.audio.volumetricIntensity : 1);
+    uniforms.get("fAttenuation").value = coneControls.coneAttenuation;
+    uniforms.get("uSamples").value = props.quality
+      ? Math.min(coneControls.coneSamples, props.quality.raymarchSamples)
+      : coneControls.coneSamples;
+    uniforms.get("fNoiseAmount").value = coneControls.coneNoiseAmount;
+    uniforms.get("fNoiseScale").value = coneControls.coneNoiseScale;
+    uniforms.get("fShadowBias").value = coneControls.coneShadowBias;
+    uniforms.get("uJitter").value = coneControls.coneJitter;
+    uniforms.get("uFrame").value = (uniforms.get("uFrame").value + 1) % 1024;
+  });
+
+  return <primitive object={effect} />;
+});
+
+export default RaymarchedConeShader;
@@ -8,7 +8,9 @@ import {
 import { Effect, BlendFunction, EffectAttribute } from "postprocessing";
 import * as THREE from "three";
 import { useFrame, useThree } from "@react-three/fiber";
-import { useControls } from "leva"; // Re-enable Leva
+import { useSettings } from "../settings/SettingsContext";
+import { OCCLUSION_LAYER } from "../utils/layers";
+import { MAX_VOLUMETRIC_LIGHTS } from "../components/VolumetricSpotLight";
 
 // Minimal Fragment Shader (Green Tint with Forced Alpha)
 // const minimalFragmentShader = `...`; // Old minimal shader
@@ -17,8 +19,11 @@ import { useControls } from "leva"; // Re-enable Leva
 const fragmentShader = `
 // varying vec2 vUv; // REMOVED: Provided by postprocessing library
 
-uniform sampler2D tInput;
-uniform vec2 lightPosition; // Screen-space light position (-1 to 1)
+uniform sampler2D tInput; // Occlusion pass: one light per channel, black occluders
+uniform vec2 uTexelSize;  // Texel size of tInput (may be below full resolution)
+uniform vec2 lightPosition[MAX_LIGHTS]; // Screen-space light positions (0 to 1)
+uniform vec3 lightColor[MAX_LIGHTS];    // Tint for each light's rays
+uniform int uLightCount;
 uniform float fExposure;
 uniform float fDecay;
 uniform float fDensity;
@@ -28,60 +33,151 @@ uniform bool uBlur;       // New uniform for toggling blur
 
 const int MAX_SAMPLES = 120; // Max samples to avoid hardware limits in loop
 
-// Replaced main() with mainImage to conform to postprocessing Effect requirements
-void mainImage(const in vec4 inputColor, const in vec2 uv, out vec4 outputColor) {
-    vec2 texCoord = uv; // UPDATED: Use uv from mainImage arguments (screen UVs)
-    vec2 deltaTexCoord = (texCoord - lightPosition);
+vec4 sampleOcclusion(vec2 texCoord) {
+    if (uBlur) {
+        // 5-tap blur (center weighted)
+        vec4 s = texture2D(tInput, texCoord) * 0.4; // Center sample
+        s += texture2D(tInput, texCoord + vec2(uTexelSize.x, 0.0)) * 0.15;  // Right
+        s += texture2D(tInput, texCoord - vec2(uTexelSize.x, 0.0)) * 0.15;  // Left
+        s += texture2D(tInput, texCoord + vec2(0.0, uTexelSize.y)) * 0.15;  // Up
+        s += texture2D(tInput, texCoord - vec2(0.0, uTexelSize.y)) * 0.15;  // Down
+        return s;
+    }
+    return texture2D(tInput, texCoord);
+}
+
+// Radial blur of one light's channel towards its screen position
+float radialBlur(vec2 uv, vec2 center, vec4 channel) {
+    vec2 texCoord = uv;
+    vec2 deltaTexCoord = (texCoord - center);
     deltaTexCoord *= 1.0 / float(uSamples) * fDensity; // Adjust step based on density & samples
     float illuminationDecay = 1.0;
-    vec4 FragColor = vec4(0.0);
+    float illumination = 0.0;
 
-    for (int i = 0; i < min(uSamples, MAX_SAMPLES); i++) {
+    for (int i = 0; i < MAX_SAMPLES; i++) {
+        if (i >= uSamples) break;
         texCoord -= deltaTexCoord;
-        vec4 currentSampleColor;
-
-        if (uBlur) {
-            // 5-tap blur (center weighted)
-            vec4 s = texture2D(tInput, texCoord) * 0.4; // Center sample
-            s += texture2D(tInput, texCoord + vec2(texelSize.x, 0.0)) * 0.15;  // Right
-            s += texture2D(tInput, texCoord - vec2(texelSize.x, 0.0)) * 0.15;  // Left
-            s += texture2D(tInput, texCoord + vec2(0.0, texelSize.y)) * 0.15;  // Up
-            s += texture2D(tInput, texCoord - vec2(0.0, texelSize.y)) * 0.15;  // Down
-            currentSampleColor = s;
-        } else {
-            currentSampleColor = texture2D(tInput, texCoord);
-        }
-
-        currentSampleColor *= illuminationDecay * fWeight; // Apply weight and decay
-        FragColor += currentSampleColor;
+        // Apply weight and decay
+        illumination += dot(sampleOcclusion(texCoord), channel) * illuminationDecay * fWeight;
         illuminationDecay *= fDecay; // Decay for next sample
     }
-    FragColor *= fExposure; // Apply exposure
-    outputColor = FragColor;
+    return illumination;
+}
+
+// Replaced main() with mainImage to conform to postprocessing Effect requirements
+void mainImage(const in vec4 inputColor, const in vec2 uv, out vec4 outputColor) {
+    vec3 rays = vec3(0.0);
+    // Every light blurs its own channel, so one beam never smears into another
+    for (int i = 0; i < MAX_LIGHTS; i++) {
+        if (i >= uLightCount) break;
+        vec4 channel = vec4(float(i == 0), float(i == 1), float(i == 2), float(i == 3));
+        rays += lightColor[i] * radialBlur(uv, lightPosition[i], channel);
+    }
+    outputColor = vec4(rays * fExposure, 1.0); // Apply exposure
 }
 `;
 
-// Effect Class Structure (now being fleshed out)
+// Effect Class Structure
+// Renders the scene's OCCLUSION_LAYER into its own (optionally downscaled)
+// target, radially blurs that from the light and adds the result on top.
 class VolumetricLightEffect extends Effect {
   constructor() {
     super("GodRaysEffect", fragmentShader, {
       // Updated effect name
-      blendFunction: BlendFunction.SCREEN, // Changed to SCREEN as per plan
+      blendFunction: BlendFunction.ADD, // The blurred occlusion buffer is pure light
+      defines: new Map([["MAX_LIGHTS", String(MAX_VOLUMETRIC_LIGHTS)]]),
       // attributes: EffectAttribute.DEPTH, // REMOVED: Not needed for this screen-space shader
       uniforms: new Map([
+        ["tInput", new THREE.Uniform(null)],
+        ["uTexelSize", new THREE.Uniform(new THREE.Vector2())],
         ["fExposure", new THREE.Uniform(0.6)],
         ["fDecay", new THREE.Uniform(0.92)],
         ["fDensity", new THREE.Uniform(0.5)],
         ["fWeight", new THREE.Uniform(0.3)],
-        ["lightPosition", new THREE.Uniform(new THREE.Vector2(0.0, 0.0))],
+        [
+          "lightPosition",
+          new THREE.Uniform(
+            Array.from(
+              { length: MAX_VOLUMETRIC_LIGHTS },
+              () => new THREE.Vector2()
+            )
+          ),
+        ],
+        [
+          "lightColor",
+          new THREE.Uniform(
+            Array.from(
+              { length: MAX_VOLUMETRIC_LIGHTS },
+              () => new THREE.Color()
+            )
+          ),
+        ],
+        ["uLightCount", new THREE.Uniform(0)],
         ["uSamples", new THREE.Uniform(100)],
         ["uBlur", new THREE.Uniform(false)], // Added uBlur uniform
       ]),
     });
+
+    // Set by the component; the occlusion pass renders these
+    this.scene = null;
+    this.camera = null;
+
+    this.resolutionScale = 0.5;
+    this.width = 1;
+    this.height = 1;
+    // Half float keeps the light sphere's over-bright color from clipping
+    this.occlusionTarget = new THREE.WebGLRenderTarget(1, 1, {
+      type: THREE.HalfFloatType,
+      depthBuffer: true,
+    });
+    this.uniforms.get("tInput").value = this.occlusionTarget.texture;
+    this.clearColor = new THREE.Color();
+  }
+
+  setResolutionScale(scale) {
+    this.resolutionScale = scale;
+    this.setSize(this.width, this.height);
   }
 
-  // REMOVED update method: iResolution and iTime are not directly used by the new shader
-  // or are handled by the postprocessing library.
+  setSize(width, height) {
+    this.width = width;
+    this.height = height;
+    const w = Math.max(1, Math.round(width * this.resolutionScale));
+    const h = Math.max(1, Math.round(height * this.resolutionScale));
+    this.occlusionTarget.setSize(w, h);
+    this.uniforms.get("uTexelSize").value.set(1 / w, 1 / h);
+  }
+
+  // Runs inside the composer, right before this effect's pass
+  update(renderer) {
+    const { scene, camera } = this;
+    if (!scene || !camera) return;
+
+    const background = scene.background;
+    const layersMask = camera.layers.mask;
+    const shadowAutoUpdate = renderer.shadowMap.autoUpdate;
+    const clearAlpha = renderer.getClearAlpha();
+    renderer.getClearColor(this.clearColor);
+
+    // Shadows were already rendered by the main pass this frame
+    scene.background = null;
+    camera.layers.set(OCCLUSION_LAYER);
+    renderer.shadowMap.autoUpdate = false;
+    renderer.setClearColor(0x000000, 0); // Alpha is a light channel too
+    renderer.setRenderTarget(this.occlusionTarget);
+    renderer.clear();
+    renderer.render(scene, camera);
+
+    scene.background = background;
+    camera.layers.mask = layersMask;
+    renderer.shadowMap.autoUpdate = shadowAutoUpdate;
+    renderer.setClearColor(this.clearColor, clearAlpha);
+  }
+
+  dispose() {
+    this.occlusionTarget.dispose();
+    super.dispose();
+  }
 }
 
 // React Component Structure (now being fleshed out)
@@ -90,44 +186,72 @@ const VolumetricLightShader = forwardRef(function VolumetricLightShader(
   ref
 ) {
   const effectRef = useRef();
-  const { camera } = useThree(); // Removed clock as iTime is not used
+  const { camera, scene } = useThree(); // Removed clock as iTime is not used
   const effect = useMemo(() => new VolumetricLightEffect(), []);
 
+  useEffect(() => {
+    effect.scene = scene;
+    effect.camera = camera;
+  }, [effect, scene, camera]);
+
   // Leva controls for new God Rays parameters
-  const shaderControls = useControls("God Rays Params", {
+  const shaderControls = useSettings("God Rays Params", {
     exposure: { value: 0.6, min: 0.0, max: 2.0, step: 0.01 },
     decay: { value: 0.9, min: 0.0, max: 1.0, step: 0.01 }, // Adjusted from 0.92
     density: { value: 0.6, min: 0.0, max: 2.0, step: 0.01 }, // Adjusted from 0.5
     weight: { value: 0.2, min: 0.0, max: 1.0, step: 0.01 }, // Adjusted from 0.3
     samples: { value: 120, min: 10, max: 120, step: 1 }, // Adjusted from 100, max also 120
     blur: { value: false, label: "Blur" },
+    resolution: {
+      value: 0.5,
+      options: { Full: 1, Half: 0.5, Quarter: 0.25 },
+      label: "Occlusion Res",
+    },
   });
 
+  useEffect(() => {
+    effect.setResolutionScale(shaderControls.resolution);
+  }, [effect, shaderControls.resolution]);
+
   useImperativeHandle(ref, () => effect, [effect]);
 
+  // Scratch vector, reused every frame
+  const screenPos = useMemo(() => new THREE.Vector3(), []);
+
   // Update uniforms in useFrame
   useFrame(() => {
-    if (effect && props.light && props.light.current) {
-      const light = props.light.current;
-      const worldPos = new THREE.Vector3();
-      light.getWorldPosition(worldPos); // Get light's world position
+    if (!effect || !props.lights) return;
+    // props.lights is a ref holding the scene's THREE.SpotLights, in the same
+    // order as their occlusion channels (unmounted slots are left null at the end)
+    const lights = props.lights.current
+      .filter(Boolean)
+      .slice(0, MAX_VOLUMETRIC_LIGHTS);
+    const positions = effect.uniforms.get("lightPosition").value;
+    const colors = effect.uniforms.get("lightColor").value;
 
-      const screenPos = worldPos.clone().project(camera); // Project to screen space (-1 to 1)
+    lights.forEach((light, i) => {
+      light.getWorldPosition(screenPos); // Get light's world position
+      screenPos.project(camera); // Project to screen space (-1 to 1)
 
       // Convert screenPos from [-1, 1] to [0, 1] for UV space
-      screenPos.x = (screenPos.x + 1.0) * 0.5;
-      screenPos.y = (screenPos.y + 1.0) * 0.5;
-
-      effect.uniforms.get("lightPosition").value.set(screenPos.x, screenPos.y);
-      effect.uniforms.get("fExposure").value = shaderControls.exposure;
-      effect.uniforms.get("fDecay").value = shaderControls.decay;
-      effect.uniforms.get("fDensity").value = shaderControls.density;
-      effect.uniforms.get("fWeight").value = shaderControls.weight;
-      effect.uniforms.get("uSamples").value = shaderControls.samples;
-      effect.uniforms.get("uBlur").value = shaderControls.blur; // Update uBlur uniform
-
-      // Remove old uniform updates (iTime, cameraPosition, projectionMatrixInverse, etc.)
-    }
+      positions[i].set((screenPos.x + 1.0) * 0.5, (screenPos.y + 1.0) * 0.5);
+      colors[i].copy(light.color);
+    });
+
+    effect.uniforms.get("uLightCount").value = lights.length;
+    effect.uniforms.get("fExposure").value =
+      shaderControls.exposure *
+      (props.audio ? props.audio.volumetricIntensity : 1);
+    effect.uniforms.get("fDecay").value = shaderControls.decay;
+    effect.uniforms.get("fDensity").value = shaderControls.density;
+    effect.uniforms.get("fWeight").value = shaderControls.weight;
+    // The quality tier caps the sample count and can rule out the blur
+    const quality = props.quality;
+    effect.uniforms.get("uSamples").value = quality
+      ? Math.min(shaderControls.samples, quality.godRaySamples)
+      : shaderControls.samples;
+    effect.uniforms.get("uBlur").value =
+      shaderControls.blur && (!quality || quality.godRayBlur); // Update uBlur uniform
   });
 
   // Removed old useEffect for tintColor as it's no longer used
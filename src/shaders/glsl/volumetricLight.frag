@@ -1,22 +1,39 @@
-uniform sampler2D inputBuffer;
-uniform sampler2D blueNoiseTexture;
+// Raymarched spotlight cones (postprocessing Effect fragment).
+// For each light, marches from the camera to the depth-buffer surface,
+// accumulating in-scattered light wherever the ray is inside that light's cone
+// and not in its shadow. MAX_LIGHTS is set by the effect.
+
 uniform sampler2D noiseTexture;
-uniform mat4 projectionMatrixInverse;
-uniform mat4 viewMatrixInverse;
-uniform vec3 lightPosition;
-uniform vec3 lightDirection;
-uniform vec3 cameraPosition;
-uniform float cameraFar;
-uniform float cameraNear;
-uniform float coneAngle;
+// Sampler arrays can't be indexed dynamically, so one uniform per light
+uniform sampler2D shadowMap0;
+uniform sampler2D shadowMap1;
+uniform sampler2D shadowMap2;
+uniform sampler2D shadowMap3;
+uniform mat4 shadowMatrix[MAX_LIGHTS];
+uniform bool lightShadows[MAX_LIGHTS]; // Whether the light has a shadow map
+uniform mat4 uProjectionMatrixInverse;
+uniform mat4 uCameraWorldMatrix;
+uniform vec3 uCameraPosition;
+uniform int uLightCount;
+uniform vec3 lightPosition[MAX_LIGHTS];
+uniform vec3 lightDirection[MAX_LIGHTS]; // Normalized, from the light towards its target
+uniform vec3 lightColor[MAX_LIGHTS];
+uniform float coneCos[MAX_LIGHTS];       // cos(angle)
+uniform float penumbraCos[MAX_LIGHTS];   // cos(angle * (1 - penumbra))
+uniform float lightDistance[MAX_LIGHTS]; // 0 = unlimited, like SpotLight.distance
+uniform float maxDistance;               // Fallback march length (camera far)
+uniform float fIntensity;
+uniform float fAttenuation;
+uniform float fNoiseAmount;
+uniform float fNoiseScale;
+uniform float fShadowBias;
+uniform bool uShadows;
+uniform bool uVarianceShadows; // Shadow maps hold VSM moments (mean and std dev, packed as two halves)
+uniform bool uJitter;
+uniform int uSamples;
 uniform float uFrame;
 
-varying vec2 vUv;
-
-#define NUM_SAMPLES 100
-#define DENSITY 0.975
-#define LIGHT_ATTENUATION 5.0
-#define MAX_DIST 100.0
+const int MAX_SAMPLES = 128; // Max samples to avoid hardware limits in loop
 
 // Credit: https://www.shadertoy.com/view/4djSRW
 float hash13(vec3 p3) {
@@ -25,112 +42,113 @@ float hash13(vec3 p3) {
   return fract((p3.x + p3.y) * p3.z);
 }
 
-// Ray-cone intersection
-float rayConeIntersect(vec3 rayOrigin, vec3 rayDir, vec3 coneOrigin, vec3 coneDir, float coneAngle) {
-  rayOrigin -= coneOrigin;
-  float a = dot(rayDir, coneDir) - cos(radians(coneAngle)) * length(rayDir);
-  float b = dot(rayOrigin, coneDir) - cos(radians(coneAngle)) * length(rayOrigin);
-  if (a >= 0.0 && b >= 0.0) return 0.0;
-  if (a < 0.0 && b > 0.0) return -b / a;
-  return MAX_DIST;
+// World position of the visible surface from the depth buffer
+vec3 getWorldPosition(const in vec2 uv, const in float depth) {
+  vec4 clipPosition = vec4(vec3(uv, depth) * 2.0 - 1.0, 1.0);
+  vec4 viewPosition = uProjectionMatrixInverse * clipPosition;
+  viewPosition /= viewPosition.w;
+  return (uCameraWorldMatrix * viewPosition).xyz;
 }
 
-// Fragment depth from clip space depth
-float getDepth(vec2 uv) {
-  return texture2D(inputBuffer, uv).a;
+// Entry/exit distances of a ray through a sphere, used to bound the march to
+// the light's reach. Returns (1, 0) when there is no hit.
+vec2 raySphere(vec3 rayOrigin, vec3 rayDir, vec3 center, float radius) {
+  vec3 oc = rayOrigin - center;
+  float b = dot(oc, rayDir);
+  float c = dot(oc, oc) - radius * radius;
+  float h = b * b - c;
+  if (h < 0.0) return vec2(1.0, 0.0);
+  h = sqrt(h);
+  return vec2(-b - h, -b + h);
 }
 
-// Convert screen space to world space
-vec3 getWorldPos(vec2 uv, float depth) {
-  float z = depth * 2.0 - 1.0;
-  vec4 clipSpacePosition = vec4(uv * 2.0 - 1.0, z, 1.0);
-  vec4 viewSpacePosition = projectionMatrixInverse * clipSpacePosition;
-  
-  viewSpacePosition /= viewSpacePosition.w;
-  vec4 worldSpacePosition = viewMatrixInverse * viewSpacePosition;
-  
-  return worldSpacePosition.xyz;
+vec4 readShadowMap(int light, vec2 coord) {
+  if (light == 0) return texture2D(shadowMap0, coord);
+  if (light == 1) return texture2D(shadowMap1, coord);
+  if (light == 2) return texture2D(shadowMap2, coord);
+  return texture2D(shadowMap3, coord);
 }
 
-// Light attenuation
-float lightAttenuation(float dist) {
-  return 1.0 / (1.0 + dist * dist * LIGHT_ATTENUATION);
+// 1 when the point is lit, 0 when an occluder sits between it and the light
+float sampleShadow(int light, mat4 matrix, vec3 worldPosition) {
+  vec4 shadowCoord = matrix * vec4(worldPosition, 1.0);
+  shadowCoord.xyz /= shadowCoord.w;
+  if (shadowCoord.x < 0.0 || shadowCoord.x > 1.0 ||
+      shadowCoord.y < 0.0 || shadowCoord.y > 1.0 ||
+      shadowCoord.z > 1.0) {
+    return 1.0;
+  }
+  vec4 texel = readShadowMap(light, shadowCoord.xy);
+  float occluderDepth = uVarianceShadows ? unpackRGBATo2Half(texel).x : unpackRGBAToDepth(texel);
+  return step(shadowCoord.z - fShadowBias, occluderDepth);
 }
 
-// Noise lookup functions
-float noise(vec3 pos, float frequency) {
-  vec2 noiseUV = fract(pos.xz * frequency);
-  return texture2D(noiseTexture, noiseUV).r;
+// Two octaves of the tiling noise texture to break up the beam
+float sampleDensityNoise(vec3 p) {
+  float n1 = texture2D(noiseTexture, fract(p.xz * fNoiseScale + time * 0.01)).r;
+  float n2 = texture2D(noiseTexture, fract(p.zy * fNoiseScale * 2.0 - time * 0.02)).r;
+  return mix(1.0, n1 * n2 * 4.0, fNoiseAmount);
 }
 
-void main() {
-  vec4 color = texture2D(inputBuffer, vUv);
-  float depth = getDepth(vUv);
-  
-  // Reconstruct world position from depth
-  vec3 worldPos = getWorldPos(vUv, depth);
-  
-  // Ray origin (camera position) and direction
-  vec3 rayOrigin = cameraPosition;
-  vec3 rayDir = normalize(worldPos - rayOrigin);
-  
-  // Ray length from camera to the visible surface
-  float rayLength = length(worldPos - rayOrigin);
-  
-  // Test if ray intersects light cone
-  float intersect = rayConeIntersect(
-    rayOrigin, rayDir, 
-    lightPosition, normalize(lightDirection), 
-    coneAngle
-  );
-  
-  if (intersect > 0.0 && intersect < rayLength) {
-    // Blue noise for randomization
-    vec2 blueNoiseUV = fract(vUv + vec2(uFrame * 0.001));
-    float blueNoise = texture2D(blueNoiseTexture, blueNoiseUV).r;
-    
-    // Sample count and step size
-    float stepSize = rayLength / float(NUM_SAMPLES);
-    float randomOffset = blueNoise * stepSize;
-    
-    // Accumulate light along the ray
-    float density = 0.0;
-    
-    for (int i = 0; i < NUM_SAMPLES; i++) {
-      float t = randomOffset + float(i) * stepSize;
-      if (t > rayLength) break;
-      
-      // Position along ray
-      vec3 pos = rayOrigin + rayDir * t;
-      
-      // Distance from position to light
-      float distToLight = length(pos - lightPosition);
-      
-      // Check if position is inside light cone
-      vec3 toLight = normalize(lightPosition - pos);
-      float dotLight = dot(toLight, normalize(-lightDirection));
-      float coneCosine = cos(radians(coneAngle));
-      
-      if (dotLight > coneCosine) {
-        // Add noise for volumetric effect
-        float n = noise(pos, 0.1) * noise(pos * 2.0, 0.05);
-        
-        // Light attenuation based on distance
-        float att = lightAttenuation(distToLight);
-        
-        // Stronger effect closer to light axis
-        float axisWeight = (dotLight - coneCosine) / (1.0 - coneCosine);
-        axisWeight = pow(axisWeight, 2.0);
-        
-        // Accumulate light contribution
-        density += att * axisWeight * n * DENSITY * stepSize;
-      }
+// In-scattered light from one spotlight along the view ray
+vec3 scatterLight(int light, vec3 rayOrigin, vec3 rayDir, float rayLength, float offset) {
+  vec3 position = lightPosition[light];
+  vec3 direction = lightDirection[light];
+  float outerCos = coneCos[light];
+  float innerCos = penumbraCos[light];
+  float range = lightDistance[light];
+  mat4 matrix = shadowMatrix[light];
+  bool shadows = uShadows && lightShadows[light];
+
+  // Only march where the light can reach
+  float reach = range > 0.0 ? range : maxDistance;
+  vec2 span = raySphere(rayOrigin, rayDir, position, reach);
+  float tStart = max(span.x, 0.0);
+  float tEnd = min(span.y, rayLength);
+  if (tEnd <= tStart) return vec3(0.0);
+
+  int samples = min(uSamples, MAX_SAMPLES);
+  float stepSize = (tEnd - tStart) / float(samples);
+  float scattered = 0.0;
+
+  for (int i = 0; i < MAX_SAMPLES; i++) {
+    if (i >= samples) break;
+    float t = tStart + (float(i) + offset) * stepSize;
+    vec3 p = rayOrigin + rayDir * t;
+
+    vec3 toSample = p - position;
+    float distToLight = length(toSample);
+    float cosAngle = dot(toSample / distToLight, direction);
+    if (cosAngle <= outerCos) continue;
+
+    // Same penumbra falloff as three's spot light
+    float spot = smoothstep(outerCos, innerCos, cosAngle);
+    float attenuation = 1.0 / (1.0 + distToLight * distToLight * fAttenuation);
+    if (range > 0.0) {
+      attenuation *= pow(clamp(1.0 - pow(distToLight / range, 4.0), 0.0, 1.0), 2.0);
     }
-    
-    // Add volumetric lighting to color
-    vec3 lightColor = vec3(1.0, 1.0, 1.0);
-    color.rgb += lightColor * density;
+    float visibility = shadows ? sampleShadow(light, matrix, p) : 1.0;
+
+    scattered += spot * attenuation * visibility * sampleDensityNoise(p) * stepSize;
+  }
+
+  return lightColor[light] * scattered;
+}
+
+void mainImage(const in vec4 inputColor, const in vec2 uv, const in float depth, out vec4 outputColor) {
+  vec3 surface = getWorldPosition(uv, depth);
+  vec3 rayOrigin = uCameraPosition;
+  vec3 rayDir = normalize(surface - rayOrigin);
+  // Background pixels (cleared depth) march up to the fallback distance
+  float rayLength = depth >= 1.0 ? maxDistance : length(surface - rayOrigin);
+  // Per-pixel jitter hides banding, the frame term keeps it from looking static
+  float offset = uJitter ? hash13(vec3(gl_FragCoord.xy, uFrame)) : 0.5;
+
+  vec3 scattered = vec3(0.0);
+  for (int i = 0; i < MAX_LIGHTS; i++) {
+    if (i >= uLightCount) break;
+    scattered += scatterLight(i, rayOrigin, rayDir, rayLength, offset);
   }
-  
-  gl_FragColor = color;
-} 
\ No newline at end of file
+
+  outputColor = vec4(scattered * fIntensity, inputColor.a);
+}
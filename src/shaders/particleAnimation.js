@@ -0,0 +1,139 @@
+import * as THREE from "three";
+
+// GPU particle animation for TunnelParticles.
+// Patches built-in materials (via onBeforeCompile) so each instance tumbles,
+// breathes off its wall and shimmers, driven by per-instance attributes from
+// the layout (aPhase, aSpin, aDrift) and a few shared uniforms. They also
+// stretch along the direction of travel at speed. The lit material, its
+// shadow depth material and the occlusion silhouette all get the same vertex
+// patch so shadows and god rays follow the moving fragments.
+
+const vertexHead = /* glsl */ `
+attribute float aPhase;
+attribute vec3 aSpin;  // Tumble axis scaled by rate, in particle space
+attribute vec3 aDrift; // Breathing direction, in particle space
+uniform float uTumbleAngle;
+uniform float uBreathePhase;
+uniform float uBreatheAmount;
+uniform float uShimmerPhase;
+uniform float uShimmerAmount;
+uniform vec3 uStretchAxis; // Direction of travel, in world space
+uniform float uStretch;    // Extra length along it, as a multiple of the size
+varying float vShimmer;
+
+// Rodrigues rotation about the instance's own spin axis
+mat3 particleTumble() {
+  float rate = length(aSpin);
+  if (rate < 1e-5) return mat3(1.0);
+  vec3 axis = aSpin / rate;
+  float angle = uTumbleAngle * rate;
+  float s = sin(angle);
+  float c = cos(angle);
+  float t = 1.0 - c;
+  return mat3(
+    t * axis.x * axis.x + c, t * axis.x * axis.y + s * axis.z, t * axis.x * axis.z - s * axis.y,
+    t * axis.x * axis.y - s * axis.z, t * axis.y * axis.y + c, t * axis.y * axis.z + s * axis.x,
+    t * axis.x * axis.z + s * axis.y, t * axis.y * axis.z - s * axis.x, t * axis.z * axis.z + c
+  );
+}
+
+// The stretch axis in the instance's own space (instances are uniformly
+// scaled, so the transposes undo their rotations); zero when not moving
+vec3 particleStretchAxis() {
+  mat3 toLocal = transpose(mat3(modelMatrix));
+  #ifdef USE_INSTANCING
+  toLocal = transpose(mat3(instanceMatrix)) * toLocal;
+  #endif
+  vec3 axis = toLocal * uStretchAxis;
+  float len = length(axis);
+  return len > 1e-5 ? axis / len : vec3(0.0);
+}
+`;
+
+const beginNormal = /* glsl */ `
+#include <beginnormal_vertex>
+objectNormal = particleTumble() * objectNormal;
+// Inverse transpose of the stretch below, so the lighting stays right
+vec3 normalStretchAxis = particleStretchAxis();
+objectNormal -= normalStretchAxis * dot(objectNormal, normalStretchAxis) * uStretch / (1.0 + uStretch);
+`;
+
+const beginVertex = /* glsl */ `
+#include <begin_vertex>
+transformed = particleTumble() * transformed;
+vec3 stretchAxis = particleStretchAxis();
+transformed += stretchAxis * dot(transformed, stretchAxis) * uStretch;
+// Each instance breathes on its own phase, never sinking into the wall
+float breathe = 0.5 - 0.5 * cos(uBreathePhase + aPhase * 6.2831853);
+transformed += aDrift * breathe * uBreatheAmount;
+// Short, sparse flashes: a sharpened sine at a per-instance rate
+float flicker = 0.5 + 0.5 * sin(uShimmerPhase * (0.5 + fract(aPhase * 7.31)) + aPhase * 6.2831853);
+vShimmer = pow(flicker, 16.0) * uShimmerAmount;
+`;
+
+const fragmentHead = /* glsl */ `
+uniform vec3 uShimmerColor;
+varying float vShimmer;
+`;
+
+const emissiveFragment = /* glsl */ `
+#include <emissivemap_fragment>
+totalEmissiveRadiance += uShimmerColor * vShimmer;
+`;
+
+export function createParticleAnimationUniforms() {
+  return {
+    uTumbleAngle: { value: 0 },
+    uBreathePhase: { value: 0 },
+    uBreatheAmount: { value: 0 },
+    uShimmerPhase: { value: 0 },
+    uShimmerAmount: { value: 0 },
+    uShimmerColor: { value: new THREE.Color("#ffffff") },
+    uStretchAxis: { value: new THREE.Vector3() },
+    uStretch: { value: 0 },
+  };
+}
+
+// Copy the simulation's animation phases (see utils/simulation) and the
+// current amounts into the shared uniforms
+export function syncParticleAnimation(uniforms, state, settings) {
+  uniforms.uTumbleAngle.value = state.tumbleAngle;
+  uniforms.uBreathePhase.value = state.breathePhase;
+  uniforms.uBreatheAmount.value = settings.breatheAmount;
+  uniforms.uShimmerPhase.value = state.shimmerPhase;
+  uniforms.uShimmerAmount.value = settings.shimmerAmount;
+  uniforms.uShimmerColor.value.set(settings.shimmerColor);
+}
+
+// Stretch every particle by `amount` times its size along `axis` (world
+// space, any length; zero leaves them as they are)
+export function syncParticleStretch(uniforms, axis, amount) {
+  uniforms.uStretchAxis.value.copy(axis);
+  uniforms.uStretch.value = amount;
+}
+
+// Patch a material in place. `emissive` adds the shimmer to materials that
+// have an emissive term (MeshStandardMaterial); depth and silhouette
+// materials only need the vertex motion.
+export function applyParticleAnimation(
+  material,
+  uniforms,
+  { emissive = false } = {}
+) {
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+    shader.vertexShader = shader.vertexShader
+      .replace("#include <common>", `#include <common>\n${vertexHead}`)
+      .replace("#include <beginnormal_vertex>", beginNormal)
+      .replace("#include <begin_vertex>", beginVertex);
+    if (emissive) {
+      shader.fragmentShader = shader.fragmentShader
+        .replace("#include <common>", `#include <common>\n${fragmentHead}`)
+        .replace("#include <emissivemap_fragment>", emissiveFragment);
+    }
+  };
+  // Patched and unpatched variants must not share a compiled program
+  material.customProgramCacheKey = () =>
+    `particle-animation${emissive ? "-emissive" : ""}`;
+  return material;
+}
@@ -0,0 +1,121 @@
+// Pure audio band extraction for the audio-reactive mode.
+// No Web Audio in here: it works on a frame of byte frequency data (as from
+// AnalyserNode.getByteFrequencyData) plus the sample rate, so it can be fed
+// from an OfflineAudioContext or synthetic spectra just as well as from a
+// live analyser. State is never mutated; every update returns a new state.
+
+export const DEFAULT_BANDS = [
+  { name: "bass", minHz: 20, maxHz: 150, gain: 1 },
+  { name: "mid", minHz: 150, maxHz: 2000, gain: 1 },
+  { name: "high", minHz: 2000, maxHz: 12000, gain: 1 },
+];
+
+export const DEFAULT_BAND_OPTIONS = {
+  attack: 0.02, // Seconds for a level to rise towards a louder input
+  release: 0.25, // Seconds for it to fall back
+  averageTime: 1.0, // Window of the running average beats are measured against
+  beatThreshold: 1.4, // A beat is this many times louder than the average...
+  beatMinLevel: 0.1, // ...and at least this loud
+  beatHold: 0.2, // Seconds before the same band can beat again
+  beatDecay: 0.15, // Seconds for a beat pulse to fade
+};
+
+// Analyser bins [start, end) covering minHz..maxHz. Bin i is centred on
+// i * sampleRate / fftSize, with binCount = fftSize / 2.
+export function getBinRange(minHz, maxHz, sampleRate, binCount) {
+  const hzPerBin = sampleRate / 2 / binCount;
+  const lo = Math.min(minHz, maxHz);
+  const hi = Math.max(minHz, maxHz);
+  const start = Math.max(0, Math.min(binCount - 1, Math.floor(lo / hzPerBin)));
+  const end = Math.max(start + 1, Math.min(binCount, Math.ceil(hi / hzPerBin)));
+  return [start, end];
+}
+
+// Raw level of every band (0..1, scaled by the band's gain and clamped):
+// the mean of its bins' byte magnitudes
+export function measureBands(frequencyData, sampleRate, bands = DEFAULT_BANDS) {
+  const binCount = frequencyData.length;
+  return bands.map(({ minHz, maxHz, gain = 1 }) => {
+    const [start, end] = getBinRange(minHz, maxHz, sampleRate, binCount);
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += frequencyData[i];
+    const level = (sum / (end - start) / 255) * gain;
+    return Math.min(1, Math.max(0, level));
+  });
+}
+
+export function createBandState(bands = DEFAULT_BANDS) {
+  return {
+    time: 0,
+    bands: bands.map(({ name }) => ({
+      name,
+      raw: 0,
+      level: 0, // Smoothed level
+      average: 0, // Running average of the raw level
+      beat: false, // True on the frame a beat was detected
+      pulse: 0, // 1 on a beat, fading out over beatDecay
+      lastBeat: -Infinity,
+    })),
+  };
+}
+
+// One-pole smoothing factor for a time constant
+const follow = (dt, seconds) => (seconds > 0 ? 1 - Math.exp(-dt / seconds) : 1);
+
+// Advance the state by dt seconds with this frame's raw band levels
+export function updateBands(state, rawLevels, dt, options = {}) {
+  const {
+    attack,
+    release,
+    averageTime,
+    beatThreshold,
+    beatMinLevel,
+    beatHold,
+    beatDecay,
+  } = { ...DEFAULT_BAND_OPTIONS, ...options };
+  const time = state.time + dt;
+
+  const bands = state.bands.map((band, i) => {
+    const raw = rawLevels[i] || 0;
+    const rate = raw > band.level ? attack : release;
+    const level = band.level + (raw - band.level) * follow(dt, rate);
+    const beat =
+      raw >= beatMinLevel &&
+      raw > band.average * beatThreshold &&
+      time - band.lastBeat >= beatHold;
+    const pulse = beat ? 1 : band.pulse * (1 - follow(dt, beatDecay));
+    // The average is updated after the test, so a beat is compared against
+    // what came before it
+    const average =
+      band.average + (raw - band.average) * follow(dt, averageTime);
+    return {
+      ...band,
+      raw,
+      level,
+      average,
+      beat,
+      pulse,
+      lastBeat: beat ? time : band.lastBeat,
+    };
+  });
+
+  return { time, bands };
+}
+
+// Signal for a mapping source: "<band>" for its smoothed level or
+// "<band>.beat" for its beat pulse. Unknown sources read as 0.
+export function getBandSignal(state, source) {
+  const [name, kind] = source.split(".");
+  const band = state.bands.find((b) => b.name === name);
+  if (!band) return 0;
+  return kind === "beat" ? band.pulse : band.level;
+}
+
+// Multipliers for every mapped parameter: 1 + amount * signal
+export function getModulation(state, mappings) {
+  const modulation = {};
+  Object.entries(mappings).forEach(([target, { source, amount }]) => {
+    modulation[target] = 1 + amount * getBandSignal(state, source);
+  });
+  return modulation;
+}
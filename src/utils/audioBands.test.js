@@ -0,0 +1,117 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_BANDS,
+  createBandState,
+  getBandSignal,
+  getBinRange,
+  getModulation,
+  measureBands,
+  updateBands,
+} from "./audioBands";
+
+// 1024 bins at 48 kHz: 23.4375 Hz per bin
+const SAMPLE_RATE = 48000;
+const BIN_COUNT = 1024;
+const HZ_PER_BIN = SAMPLE_RATE / 2 / BIN_COUNT;
+
+// Byte spectrum with `value` in every bin from minHz to maxHz
+function spectrum(peaks) {
+  const data = new Uint8Array(BIN_COUNT);
+  peaks.forEach(({ minHz, maxHz, value }) => {
+    for (let i = 0; i < BIN_COUNT; i++) {
+      const hz = i * HZ_PER_BIN;
+      if (hz >= minHz && hz < maxHz) data[i] = value;
+    }
+  });
+  return data;
+}
+
+// Step the state through `frames` frames of the same raw levels
+function hold(state, rawLevels, frames, dt = 1 / 60, options) {
+  let current = state;
+  for (let i = 0; i < frames; i++) {
+    current = updateBands(current, rawLevels, dt, options);
+  }
+  return current;
+}
+
+describe("getBinRange", () => {
+  it("covers the bins between the two frequencies", () => {
+    expect(getBinRange(0, 150, SAMPLE_RATE, BIN_COUNT)).toEqual([0, 7]);
+    expect(getBinRange(2000, 12000, SAMPLE_RATE, BIN_COUNT)).toEqual([85, 512]);
+    // Either order, and always at least one bin
+    expect(getBinRange(150, 0, SAMPLE_RATE, BIN_COUNT)).toEqual([0, 7]);
+    expect(getBinRange(100, 100, SAMPLE_RATE, BIN_COUNT)).toEqual([4, 5]);
+    expect(getBinRange(30000, 40000, SAMPLE_RATE, BIN_COUNT)).toEqual([
+      1023, 1024,
+    ]);
+  });
+});
+
+describe("measureBands", () => {
+  it("reads each band from its own bins only", () => {
+    // Bins 0-5; the bass band spans bins 0-6 and mid starts at bin 6
+    const data = spectrum([{ minHz: 0, maxHz: 140, value: 255 }]);
+    const [bass, mid, high] = measureBands(data, SAMPLE_RATE);
+    expect(bass).toBeCloseTo(6 / 7, 6);
+    expect(mid).toBe(0);
+    expect(high).toBe(0);
+  });
+
+  it("averages the bins and applies the gain, clamped to 0..1", () => {
+    const data = spectrum([{ minHz: 2000, maxHz: 7000, value: 204 }]);
+    const [, , high] = measureBands(data, SAMPLE_RATE);
+    const [start, end] = getBinRange(2000, 12000, SAMPLE_RATE, BIN_COUNT);
+    const lit = data.slice(start, end).filter((value) => value > 0).length;
+    expect(high).toBeCloseTo(((lit / (end - start)) * 204) / 255, 6);
+
+    const loud = spectrum([{ minHz: 150, maxHz: 2000, value: 200 }]);
+    const bands = DEFAULT_BANDS.map((band) => ({ ...band, gain: 4 }));
+    expect(measureBands(loud, SAMPLE_RATE, bands)[1]).toBe(1);
+  });
+});
+
+describe("updateBands", () => {
+  it("eases the level towards the input and back", () => {
+    const state = createBandState();
+    const rising = hold(state, [1, 0, 0], 1);
+    expect(rising.bands[0].level).toBeGreaterThan(0);
+    expect(rising.bands[0].level).toBeLessThan(1);
+    const settled = hold(state, [1, 0, 0], 60);
+    expect(settled.bands[0].level).toBeCloseTo(1, 3);
+    // Release is slower than attack
+    const falling = hold(settled, [0, 0, 0], 1);
+    expect(1 - falling.bands[0].level).toBeLessThan(rising.bands[0].level);
+    expect(state.bands[0].level).toBe(0);
+  });
+
+  it("detects a beat above the running average, then holds off", () => {
+    const quiet = hold(createBandState(), [0.2, 0, 0], 120);
+    expect(quiet.bands[0].beat).toBe(false);
+    const hit = updateBands(quiet, [0.8, 0, 0], 1 / 60);
+    expect(hit.bands[0].beat).toBe(true);
+    expect(hit.bands[0].pulse).toBe(1);
+    expect(getBandSignal(hit, "bass.beat")).toBe(1);
+    // Too soon after the last beat
+    const again = updateBands(hit, [0.9, 0, 0], 1 / 60);
+    expect(again.bands[0].beat).toBe(false);
+    expect(again.bands[0].pulse).toBeLessThan(1);
+    // Too quiet to count, however sudden
+    const faint = hold(createBandState(), [0.05, 0, 0], 1);
+    expect(faint.bands[0].beat).toBe(false);
+  });
+});
+
+describe("getModulation", () => {
+  it("turns each mapping into 1 + amount * signal", () => {
+    const state = hold(createBandState(), [0, 0.5, 0], 120);
+    const modulation = getModulation(state, {
+      bloomIntensity: { source: "mid", amount: 2 },
+      tunnelSpeed: { source: "bass", amount: 3 },
+      spotlightIntensity: { source: "none", amount: 1 },
+    });
+    expect(modulation.bloomIntensity).toBeCloseTo(2, 3);
+    expect(modulation.tunnelSpeed).toBe(1);
+    expect(modulation.spotlightIntensity).toBe(1);
+  });
+});
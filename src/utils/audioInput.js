@@ -0,0 +1,96 @@
+// Web Audio input for the audio-reactive mode: an AnalyserNode fed by either
+// a dropped/picked audio file (looped and audible) or the microphone (analysed
+// only, so it never feeds back). Band extraction lives in audioBands.js.
+
+export function createAudioInput({ fftSize = 2048 } = {}) {
+  let context = null;
+  let analyser = null;
+  let frequencyData = null;
+  let source = null;
+  let element = null;
+  let stream = null;
+
+  function ensureContext() {
+    if (!context) {
+      context = new (window.AudioContext || window.webkitAudioContext)();
+      analyser = context.createAnalyser();
+      analyser.fftSize = fftSize;
+      // Smoothing happens per band in audioBands, with its own attack/release
+      analyser.smoothingTimeConstant = 0;
+      frequencyData = new Uint8Array(analyser.frequencyBinCount);
+    }
+    return context;
+  }
+
+  function stop() {
+    if (source) source.disconnect();
+    if (element) {
+      element.pause();
+      URL.revokeObjectURL(element.src);
+    }
+    if (stream) stream.getTracks().forEach((track) => track.stop());
+    source = null;
+    element = null;
+    stream = null;
+  }
+
+  async function playFile(file) {
+    stop();
+    await ensureContext().resume();
+    element = new Audio(URL.createObjectURL(file));
+    element.loop = true;
+    source = context.createMediaElementSource(element);
+    source.connect(analyser);
+    source.connect(context.destination);
+    await element.play();
+  }
+
+  async function useMicrophone() {
+    stop();
+    await ensureContext().resume();
+    stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    source = context.createMediaStreamSource(stream);
+    source.connect(analyser);
+  }
+
+  // This frame's spectrum, or null while nothing is playing
+  function getFrequencyData() {
+    if (!source) return null;
+    analyser.getByteFrequencyData(frequencyData);
+    return frequencyData;
+  }
+
+  function dispose() {
+    stop();
+    if (context) context.close();
+    context = null;
+  }
+
+  return {
+    playFile,
+    useMicrophone,
+    stop,
+    dispose,
+    getFrequencyData,
+    get sampleRate() {
+      return context ? context.sampleRate : 44100;
+    },
+    get active() {
+      return Boolean(source);
+    },
+  };
+}
+
+// Let the user pick an audio file. Resolves to the File, or null if cancelled.
+export function pickAudioFile() {
+  return new Promise((resolve) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = "audio/*";
+    input.addEventListener("change", () => {
+      resolve((input.files && input.files[0]) || null);
+    });
+    input.addEventListener("cancel", () => resolve(null));
+    input.click();
+  });
+}
@@ -0,0 +1,100 @@
+// Tunnel cross-sections: the closed 2D outline particles are scattered along.
+// An outline is a list of segments; sampling picks a point by distance along
+// the perimeter, so particles spread evenly however the shape is proportioned.
+
+export const CROSS_SECTIONS = [
+  "square",
+  "circle",
+  "hexagon",
+  "polygon",
+  "ellipse",
+];
+
+// Curved outlines are approximated by this many straight segments
+const CURVE_SEGMENTS = 96;
+
+function polygonVertices(sides, radiusX, radiusY) {
+  const vertices = [];
+  // Start half a side past straight down, so every polygon has a flat floor
+  const start = -Math.PI / 2 + Math.PI / sides;
+  for (let i = 0; i < sides; i++) {
+    const angle = start + (i / sides) * Math.PI * 2;
+    vertices.push([Math.cos(angle) * radiusX, Math.sin(angle) * radiusY]);
+  }
+  return vertices;
+}
+
+function outlineVertices({ shape, size, sides, aspect }) {
+  const half = size / 2;
+  switch (shape) {
+    case "circle":
+      return polygonVertices(CURVE_SEGMENTS, half, half);
+    case "hexagon":
+      return polygonVertices(6, half, half);
+    case "polygon":
+      return polygonVertices(Math.max(3, Math.round(sides)), half, half);
+    case "ellipse":
+      return polygonVertices(CURVE_SEGMENTS, half * aspect, half);
+    case "square":
+    default:
+      return [
+        [-half, -half],
+        [half, -half],
+        [half, half],
+        [-half, half],
+      ];
+  }
+}
+
+// size: overall height (and width, except for the ellipse, which is
+// size * aspect wide). sides: for "polygon" only.
+export function createCrossSection({
+  shape = "square",
+  size = 10,
+  sides = 6,
+  aspect = 1.5,
+} = {}) {
+  const vertices = outlineVertices({ shape, size, sides, aspect });
+  const segments = [];
+  let perimeter = 0;
+
+  vertices.forEach(([x0, y0], i) => {
+    const [x1, y1] = vertices[(i + 1) % vertices.length];
+    const length = Math.hypot(x1 - x0, y1 - y0);
+    // Counter-clockwise winding, so the outward normal is (dy, -dx)
+    segments.push({
+      x0,
+      y0,
+      dx: x1 - x0,
+      dy: y1 - y0,
+      nx: (y1 - y0) / length,
+      ny: -(x1 - x0) / length,
+      start: perimeter,
+      length,
+    });
+    perimeter += length;
+  });
+
+  // Point at fraction u (0..1) of the perimeter. `along` is the distance
+  // travelled round the outline, handy as a noise coordinate.
+  function sample(u, target = {}) {
+    const along = (((u % 1) + 1) % 1) * perimeter;
+    let lo = 0;
+    let hi = segments.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (segments[mid].start <= along) lo = mid;
+      else hi = mid - 1;
+    }
+    const segment = segments[lo];
+    const t = (along - segment.start) / segment.length;
+    target.x = segment.x0 + segment.dx * t;
+    target.y = segment.y0 + segment.dy * t;
+    target.nx = segment.nx;
+    target.ny = segment.ny;
+    target.along = along;
+    return target;
+  }
+
+  return { shape, perimeter, sample };
+}
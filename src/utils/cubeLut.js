@@ -0,0 +1,138 @@
+// Adobe/Resolve .cube 3D LUT parser. Pure text-to-data, no WebGL, so a LUT
+// can be validated and inspected on its own; the grading effect turns the
+// result into a 3D texture.
+//
+// Format: optional TITLE, LUT_3D_SIZE N, optional DOMAIN_MIN/DOMAIN_MAX, then
+// N^3 lines of "r g b" with red changing fastest, then green, then blue.
+// Lines starting with # are comments.
+
+export const MAX_LUT_SIZE = 256;
+
+export class CubeLutError extends Error {
+  constructor(message, line) {
+    super(line ? `Line ${line}: ${message}` : message);
+    this.name = "CubeLutError";
+    this.line = line;
+  }
+}
+
+function parseTriple(parts, lineNumber) {
+  if (parts.length !== 3) {
+    throw new CubeLutError(
+      `Expected 3 values, got ${parts.length}`,
+      lineNumber
+    );
+  }
+  const values = parts.map(Number);
+  if (values.some((v) => !Number.isFinite(v))) {
+    throw new CubeLutError(`Not a number: "${parts.join(" ")}"`, lineNumber);
+  }
+  return values;
+}
+
+// Returns { title, size, domainMin, domainMax, data } where data holds
+// size^3 RGB triples in file order (red fastest)
+export function parseCubeLut(text) {
+  if (typeof text !== "string") {
+    throw new CubeLutError("A .cube LUT must be text");
+  }
+  let title = "";
+  let size = 0;
+  let domainMin = [0, 0, 0];
+  let domainMax = [1, 1, 1];
+  let data = null;
+  let count = 0;
+
+  const lines = text.split(/\r\n|\r|\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const lineNumber = i + 1;
+    const line = lines[i].trim();
+    if (!line || line.startsWith("#")) continue;
+
+    // Table rows start with a number; anything else is a keyword
+    if (/^[-+.\d]/.test(line)) {
+      if (!data) {
+        throw new CubeLutError("LUT data before LUT_3D_SIZE", lineNumber);
+      }
+      if (count === size * size * size) {
+        throw new CubeLutError("More rows than LUT_3D_SIZE^3", lineNumber);
+      }
+      data.set(parseTriple(line.split(/\s+/), lineNumber), count * 3);
+      count++;
+      continue;
+    }
+
+    const [keyword, ...rest] = line.split(/\s+/);
+    switch (keyword) {
+      case "TITLE":
+        title = line
+          .slice(keyword.length)
+          .trim()
+          .replace(/^"(.*)"$/, "$1");
+        break;
+      case "LUT_3D_SIZE":
+        size = Number(rest[0]);
+        if (!Number.isInteger(size) || size < 2 || size > MAX_LUT_SIZE) {
+          throw new CubeLutError(
+            `LUT_3D_SIZE must be 2-${MAX_LUT_SIZE}, got "${rest[0]}"`,
+            lineNumber
+          );
+        }
+        data = new Float32Array(size * size * size * 3);
+        break;
+      case "DOMAIN_MIN":
+        domainMin = parseTriple(rest, lineNumber);
+        break;
+      case "DOMAIN_MAX":
+        domainMax = parseTriple(rest, lineNumber);
+        break;
+      case "LUT_1D_SIZE":
+        throw new CubeLutError("1D LUTs are not supported", lineNumber);
+      default:
+        // Vendor keywords (e.g. LUT_IN_VIDEO_RANGE) don't change the table
+        break;
+    }
+  }
+
+  if (!data) {
+    throw new CubeLutError("Missing LUT_3D_SIZE");
+  }
+  if (count !== size * size * size) {
+    throw new CubeLutError(
+      `Expected ${size * size * size} rows for size ${size}, got ${count}`
+    );
+  }
+  if (domainMin.some((min, c) => !(domainMax[c] > min))) {
+    throw new CubeLutError("DOMAIN_MAX must be above DOMAIN_MIN");
+  }
+  return { title, size, domainMin, domainMax, data };
+}
+
+// Look up one color with trilinear interpolation, as the GPU does. Handy to
+// check a parsed LUT without rendering.
+export function sampleCubeLut({ size, domainMin, domainMax, data }, rgb) {
+  const coords = rgb.map((value, c) => {
+    const t = (value - domainMin[c]) / (domainMax[c] - domainMin[c]);
+    return Math.min(1, Math.max(0, t)) * (size - 1);
+  });
+  const base = coords.map((v) => Math.min(size - 2, Math.floor(v)));
+  const frac = coords.map((v, c) => v - base[c]);
+  const result = [0, 0, 0];
+  for (let corner = 0; corner < 8; corner++) {
+    const offset = [corner & 1, (corner >> 1) & 1, (corner >> 2) & 1];
+    let weight = 1;
+    for (let c = 0; c < 3; c++) {
+      weight *= offset[c] ? frac[c] : 1 - frac[c];
+    }
+    if (weight === 0) continue;
+    const index =
+      base[0] +
+      offset[0] +
+      (base[1] + offset[1]) * size +
+      (base[2] + offset[2]) * size * size;
+    for (let c = 0; c < 3; c++) {
+      result[c] += data[index * 3 + c] * weight;
+    }
+  }
+  return result;
+}
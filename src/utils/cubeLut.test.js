@@ -0,0 +1,144 @@
+import { describe, expect, it } from "vitest";
+import { CubeLutError, parseCubeLut, sampleCubeLut } from "./cubeLut";
+
+// Rows of a size^3 table, red fastest, from a per-node color function
+function rows(size, color) {
+  const lines = [];
+  for (let b = 0; b < size; b++) {
+    for (let g = 0; g < size; g++) {
+      for (let r = 0; r < size; r++) {
+        const rgb = [r, g, b].map((v) => v / (size - 1));
+        lines.push(color(rgb).join(" "));
+      }
+    }
+  }
+  return lines;
+}
+
+const identity = (size, header = []) =>
+  [...header, `LUT_3D_SIZE ${size}`, ...rows(size, (rgb) => rgb)].join("\n");
+
+const expectClose = (actual, expected) =>
+  expected.forEach((value, c) => expect(actual[c]).toBeCloseTo(value, 6));
+
+describe("parseCubeLut", () => {
+  it("reads the size and the table in file order", () => {
+    const lut = parseCubeLut(identity(2));
+    expect(lut.size).toBe(2);
+    expect(lut.data).toHaveLength(2 * 2 * 2 * 3);
+    // Second row is red = 1, third is green = 1
+    expect(Array.from(lut.data.slice(3, 9))).toEqual([1, 0, 0, 0, 1, 0]);
+    expect(lut.domainMin).toEqual([0, 0, 0]);
+    expect(lut.domainMax).toEqual([1, 1, 1]);
+  });
+
+  it("rejects a missing or out of range LUT_3D_SIZE", () => {
+    expect(() => parseCubeLut("0 0 0\n")).toThrow(CubeLutError);
+    expect(() => parseCubeLut("TITLE x\n")).toThrow("Missing LUT_3D_SIZE");
+    for (const size of ["1", "257", "2.5", "abc"]) {
+      expect(() => parseCubeLut(`LUT_3D_SIZE ${size}\n`)).toThrow(
+        /LUT_3D_SIZE must be 2-256/
+      );
+    }
+    expect(() => parseCubeLut("LUT_1D_SIZE 16\n")).toThrow(CubeLutError);
+  });
+
+  it("reads DOMAIN_MIN and DOMAIN_MAX", () => {
+    const lut = parseCubeLut(
+      identity(2, ["DOMAIN_MIN 0 -1 0", "DOMAIN_MAX 2 1 4"])
+    );
+    expect(lut.domainMin).toEqual([0, -1, 0]);
+    expect(lut.domainMax).toEqual([2, 1, 4]);
+  });
+
+  it("rejects a domain that is empty or not three numbers", () => {
+    expect(() =>
+      parseCubeLut(identity(2, ["DOMAIN_MIN 0 0 1", "DOMAIN_MAX 1 1 1"]))
+    ).toThrow("DOMAIN_MAX must be above DOMAIN_MIN");
+    expect(() => parseCubeLut(identity(2, ["DOMAIN_MAX 1 1"]))).toThrow(
+      "Line 1: Expected 3 values, got 2"
+    );
+  });
+
+  it("raises CubeLutError for the wrong number of rows", () => {
+    const lines = identity(2).split("\n");
+    expect(() => parseCubeLut(lines.slice(0, -1).join("\n"))).toThrow(
+      "Expected 8 rows for size 2, got 7"
+    );
+    let error;
+    try {
+      parseCubeLut([...lines, "1 1 1"].join("\n"));
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(CubeLutError);
+    expect(error.line).toBe(lines.length + 1);
+  });
+
+  it("reports malformed rows with their line number", () => {
+    const lines = identity(2).split("\n");
+    lines[3] = "0 nope 0";
+    expect(() => parseCubeLut(lines.join("\n"))).toThrow(
+      'Line 4: Not a number: "0 nope 0"'
+    );
+  });
+
+  it("skips comments and blank lines, and reads the title", () => {
+    const text = [
+      "# Made by hand",
+      "",
+      'TITLE "Warm look"',
+      "   ",
+      "LUT_3D_SIZE 2",
+      "# Table follows",
+      ...rows(2, (rgb) => rgb).flatMap((row) => [row, ""]),
+    ].join("\n");
+    const lut = parseCubeLut(text);
+    expect(lut.title).toBe("Warm look");
+    expect(Array.from(lut.data)).toEqual(
+      Array.from(parseCubeLut(identity(2)).data)
+    );
+  });
+
+  it("accepts CRLF line endings", () => {
+    const text = identity(3, ["TITLE crlf"]).split("\n").join("\r\n");
+    const lut = parseCubeLut(`${text}\r\n`);
+    expect(lut.title).toBe("crlf");
+    expect(lut.size).toBe(3);
+    expect(Array.from(lut.data)).toEqual(
+      Array.from(parseCubeLut(identity(3)).data)
+    );
+  });
+});
+
+describe("sampleCubeLut", () => {
+  it("returns the table's values at the corners", () => {
+    const lut = parseCubeLut(identity(2));
+    for (let corner = 0; corner < 8; corner++) {
+      const rgb = [corner & 1, (corner >> 1) & 1, (corner >> 2) & 1];
+      expectClose(sampleCubeLut(lut, rgb), rgb);
+    }
+  });
+
+  it("interpolates trilinearly between nodes", () => {
+    // Squared per channel at the nodes, so midpoints show the interpolation
+    const lut = parseCubeLut(
+      ["LUT_3D_SIZE 3", ...rows(3, (rgb) => rgb.map((v) => v * v))].join("\n")
+    );
+    // On a node
+    expectClose(sampleCubeLut(lut, [0.5, 0.5, 0.5]), [0.25, 0.25, 0.25]);
+    // Halfway between nodes: the average of the neighbours, not the square
+    expectClose(sampleCubeLut(lut, [0.25, 0.75, 0]), [0.125, 0.625, 0]);
+    // The middle of a cell mixes all eight corners
+    expectClose(sampleCubeLut(lut, [0.75, 0.25, 0.75]), [0.625, 0.125, 0.625]);
+  });
+
+  it("maps the domain onto the table and clamps outside it", () => {
+    const lut = parseCubeLut(
+      identity(2, ["DOMAIN_MIN 0 0 0", "DOMAIN_MAX 2 4 1"])
+    );
+    expectClose(sampleCubeLut(lut, [1, 2, 0.5]), [0.5, 0.5, 0.5]);
+    expectClose(sampleCubeLut(lut, [2, 4, 1]), [1, 1, 1]);
+    expectClose(sampleCubeLut(lut, [-1, 8, 0]), [0, 1, 0]);
+  });
+});
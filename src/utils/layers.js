@@ -0,0 +1,5 @@
+// Render layers shared by the scene and the post-processing passes.
+// The main camera renders DEFAULT_LAYER; the god rays occlusion pass renders
+// OCCLUSION_LAYER, where light sources emit and occluders are black.
+export const DEFAULT_LAYER = 0;
+export const OCCLUSION_LAYER = 1;
@@ -0,0 +1,57 @@
+import { createRandom, randFloat } from "./random";
+
+// Procedural lens dirt: a seeded square mask of soft specks and smudges,
+// as greyscale bytes, that the lens dirt effect multiplies the bloom glow by
+// so bright areas light up the dirt on the "lens". Pure, so the same seed
+// always gives the same smear.
+
+// `spots` round specks plus a third as many stretched smudges, over a faint
+// haze so the glow never disappears entirely between them
+export function generateLensDirt({ size = 256, seed = 0, spots = 80 } = {}) {
+  const random = createRandom(seed);
+  const field = new Float32Array(size * size).fill(0.08);
+
+  const splat = (cx, cy, rx, ry, angle, strength) => {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const reach = Math.ceil(Math.max(rx, ry) * 2.5 * size);
+    const px = Math.floor(cx * size);
+    const py = Math.floor(cy * size);
+    for (let y = Math.max(0, py - reach); y < Math.min(size, py + reach); y++) {
+      for (
+        let x = Math.max(0, px - reach);
+        x < Math.min(size, px + reach);
+        x++
+      ) {
+        // Offset in the splat's own frame, in radii
+        const dx = (x + 0.5) / size - cx;
+        const dy = (y + 0.5) / size - cy;
+        const u = (dx * cos + dy * sin) / rx;
+        const v = (dy * cos - dx * sin) / ry;
+        field[y * size + x] += strength * Math.exp(-(u * u + v * v));
+      }
+    }
+  };
+
+  for (let i = 0; i < spots; i++) {
+    const radius = randFloat(random, 0.004, 0.04);
+    splat(random(), random(), radius, radius, 0, randFloat(random, 0.2, 0.8));
+  }
+  for (let i = 0; i < Math.ceil(spots / 3); i++) {
+    const length = randFloat(random, 0.04, 0.15);
+    splat(
+      random(),
+      random(),
+      length,
+      length * randFloat(random, 0.1, 0.3),
+      random() * Math.PI,
+      randFloat(random, 0.1, 0.3)
+    );
+  }
+
+  const data = new Uint8Array(size * size);
+  for (let i = 0; i < field.length; i++) {
+    data[i] = Math.round(Math.min(1, field[i]) * 255);
+  }
+  return { size, data };
+}
@@ -0,0 +1,83 @@
+import { hashSeed } from "./random";
+
+// Modulators: LFOs, smoothed noise, random steps and one-shot envelopes that
+// move a numeric control around its set value. Each one is a pure function
+// of time, so the same time always gives the same value, whatever the frame
+// rate (or the fixed timestep of an offline recording).
+
+export const MODULATOR_SHAPES = {
+  Sine: "sine",
+  Triangle: "triangle",
+  Square: "square",
+  Saw: "saw",
+  Noise: "noise",
+  "Random Step": "randomStep",
+  Envelope: "envelope",
+};
+
+export const DEFAULT_MODULATOR = {
+  shape: "sine",
+  rate: 0.5, // Cycles (or steps) per second
+  depth: 0.1, // Swing, as a fraction of the control's range
+  offset: 0, // Shift, as a fraction of the control's range
+  phase: 0, // 0..1 of a cycle
+  seed: 0, // Noise and random steps
+  attack: 0.05, // Envelope rise, seconds
+  decay: 0.5, // Envelope fall, seconds
+  trigger: null, // Time the envelope last fired, or null
+};
+
+// Repeatable value in [-1, 1] for an integer step
+function stepValue(seed, step) {
+  return (hashSeed(hashSeed(seed) ^ hashSeed(step)) / 4294967295) * 2 - 1;
+}
+
+// The modulator's signal: -1..1 for the periodic shapes, noise and random
+// steps; 0..1 for the envelope (0 before its first trigger)
+export function evaluateSignal(modulator, time) {
+  const { shape, rate, phase, seed, attack, decay, trigger } = {
+    ...DEFAULT_MODULATOR,
+    ...modulator,
+  };
+  const cycle = time * rate + phase;
+  const fraction = cycle - Math.floor(cycle);
+  switch (shape) {
+    case "sine":
+      return Math.sin(cycle * Math.PI * 2);
+    case "triangle":
+      return 1 - 4 * Math.abs(fraction - 0.5);
+    case "square":
+      return fraction < 0.5 ? 1 : -1;
+    case "saw":
+      return fraction * 2 - 1;
+    case "randomStep":
+      return stepValue(seed, Math.floor(cycle));
+    case "noise": {
+      // Value noise: random steps joined by a smoothstep
+      const step = Math.floor(cycle);
+      const t = fraction * fraction * (3 - 2 * fraction);
+      const a = stepValue(seed, step);
+      return a + (stepValue(seed, step + 1) - a) * t;
+    }
+    case "envelope": {
+      if (trigger === null || trigger === undefined || time < trigger) return 0;
+      const elapsed = time - trigger;
+      if (elapsed < attack) return attack > 0 ? elapsed / attack : 1;
+      const falling = elapsed - attack;
+      return decay > 0 ? Math.max(0, 1 - falling / decay) : 0;
+    }
+    default:
+      return 0;
+  }
+}
+
+// A control's value under a modulator: its base value moved by
+// offset + depth * signal, both scaled by the control's range, and kept
+// inside that range
+export function applyModulator(base, modulator, time, { min, max }) {
+  const { depth, offset } = { ...DEFAULT_MODULATOR, ...modulator };
+  const range = max - min;
+  const value =
+    base + range * (offset + depth * evaluateSignal(modulator, time));
+  return Math.min(max, Math.max(min, value));
+}
@@ -0,0 +1,89 @@
+import { describe, expect, it } from "vitest";
+import { applyModulator, evaluateSignal } from "./modulators";
+
+const at = (modulator, times) =>
+  times.map((time) => evaluateSignal(modulator, time));
+
+describe("evaluateSignal", () => {
+  it("follows the periodic shapes over one cycle", () => {
+    const times = [0, 0.25, 0.5, 0.75];
+    at({ shape: "sine", rate: 1 }, times).forEach((value, i) =>
+      expect(value).toBeCloseTo([0, 1, 0, -1][i], 9)
+    );
+    expect(at({ shape: "triangle", rate: 1 }, times)).toEqual([-1, 0, 1, 0]);
+    expect(at({ shape: "square", rate: 1 }, times)).toEqual([1, 1, -1, -1]);
+    expect(at({ shape: "saw", rate: 1 }, times)).toEqual([-1, -0.5, 0, 0.5]);
+  });
+
+  it("scales time by the rate and shifts it by the phase", () => {
+    expect(evaluateSignal({ shape: "saw", rate: 2 }, 0.25)).toBe(0);
+    expect(evaluateSignal({ shape: "saw", rate: 1, phase: 0.5 }, 0)).toBe(0);
+    // A whole number of cycles later, the same value
+    expect(evaluateSignal({ shape: "triangle", rate: 0.5 }, 7.5)).toBe(
+      evaluateSignal({ shape: "triangle", rate: 0.5 }, 1.5)
+    );
+  });
+
+  it("holds random steps for a step and repeats them for a seed", () => {
+    const steps = { shape: "randomStep", rate: 2, seed: 4 };
+    const values = at(steps, [0, 0.1, 0.49, 0.5, 1, 1.5]);
+    expect(values[1]).toBe(values[0]);
+    expect(values[2]).toBe(values[0]);
+    expect(values[3]).not.toBe(values[0]);
+    values.forEach((value) => {
+      expect(value).toBeGreaterThanOrEqual(-1);
+      expect(value).toBeLessThanOrEqual(1);
+    });
+    expect(at(steps, [0, 0.5, 1])).toEqual(at({ ...steps }, [0, 0.5, 1]));
+    expect(at({ ...steps, seed: 5 }, [0, 0.5, 1])).not.toEqual(
+      at(steps, [0, 0.5, 1])
+    );
+  });
+
+  it("joins noise steps smoothly", () => {
+    const noise = { shape: "noise", rate: 1, seed: 2 };
+    const steps = { shape: "randomStep", rate: 1, seed: 2 };
+    // On each step it's the step's value...
+    expect(evaluateSignal(noise, 3)).toBe(evaluateSignal(steps, 3));
+    expect(evaluateSignal(noise, 4)).toBeCloseTo(evaluateSignal(steps, 4), 9);
+    // ...and halfway between, the average of its neighbours
+    expect(evaluateSignal(noise, 3.5)).toBeCloseTo(
+      (evaluateSignal(steps, 3) + evaluateSignal(steps, 4)) / 2,
+      9
+    );
+  });
+
+  it("runs an envelope from its trigger", () => {
+    const envelope = { shape: "envelope", attack: 0.1, decay: 0.4 };
+    expect(evaluateSignal(envelope, 5)).toBe(0);
+    const fired = { ...envelope, trigger: 2 };
+    at(fired, [1.9, 2, 2.05, 2.1, 2.3, 2.5, 3]).forEach((value, i) =>
+      expect(value).toBeCloseTo([0, 0, 0.5, 1, 0.5, 0, 0][i], 9)
+    );
+    expect(evaluateSignal({ ...fired, attack: 0 }, 2)).toBe(1);
+  });
+});
+
+describe("applyModulator", () => {
+  const range = { min: 0, max: 10 };
+
+  it("moves the base value by depth and offset, scaled by the range", () => {
+    const lfo = { shape: "square", rate: 1, depth: 0.1, offset: 0.05 };
+    expect(applyModulator(5, lfo, 0, range)).toBeCloseTo(6.5, 9);
+    expect(applyModulator(5, lfo, 0.5, range)).toBeCloseTo(4.5, 9);
+    expect(applyModulator(0, lfo, 0, { min: -1, max: 1 })).toBeCloseTo(0.3, 9);
+  });
+
+  it("keeps the value inside the control's range", () => {
+    const lfo = { shape: "square", rate: 1, depth: 0.5 };
+    expect(applyModulator(9, lfo, 0, range)).toBe(10);
+    expect(applyModulator(1, lfo, 0.5, range)).toBe(0);
+  });
+
+  it("leaves the value alone with no depth or offset", () => {
+    const still = { shape: "sine", rate: 3, depth: 0, offset: 0 };
+    [0, 0.1, 0.37].forEach((time) =>
+      expect(applyModulator(4.2, still, time, range)).toBe(4.2)
+    );
+  });
+});
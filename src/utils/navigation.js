@@ -0,0 +1,99 @@
+// Pure navigation state for the input layer: steering the camera across the
+// tunnel, looking around, parallax and the throttle. Input sources (pointer,
+// touch, keyboard, gamepad) are boiled down to a few normalized axes by
+// useNavigation; this module turns those into damped, bounded motion.
+// Positions are offsets in the camera rig's space.
+
+export const DEFAULT_NAVIGATION_OPTIONS = {
+  steerSpeed: 3, // Units per second at full deflection
+  lookRange: 4, // Units the look target moves at full deflection
+  parallax: 0.6, // Units the camera shifts with the pointer
+  damping: 0.15, // Seconds to settle on a new look/parallax target
+  throttleRate: 4, // Speed units per second while the throttle is held
+  minThrottle: -50,
+  maxThrottle: 50,
+};
+
+export function createNavigationState() {
+  return {
+    steerX: 0,
+    steerY: 0,
+    lookX: 0, // Damped pointer + drag + stick look, -1..1
+    lookY: 0,
+    cursorX: 0, // Damped pointer position, -1..1
+    cursorY: 0,
+    throttle: 0, // Added to the tunnel speed
+  };
+}
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const follow = (dt, seconds) => (seconds > 0 ? 1 - Math.exp(-dt / seconds) : 1);
+
+// input: { cursorX, cursorY, lookX, lookY, steerX, steerY, throttle }, all
+// -1..1 and 0 when a source is off. bounds: the range the camera may move in
+// ({ minX, maxX, minY, maxY }) and base: its position before navigation.
+export function stepNavigation(state, input, dt, { bounds, base, ...rest }) {
+  const options = { ...DEFAULT_NAVIGATION_OPTIONS, ...rest };
+  const smoothing = follow(dt, options.damping);
+
+  const lookX = clamp(input.cursorX + input.lookX, -1, 1);
+  const lookY = clamp(input.cursorY + input.lookY, -1, 1);
+
+  // Steering is kept so the camera itself stays inside the bounds
+  const steerX = clamp(
+    state.steerX + input.steerX * options.steerSpeed * dt,
+    bounds.minX - base.x,
+    bounds.maxX - base.x
+  );
+  const steerY = clamp(
+    state.steerY + input.steerY * options.steerSpeed * dt,
+    bounds.minY - base.y,
+    bounds.maxY - base.y
+  );
+
+  return {
+    steerX,
+    steerY,
+    lookX: state.lookX + (lookX - state.lookX) * smoothing,
+    lookY: state.lookY + (lookY - state.lookY) * smoothing,
+    cursorX: state.cursorX + (input.cursorX - state.cursorX) * smoothing,
+    cursorY: state.cursorY + (input.cursorY - state.cursorY) * smoothing,
+    throttle: clamp(
+      state.throttle + input.throttle * options.throttleRate * dt,
+      options.minThrottle,
+      options.maxThrottle
+    ),
+  };
+}
+
+// Camera position and look target for a navigation state, both inside the
+// bounds. `lookAt` is the undisturbed look target.
+export function getNavigationView(state, { bounds, base, lookAt, ...rest }) {
+  const options = { ...DEFAULT_NAVIGATION_OPTIONS, ...rest };
+  const x = clamp(
+    base.x + state.steerX + state.lookX * options.parallax,
+    bounds.minX,
+    bounds.maxX
+  );
+  const y = clamp(
+    base.y + state.steerY + state.lookY * options.parallax,
+    bounds.minY,
+    bounds.maxY
+  );
+  return {
+    position: { x, y, z: base.z },
+    target: {
+      x: clamp(
+        lookAt.x + state.steerX + state.lookX * options.lookRange,
+        bounds.minX,
+        bounds.maxX
+      ),
+      y: clamp(
+        lookAt.y + state.steerY + state.lookY * options.lookRange,
+        bounds.minY,
+        bounds.maxY
+      ),
+      z: lookAt.z,
+    },
+  };
+}
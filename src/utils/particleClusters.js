@@ -0,0 +1,76 @@
+import { createRandom } from "./random";
+
+// Spatial clusters of a section's particles. Each cluster becomes its own
+// instanced mesh with its own bounds, so three's frustum culling can skip the
+// clusters behind the camera or outside a light's shadow frustum, and each
+// cluster can draw fewer of its particles the further away it is.
+// Pure data, like particleLayout.
+
+// Split a layout's particles `indices` (e.g. one geometry's, see
+// splitLayoutByGeometry) into a grid of roughly `cellSize` cells over their
+// extent. Returns [{ key, indices }] for the non-empty cells, where `key`
+// names the cell. Each cluster's particles are shuffled, so any prefix of
+// them is an even sample of the whole cluster: drawing the first n thins it
+// out uniformly.
+export function clusterLayout(
+  layout,
+  indices,
+  { cellSize = 5, seed = 0 } = {}
+) {
+  if (indices.length === 0) return [];
+  const p = layout.positions;
+
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  indices.forEach((i) => {
+    for (let axis = 0; axis < 3; axis++) {
+      const v = p[i * 3 + axis];
+      if (v < min[axis]) min[axis] = v;
+      if (v > max[axis]) max[axis] = v;
+    }
+  });
+  // Whole cells per axis, stretched to cover the extent exactly, so a wall
+  // that is one cell wide isn't cut in two by a grid that doesn't fit it
+  const cells = min.map((lo, axis) =>
+    Math.max(1, Math.round((max[axis] - lo) / Math.max(cellSize, 1e-3)))
+  );
+  const cellOf = (i) =>
+    [0, 1, 2].map((axis) => {
+      const extent = max[axis] - min[axis];
+      if (extent <= 0) return 0;
+      const t = (p[i * 3 + axis] - min[axis]) / extent;
+      return Math.min(cells[axis] - 1, Math.floor(t * cells[axis]));
+    });
+
+  const members = {};
+  indices.forEach((i) => {
+    const key = cellOf(i).join(",");
+    if (!members[key]) members[key] = [];
+    members[key].push(i);
+  });
+
+  const random = createRandom(seed);
+  return Object.entries(members).map(([key, cluster]) => {
+    // Fisher-Yates, seeded so the same layout always thins out the same way
+    for (let i = cluster.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [cluster[i], cluster[j]] = [cluster[j], cluster[i]];
+    }
+    return { key, indices: Uint32Array.from(cluster) };
+  });
+}
+
+// Share of a cluster's particles drawn at `distance` from the camera: all of
+// them up to lodNear, falling linearly to lodMinDensity at lodFar and beyond
+export function getLodFraction(distance, { lodNear, lodFar, lodMinDensity }) {
+  if (distance <= lodNear) return 1;
+  if (distance >= lodFar || lodFar <= lodNear) return lodMinDensity;
+  const t = (distance - lodNear) / (lodFar - lodNear);
+  return 1 + (lodMinDensity - 1) * t;
+}
+
+// Instances to draw out of `total` for a LOD fraction; never zero while
+// there are any, so a distant cluster thins out but doesn't vanish
+export function getLodCount(total, fraction) {
+  return total > 0 ? Math.max(1, Math.ceil(total * fraction)) : 0;
+}
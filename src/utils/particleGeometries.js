@@ -0,0 +1,180 @@
+import * as THREE from "three";
+import { ConvexGeometry } from "three/examples/jsm/geometries/ConvexGeometry.js";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { mergeGeometries } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+import { createRandom, randFloat } from "./random";
+
+// Geometry library for the tunnel particles: cubes, tetrahedra, thin plates,
+// seeded shard fragments and user-supplied GLB models. Every shape is built
+// around the origin at roughly the size of a `size` cube, so mixing them
+// keeps the tunnel's density and the layout's scale randomness meaningful.
+
+export const PARTICLE_GEOMETRY_TYPES = [
+  "cube",
+  "tetrahedron",
+  "plate",
+  "shard",
+  "model",
+];
+
+// Each shard variant gets its own stream, so adding variants doesn't
+// reshape the existing ones
+const SHARD_SEED_STRIDE = 0x3c6ef372;
+
+// One fractured fragment: the convex hull of a random point cloud squashed
+// along random axes. `jaggedness` 0 gives chunky, near-round pieces; 1 gives
+// long, thin splinters. Same seed, same shard.
+export function createShardGeometry({
+  seed = 0,
+  size = 1,
+  points = 12,
+  jaggedness = 0.5,
+} = {}) {
+  const random = createRandom(seed);
+  const stretch = new THREE.Vector3(
+    randFloat(random, 1, 1 + jaggedness),
+    randFloat(random, 1 - jaggedness * 0.8, 1),
+    randFloat(random, 1 - jaggedness * 0.5, 1 + jaggedness * 0.5)
+  );
+  const cloud = [];
+  for (let i = 0; i < Math.max(4, points); i++) {
+    // Uniform direction, radius biased outwards so the hull has real faces
+    const theta = random() * Math.PI * 2;
+    const z = random() * 2 - 1;
+    const r = Math.sqrt(1 - z * z);
+    const radius = 0.6 + random() * 0.4;
+    cloud.push(
+      new THREE.Vector3(
+        r * Math.cos(theta) * radius * stretch.x,
+        r * Math.sin(theta) * radius * stretch.y,
+        z * radius * stretch.z
+      )
+    );
+  }
+  const geometry = new ConvexGeometry(cloud);
+  normalizeGeometry(geometry, size);
+  return geometry;
+}
+
+// Several seeded shards, to be shared by every tunnel section
+export function createShardGeometries({ seed = 0, variants = 4, ...options }) {
+  return Array.from({ length: variants }, (_, i) =>
+    createShardGeometry({ ...options, seed: seed + i * SHARD_SEED_STRIDE })
+  );
+}
+
+// Center a geometry and scale it so its largest extent is `size`
+export function normalizeGeometry(geometry, size) {
+  geometry.computeBoundingBox();
+  const box = geometry.boundingBox;
+  const center = box.getCenter(new THREE.Vector3());
+  const extent = box.getSize(new THREE.Vector3());
+  const largest = Math.max(extent.x, extent.y, extent.z) || 1;
+  geometry.translate(-center.x, -center.y, -center.z);
+  geometry.scale(size / largest, size / largest, size / largest);
+  geometry.computeBoundingBox();
+  geometry.computeBoundingSphere();
+  return geometry;
+}
+
+// The built-in shapes of one type. Shards have one entry per variant.
+export function createParticleGeometries(
+  type,
+  { size = 1, seed = 0, shardVariants = 4, shardPoints = 12, jaggedness = 0.5 }
+) {
+  switch (type) {
+    case "cube":
+      return [new THREE.BoxGeometry(size, size, size)];
+    case "tetrahedron":
+      // Circumradius that gives it about the cube's extent
+      return [new THREE.TetrahedronGeometry(size * 0.75)];
+    case "plate":
+      return [new THREE.BoxGeometry(size * 1.2, size * 0.12, size * 0.9)];
+    case "shard":
+      return createShardGeometries({
+        seed,
+        variants: shardVariants,
+        size: size * 1.2,
+        points: shardPoints,
+        jaggedness,
+      });
+    default:
+      return [];
+  }
+}
+
+// The mix the particles are drawn from: one entry per geometry, each with
+// its share of the instances. A type's weight is split evenly between its
+// geometries. `model` is the geometry from loadModelGeometry(), if any; the
+// model weight is ignored without one.
+export function createParticleGeometryLibrary({
+  weights,
+  model = null,
+  ...options
+}) {
+  const library = [];
+  PARTICLE_GEOMETRY_TYPES.forEach((type) => {
+    const weight = Math.max(0, weights[type] || 0);
+    if (weight === 0) return;
+    const geometries =
+      type === "model"
+        ? model
+          ? [normalizeGeometry(model.clone(), options.size || 1)]
+          : []
+        : createParticleGeometries(type, options);
+    geometries.forEach((geometry) =>
+      library.push({ type, geometry, weight: weight / geometries.length })
+    );
+  });
+  return library;
+}
+
+export function disposeParticleGeometryLibrary(library) {
+  library.forEach(({ geometry }) => geometry.dispose());
+}
+
+// Load a GLB/glTF and merge every mesh in it into one geometry (positions and
+// normals only, since the particles bring their own material and colors)
+export function loadModelGeometry(url) {
+  return new GLTFLoader().loadAsync(url).then((gltf) => {
+    gltf.scene.updateMatrixWorld(true);
+    const parts = [];
+    gltf.scene.traverse((object) => {
+      if (!object.isMesh) return;
+      const part = object.geometry.index
+        ? object.geometry.toNonIndexed()
+        : object.geometry.clone();
+      Object.keys(part.attributes).forEach((name) => {
+        if (name !== "position" && name !== "normal") {
+          part.deleteAttribute(name);
+        }
+      });
+      part.morphAttributes = {};
+      part.applyMatrix4(object.matrixWorld);
+      if (!part.getAttribute("normal")) part.computeVertexNormals();
+      parts.push(part);
+    });
+    if (parts.length === 0) {
+      throw new Error("The model has no meshes");
+    }
+    const merged = mergeGeometries(parts);
+    parts.forEach((part) => part.dispose());
+    if (!merged) {
+      throw new Error("The model's meshes could not be merged");
+    }
+    return normalizeGeometry(merged, 1);
+  });
+}
+
+export function pickModelFile() {
+  return new Promise((resolve) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".glb,.gltf,model/gltf-binary,model/gltf+json";
+    input.addEventListener("change", () => {
+      resolve((input.files && input.files[0]) || null);
+    });
+    input.addEventListener("cancel", () => resolve(null));
+    input.click();
+  });
+}
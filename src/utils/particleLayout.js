@@ -0,0 +1,321 @@
+import * as THREE from "three";
+import { createNoise2D } from "simplex-noise";
+import { createRandom, randFloat, randFloatSpread } from "./random";
+import { createCrossSection } from "./crossSections";
+
+// Pure particle layout generator for TunnelParticles.
+// No WebGL or React in here: given the same options (including the seed) it
+// always returns the same particles.
+//
+// Particles are built in three stages, so a control change only redoes the
+// stage it affects:
+// - layout (generateParticleLayout): where each particle sits, which way it
+//   breathes, its geometry, and its own random draws for size, rotation and
+//   color. The seed, placement and noise controls change this.
+// - transform (writeParticleTransforms): instance matrices and breathing
+//   offsets from the layout and the size and rotation controls.
+// - appearance (writeParticleColors): instance colors from the layout and
+//   the color controls.
+// The last two write straight into instance buffers, for any subset of the
+// layout's particles (see TunnelParticles).
+
+const _position = new THREE.Vector3();
+const _rotation = new THREE.Euler();
+const _quaternion = new THREE.Quaternion();
+const _scale = new THREE.Vector3();
+const _matrix = new THREE.Matrix4();
+const _baseColor = new THREE.Color();
+const _color = new THREE.Color();
+const _outlinePoint = {};
+const _drift = new THREE.Vector3();
+
+// The noise field gets its own stream so its permutation table doesn't shift
+// the placement draws (and vice versa). Same for the animation attributes,
+// which were added later and must not change existing layouts.
+const NOISE_SEED_OFFSET = 0x5eed;
+const ANIMATION_SEED_OFFSET = 0xa11e;
+const GEOMETRY_SEED_OFFSET = 0x6e0;
+
+// Per-instance arrays of a layout and their item sizes
+export const LAYOUT_ARRAYS = {
+  positions: 3,
+  drifts: 3, // Breathing offset at full amount, in world space
+  scales: 1, // Size multiplier on top of the size controls
+  scaleRandoms: 1, // Size draw, 0-1
+  rotations: 3, // Rotation draw per axis, -0.5-0.5
+  colorRandoms: 1, // Color draw, -0.5-0.5
+  phases: 1, // Animation phase and tumble axis (see particleAnimation)
+  spins: 3,
+};
+
+// Empty layout with room for `capacity` particles. Besides LAYOUT_ARRAYS,
+// `geometryIndices` picks each particle's geometry and `fixedRotations`
+// marks particles whose rotation draw is their actual rotation (in turns),
+// untouched by the rotation controls.
+export function createParticleLayout(capacity) {
+  const layout = { actualCount: 0 };
+  Object.entries(LAYOUT_ARRAYS).forEach(([key, itemSize]) => {
+    layout[key] = new Float32Array(capacity * itemSize);
+  });
+  layout.geometryIndices = new Uint8Array(capacity);
+  layout.fixedRotations = new Uint8Array(capacity);
+  return layout;
+}
+
+// Copy particle `i` of `source` to slot `n` of `target`
+export function copyParticle(source, i, target, n) {
+  Object.entries(LAYOUT_ARRAYS).forEach(([key, itemSize]) => {
+    target[key].set(
+      source[key].subarray(i * itemSize, (i + 1) * itemSize),
+      n * itemSize
+    );
+  });
+  target.geometryIndices[n] = source.geometryIndices[i];
+  target.fixedRotations[n] = source.fixedRotations[i];
+}
+
+// Index into `weights` picked by a uniform draw in [0, 1)
+export function pickWeighted(weights, total, draw) {
+  let threshold = draw * total;
+  for (let i = 0; i < weights.length - 1; i++) {
+    threshold -= weights[i];
+    if (threshold < 0) return i;
+  }
+  return weights.length - 1;
+}
+
+export function generateParticleLayout({
+  seed = 0,
+  count = 2500,
+  boxSize = 10,
+  boxDepth = 30,
+  boxThickness = 2,
+  crossSection = "square",
+  polygonSides = 6,
+  ellipseAspect = 1.5,
+  useParticleNoise = true,
+  particleNoiseScale = 0.1,
+  particleNoiseThreshold = 0.0,
+  geometryWeights = [1], // Share of each particle geometry (see particleGeometries)
+} = {}) {
+  const random = createRandom(seed);
+  const noise2D = createNoise2D(createRandom(seed + NOISE_SEED_OFFSET));
+  const animationRandom = createRandom(seed + ANIMATION_SEED_OFFSET);
+  const geometryRandom = createRandom(seed + GEOMETRY_SEED_OFFSET);
+  const geometryWeightTotal = geometryWeights.reduce((a, b) => a + b, 0) || 1;
+
+  const layout = createParticleLayout(count);
+  const halfBoxSize = boxSize / 2;
+  const halfBoxThickness = boxThickness / 2;
+  // The square keeps its original four-face placement so existing seeds and
+  // presets reproduce exactly; every other shape samples its outline
+  const outline =
+    crossSection === "square"
+      ? null
+      : createCrossSection({
+          shape: crossSection,
+          size: boxSize,
+          sides: polygonSides,
+          aspect: ellipseAspect,
+        });
+
+  for (let i = 0; i < count; i++) {
+    // Every candidate consumes the same number of draws, kept or not, so
+    // tweaking the noise or color controls doesn't reshuffle the layout
+    const faceRandom = random();
+    const across = randFloatSpread(random, boxSize);
+    const shell = randFloat(random, -halfBoxThickness, halfBoxThickness);
+    const z = randFloatSpread(random, boxDepth);
+    const scaleRandom = random();
+    const rotationRandomX = random() - 0.5;
+    const rotationRandomY = random() - 0.5;
+    const rotationRandomZ = random() - 0.5;
+    const colorRandom = random() - 0.5;
+    const phase = animationRandom();
+    const spinX = animationRandom() - 0.5;
+    const spinY = animationRandom() - 0.5;
+    const spinZ = animationRandom() - 0.5;
+    const spinRate = 0.5 + animationRandom();
+    const driftJitter = animationRandom() - 0.5;
+    const driftLength = 0.5 + animationRandom() * 0.5;
+    const geometryRandomValue = geometryRandom();
+
+    // Position in the cross-section, the coordinate along the wall used for
+    // the noise lookup and the wall's inward normal
+    let x, y, noiseCoordX, inwardX, inwardY;
+    if (outline) {
+      // Offset from the outline along its outward normal by the shell depth
+      outline.sample(faceRandom, _outlinePoint);
+      x = _outlinePoint.x + _outlinePoint.nx * shell;
+      y = _outlinePoint.y + _outlinePoint.ny * shell;
+      noiseCoordX = _outlinePoint.along;
+      inwardX = -_outlinePoint.nx;
+      inwardY = -_outlinePoint.ny;
+    } else {
+      const face = Math.floor(faceRandom * 4);
+      if (face === 0) {
+        // Top
+        x = across;
+        y = halfBoxSize + shell;
+      } else if (face === 1) {
+        // Bottom
+        x = across;
+        y = -halfBoxSize + shell;
+      } else if (face === 2) {
+        // Left
+        x = -halfBoxSize + shell;
+        y = across;
+      } else {
+        // Right
+        x = halfBoxSize + shell;
+        y = across;
+      }
+      // The face's own 2D coordinates (along the face, depth)
+      noiseCoordX = face === 0 || face === 1 ? x : y;
+      inwardX = face === 2 ? 1 : face === 3 ? -1 : 0;
+      inwardY = face === 0 ? -1 : face === 1 ? 1 : 0;
+    }
+
+    if (useParticleNoise) {
+      const noiseValue = noise2D(
+        noiseCoordX * particleNoiseScale,
+        z * particleNoiseScale
+      );
+      if (noiseValue < particleNoiseThreshold) {
+        continue;
+      }
+    }
+
+    const n = layout.actualCount;
+    layout.positions[n * 3] = x;
+    layout.positions[n * 3 + 1] = y;
+    layout.positions[n * 3 + 2] = z;
+    layout.scales[n] = 1;
+    layout.scaleRandoms[n] = scaleRandom;
+    layout.rotations[n * 3] = rotationRandomX;
+    layout.rotations[n * 3 + 1] = rotationRandomY;
+    layout.rotations[n * 3 + 2] = rotationRandomZ;
+    layout.colorRandoms[n] = colorRandom;
+
+    // Tumble axis scaled by its rate, in the particle's own space
+    layout.phases[n] = phase;
+    layout.spins[n * 3] = spinX * spinRate;
+    layout.spins[n * 3 + 1] = spinY * spinRate;
+    layout.spins[n * 3 + 2] = spinZ * spinRate;
+
+    // Drift away from the wall into the tunnel, slightly skewed along z
+    _drift
+      .set(inwardX, inwardY, driftJitter)
+      .normalize()
+      .multiplyScalar(driftLength)
+      .toArray(layout.drifts, n * 3);
+
+    layout.geometryIndices[n] = pickWeighted(
+      geometryWeights,
+      geometryWeightTotal,
+      geometryRandomValue
+    );
+    layout.actualCount++;
+  }
+
+  return layout;
+}
+
+// Transform stage: instance matrices and aDrift values for the layout's
+// particles `indices`, written to slots 0, 1, 2... of `matrices` and
+// `drifts`. Geometries are unit sized, so `baseSize` is part of the matrix.
+export function writeParticleTransforms(
+  layout,
+  indices,
+  {
+    baseSize = 1,
+    sizeRandomness = 0.5,
+    baseRotationX = 0,
+    baseRotationY = 0,
+    baseRotationZ = 0,
+    rotationRandomnessX = 1.0,
+    rotationRandomnessY = 1.0,
+    rotationRandomnessZ = 1.0,
+  },
+  matrices,
+  drifts
+) {
+  const { positions, rotations } = layout;
+  indices.forEach((i, n) => {
+    const size =
+      (1 - sizeRandomness + layout.scaleRandoms[i] * 2 * sizeRandomness) *
+      layout.scales[i] *
+      baseSize;
+    _position.fromArray(positions, i * 3);
+    _scale.setScalar(size);
+    if (layout.fixedRotations[i]) {
+      _rotation.set(
+        rotations[i * 3] * Math.PI * 2,
+        rotations[i * 3 + 1] * Math.PI * 2,
+        rotations[i * 3 + 2] * Math.PI * 2
+      );
+    } else {
+      _rotation.set(
+        baseRotationX + rotations[i * 3] * 2 * rotationRandomnessX * Math.PI,
+        baseRotationY +
+          rotations[i * 3 + 1] * 2 * rotationRandomnessY * Math.PI,
+        baseRotationZ + rotations[i * 3 + 2] * 2 * rotationRandomnessZ * Math.PI
+      );
+    }
+    _quaternion.setFromEuler(_rotation);
+    _matrix.compose(_position, _quaternion, _scale);
+    _matrix.toArray(matrices, n * 16);
+
+    // The shader adds the drift before the instance matrix, so it is stored
+    // in the particle's local space (undoing its rotation and scale), which
+    // keeps shadows and lighting consistent with the moved position
+    _drift
+      .fromArray(layout.drifts, i * 3)
+      .divideScalar(Math.max(size, 1e-3))
+      .applyQuaternion(_quaternion.invert())
+      .toArray(drifts, n * 3);
+  });
+}
+
+// Appearance stage: instance colors for the layout's particles `indices`,
+// written to slots 0, 1, 2... of `colors`
+export function writeParticleColors(
+  layout,
+  indices,
+  { baseColor = "#ffffff", colorRandomness = 0.3 },
+  colors
+) {
+  _baseColor.set(baseColor);
+  indices.forEach((i, n) => {
+    _color.copy(_baseColor);
+    if (colorRandomness > 0) {
+      const randomFactor = layout.colorRandoms[i] * 2 * colorRandomness;
+      _color.offsetHSL(
+        randomFactor * 0.3,
+        randomFactor * 0.3,
+        randomFactor * 0.3
+      );
+    }
+    _color.toArray(colors, n * 3);
+  });
+}
+
+// Copy per-instance values of the particles `indices` from a layout array
+// to slots 0, 1, 2... of `target`
+export function gatherParticles(source, itemSize, indices, target) {
+  indices.forEach((i, n) => {
+    target.set(source.subarray(i * itemSize, (i + 1) * itemSize), n * itemSize);
+  });
+}
+
+// Indices of the particles drawn with each geometry (by geometryIndices),
+// in their original order. Particles without a geometry (an empty mix) are
+// dropped.
+export function splitLayoutByGeometry(layout, geometryCount) {
+  const parts = Array.from({ length: geometryCount }, () => []);
+  for (let i = 0; i < layout.actualCount; i++) {
+    const part = parts[layout.geometryIndices[i]];
+    if (part) part.push(i);
+  }
+  return parts.map((indices) => Uint32Array.from(indices));
+}
@@ -0,0 +1,48 @@
+// The post-processing chain: which effects run after the volumetric light,
+// in which order. The chain is a list of effect ids, kept in the settings as
+// one select per slot ("chain1", "chain2"...), so it saves with presets and
+// the config like any other control.
+
+export const POST_EFFECTS = {
+  "Depth of Field": "dof",
+  "Motion Blur": "motionBlur",
+  Bloom: "bloom",
+  "Lens Dirt": "lensDirt",
+  "Anamorphic Streaks": "anamorphic",
+  "Chromatic Aberration": "chromaticAberration",
+  "Color Grading": "colorGrading",
+  Vignette: "vignette",
+  "Film Grain": "grain",
+};
+
+// Room for every effect once
+export const CHAIN_SLOTS = Object.keys(POST_EFFECTS).length;
+
+// Every effect, in the order that suits them: lens effects on the HDR
+// image, grading, then what sits on top of the graded frame
+export const DEFAULT_POST_CHAIN = Object.values(POST_EFFECTS);
+
+const EFFECT_IDS = Object.values(POST_EFFECTS);
+
+export const chainSlotKey = (slot) => `chain${slot + 1}`;
+
+// Effect ids from slot values (e.g. the "Post Effects" settings), in slot
+// order. Empty slots, unknown ids and repeats are skipped: an effect runs
+// once, at its first slot.
+export function getPostChain(values) {
+  const chain = [];
+  for (let slot = 0; slot < CHAIN_SLOTS; slot++) {
+    const id = values[chainSlotKey(slot)];
+    if (EFFECT_IDS.includes(id) && !chain.includes(id)) chain.push(id);
+  }
+  return chain;
+}
+
+// Slot values for a list of effect ids, the other slots left empty
+export function chainToSlots(chain) {
+  const slots = {};
+  for (let slot = 0; slot < CHAIN_SLOTS; slot++) {
+    slots[chainSlotKey(slot)] = chain[slot] || "none";
+  }
+  return slots;
+}
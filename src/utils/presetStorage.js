@@ -0,0 +1,74 @@
+import { parsePreset, migratePreset, serializePreset } from "./presets";
+
+// Browser persistence for preset documents: named presets in localStorage,
+// plus import/export as .json files.
+
+const STORAGE_KEY = "volumetric-tunnel.presets";
+
+function readAll() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored && typeof stored === "object" ? stored : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function writeAll(presets) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+}
+
+export function listPresetNames() {
+  return Object.keys(readAll()).sort();
+}
+
+export function savePreset(doc) {
+  const presets = readAll();
+  presets[doc.name] = doc;
+  writeAll(presets);
+}
+
+// Stored presets are migrated on the way out, so old saves keep loading
+export function loadPreset(name) {
+  const doc = readAll()[name];
+  return doc ? migratePreset(doc) : null;
+}
+
+export function deletePreset(name) {
+  const presets = readAll();
+  delete presets[name];
+  writeAll(presets);
+}
+
+export function exportPresetFile(doc) {
+  const blob = new Blob([serializePreset(doc)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${doc.name.replace(/[^\w-]+/g, "_") || "preset"}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Opens a file picker and resolves with the parsed (and migrated) preset,
+// or null if the user cancels
+export function importPresetFile() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = "application/json,.json";
+    input.addEventListener("change", () => {
+      const file = input.files && input.files[0];
+      if (!file) {
+        resolve(null);
+        return;
+      }
+      file
+        .text()
+        .then((text) => resolve(parsePreset(text)))
+        .catch(reject);
+    });
+    input.addEventListener("cancel", () => resolve(null));
+    input.click();
+  });
+}
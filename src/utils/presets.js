@@ -0,0 +1,360 @@
+// Preset documents: one versioned JSON snapshot of every Leva control group
+// that defines the look of the tunnel. Pure data helpers only; reading and
+// writing the Leva store, localStorage and files happens in PresetManager.
+
+export const PRESET_VERSION = 17;
+
+// Every group captured by a preset, in panel order
+export const PRESET_GROUPS = [
+  "Spotlight Controls",
+  "Tunnel Controls",
+  "Particle Controls",
+  "Camera Controls",
+  "Bloom Controls",
+  "God Rays Params",
+  "Volumetric Controls",
+  "Raymarch Params",
+  "Tunnel Motion",
+  "Tunnel Shape",
+  "Particle Animation",
+  "Light Rig",
+  "Spotlight 2",
+  "Spotlight 3",
+  "Spotlight 4",
+  "Audio Reactive",
+  "Particle Geometry",
+  "Tunnel Chunks",
+  "Color Grading",
+  "Dust Motes",
+  "Modulation",
+  "Shadows",
+  "Particle Clusters",
+  "Post Effects",
+  "Speed Effects",
+];
+
+// Upgrades keyed by the version they upgrade *from*. When a control is added,
+// renamed or changes meaning, bump PRESET_VERSION and add a step here that
+// rewrites older documents so they still reproduce the look they were saved
+// with (e.g. fill in the value that matches the old behaviour).
+const MIGRATIONS = {
+  // v1 predates the raymarched cone; those presets used the god rays
+  1: (doc) => ({
+    ...doc,
+    groups: {
+      ...doc.groups,
+      "Volumetric Controls": { volumetricMode: "screenSpace" },
+    },
+  }),
+  // v2 predates the occlusion pass resolution; it rendered at full size
+  2: (doc) => ({
+    ...doc,
+    groups: {
+      ...doc.groups,
+      "God Rays Params": { resolution: 1, ...doc.groups["God Rays Params"] },
+    },
+  }),
+  // v3 predates the tunnel stream; it moved at a constant 2 units/s
+  3: (doc) => ({
+    ...doc,
+    groups: {
+      ...doc.groups,
+      "Camera Controls": { far: 200, ...doc.groups["Camera Controls"] },
+      "Tunnel Motion": {
+        speed: 2,
+        direction: 1,
+        acceleration: 0,
+        paused: false,
+      },
+    },
+  }),
+  // v4 predates tunnel shapes; every tunnel was a straight square box
+  4: (doc) => ({
+    ...doc,
+    groups: {
+      ...doc.groups,
+      "Tunnel Shape": { crossSection: "square", tunnelPath: "straight" },
+    },
+  }),
+  // v5 predates particle animation; the fragments were static
+  5: (doc) => ({
+    ...doc,
+    groups: {
+      ...doc.groups,
+      "Particle Animation": {
+        "Tumble.tumbleSpeed": 0,
+        "Breathe.breatheAmount": 0,
+        "Shimmer.shimmerAmount": 0,
+      },
+    },
+  }),
+  // v6 predates the light rig; there was only the one spotlight
+  6: (doc) => ({
+    ...doc,
+    groups: { ...doc.groups, "Light Rig": { lightCount: 1 } },
+  }),
+  // v7 predates the audio-reactive mode; nothing followed the music
+  7: (doc) => ({
+    ...doc,
+    groups: {
+      ...doc.groups,
+      "Audio Reactive": {
+        "Mappings.spotlightIntensityAmount": 0,
+        "Mappings.tunnelSpeedAmount": 0,
+        "Mappings.bloomIntensityAmount": 0,
+        "Mappings.volumetricIntensityAmount": 0,
+        "Mappings.particleShimmerAmount": 0,
+      },
+    },
+  }),
+  // v8 predates the geometry mix; every particle was a cube
+  8: (doc) => ({
+    ...doc,
+    groups: {
+      ...doc.groups,
+      "Particle Geometry": {
+        cubeWeight: 1,
+        tetrahedronWeight: 0,
+        plateWeight: 0,
+        shardWeight: 0,
+        modelWeight: 0,
+      },
+    },
+  }),
+  // v9 predates procedural chunks; every section was a plain shell
+  9: (doc) => ({
+    ...doc,
+    groups: { ...doc.groups, "Tunnel Chunks": { chunksEnabled: false } },
+  }),
+  // v10 predates color grading; the image went out ungraded
+  10: (doc) => ({
+    ...doc,
+    groups: {
+      ...doc.groups,
+      "Color Grading": {
+        "Tone.toneMapping": "none",
+        "Tone.exposure": 0,
+        "Tone.contrast": 1,
+        "Tone.saturation": 1,
+        "White Balance.temperature": 0,
+        "White Balance.tint": 0,
+        "Lift.liftR": 0,
+        "Lift.liftG": 0,
+        "Lift.liftB": 0,
+        "Gamma.gammaR": 1,
+        "Gamma.gammaG": 1,
+        "Gamma.gammaB": 1,
+        "Gain.gainR": 1,
+        "Gain.gainG": 1,
+        "Gain.gainB": 1,
+        "LUT.lutUrl": "",
+      },
+    },
+  }),
+  // v11 predates dust motes; the beams were empty
+  11: (doc) => ({
+    ...doc,
+    groups: { ...doc.groups, "Dust Motes": { dustEnabled: false } },
+  }),
+  // v12 predates modulation; every control held still
+  12: (doc) => ({
+    ...doc,
+    groups: {
+      ...doc.groups,
+      Modulation: {
+        "Mod 1.mod1Target": "none",
+        "Mod 2.mod2Target": "none",
+        "Mod 3.mod3Target": "none",
+        "Mod 4.mod4Target": "none",
+      },
+    },
+  }),
+  // v13 predates the shadow settings: three's default bias, frustum and
+  // PCF soft filter, at the quality tier's map size
+  13: (doc) => ({
+    ...doc,
+    groups: {
+      ...doc.groups,
+      Shadows: {
+        shadowsEnabled: true,
+        "Filter.shadowType": "pcfSoft",
+        "Map.mapSize": 0,
+        "Map.bias": 0,
+        "Map.normalBias": 0,
+        "Frustum.autoFrustum": false,
+        "Frustum.shadowNear": 0.5,
+        "Frustum.shadowFar": 500,
+        "Frustum.shadowFocus": 1,
+        "Casters & Receivers.particlesCast": true,
+        "Casters & Receivers.particlesReceive": true,
+        "Casters & Receivers.tunnelBoxCast": false,
+        "Casters & Receivers.tunnelBoxReceive": false,
+      },
+    },
+  }),
+  // v14 predates particle LOD; every particle was drawn at any distance
+  14: (doc) => ({
+    ...doc,
+    groups: {
+      ...doc.groups,
+      "Particle Clusters": { "LOD.lodEnabled": false },
+    },
+  }),
+  // v15 predates the post-processing chain: bloom, grading, then faint
+  // color dodge grain
+  15: (doc) => ({
+    ...doc,
+    groups: {
+      ...doc.groups,
+      "Post Effects": {
+        "Chain.chain1": "bloom",
+        "Chain.chain2": "colorGrading",
+        "Chain.chain3": "grain",
+        "Chain.chain4": "none",
+        "Chain.chain5": "none",
+        "Chain.chain6": "none",
+        "Chain.chain7": "none",
+        "Chain.chain8": "none",
+        "Depth of Field.dofEnabled": false,
+        "Lens Dirt.lensDirtEnabled": false,
+        "Anamorphic Streaks.anamorphicEnabled": false,
+        "Chromatic Aberration.aberrationEnabled": false,
+        "Vignette.vignetteEnabled": false,
+        "Film Grain.grainEnabled": true,
+        "Film Grain.grainOpacity": 0.02,
+        "Film Grain.grainBlend": "colorDodge",
+        "Film Grain.grainPremultiply": false,
+      },
+    },
+  }),
+  // v16 predates the speed effects; nothing followed the tunnel's speed
+  16: (doc) => ({
+    ...doc,
+    groups: {
+      ...doc.groups,
+      "Post Effects": {
+        ...doc.groups["Post Effects"],
+        "Chain.chain9": "none",
+      },
+      "Speed Effects": {
+        "Motion Blur.motionBlurEnabled": false,
+        "Speed Lines.speedLinesEnabled": false,
+        "Particle Stretch.particleStretch": 0,
+      },
+    },
+  }),
+};
+
+export class PresetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PresetError";
+  }
+}
+
+export function createPresetDocument(groups, name = "Untitled") {
+  return {
+    version: PRESET_VERSION,
+    name,
+    createdAt: new Date().toISOString(),
+    groups: pickPresetGroups(groups),
+  };
+}
+
+// Keep only the known groups, dropping anything else that came along
+function pickPresetGroups(groups = {}) {
+  const picked = {};
+  PRESET_GROUPS.forEach((group) => {
+    if (groups[group] && typeof groups[group] === "object") {
+      picked[group] = { ...groups[group] };
+    }
+  });
+  return picked;
+}
+
+// Validate a parsed document and upgrade it to PRESET_VERSION
+export function migratePreset(doc) {
+  if (!doc || typeof doc !== "object" || !doc.groups) {
+    throw new PresetError("Not a preset document");
+  }
+  // Documents without a version predate versioning and are treated as v1
+  let version = Number.isInteger(doc.version) ? doc.version : 1;
+  if (version > PRESET_VERSION) {
+    throw new PresetError(
+      `Preset version ${version} is newer than supported (${PRESET_VERSION})`
+    );
+  }
+
+  let migrated = doc;
+  while (version < PRESET_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new PresetError(`No migration from preset version ${version}`);
+    }
+    migrated = migrate(migrated);
+    version++;
+  }
+
+  return {
+    ...migrated,
+    version: PRESET_VERSION,
+    groups: pickPresetGroups(migrated.groups),
+  };
+}
+
+export function parsePreset(json) {
+  let doc;
+  try {
+    doc = JSON.parse(json);
+  } catch (e) {
+    throw new PresetError("Preset is not valid JSON");
+  }
+  return migratePreset(doc);
+}
+
+export function serializePreset(doc) {
+  return JSON.stringify(doc, null, 2);
+}
+
+// URL hash encoding (base64url of the UTF-8 JSON), e.g. "#preset=eyJ2ZX..."
+const HASH_KEY = "preset";
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function fromBase64Url(encoded) {
+  const base64 = encoded.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new TextDecoder().decode(bytes);
+}
+
+export function encodePresetHash(doc) {
+  return `#${HASH_KEY}=${toBase64Url(JSON.stringify(doc))}`;
+}
+
+// Returns null when the hash carries no preset
+export function decodePresetHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const encoded = params.get(HASH_KEY);
+  if (!encoded) return null;
+  let json;
+  try {
+    json = fromBase64Url(encoded);
+  } catch (e) {
+    throw new PresetError("Preset in URL is not valid base64");
+  }
+  return parsePreset(json);
+}
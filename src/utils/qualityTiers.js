@@ -0,0 +1,96 @@
+// Quality tiers and the pure tier selection behind the adaptive quality
+// governor. Nothing here measures anything: selectQualityTier is a function
+// of a frame-time history, so it can be tested with synthetic timings.
+
+// Lowest to highest. Ultra matches the original fixed settings (pixel ratio
+// up to 1.5, huge bloom kernel, 512 shadow maps, full-density particles); the
+// sample counts cap the corresponding Leva controls rather than replacing
+// them.
+export const QUALITY_TIERS = [
+  {
+    name: "Low",
+    maxDpr: 0.75,
+    godRaySamples: 40,
+    godRayBlur: false,
+    raymarchSamples: 24,
+    motionBlurSamples: 4,
+    bloomKernel: "MEDIUM",
+    shadowMapSize: 256,
+    particleDensity: 0.5,
+  },
+  {
+    name: "Medium",
+    maxDpr: 1,
+    godRaySamples: 70,
+    godRayBlur: false,
+    raymarchSamples: 40,
+    motionBlurSamples: 8,
+    bloomKernel: "LARGE",
+    shadowMapSize: 512,
+    particleDensity: 0.75,
+  },
+  {
+    name: "High",
+    maxDpr: 1.25,
+    godRaySamples: 100,
+    godRayBlur: true,
+    raymarchSamples: 64,
+    motionBlurSamples: 16,
+    bloomKernel: "VERY_LARGE",
+    shadowMapSize: 512,
+    particleDensity: 1,
+  },
+  {
+    name: "Ultra",
+    maxDpr: 1.5,
+    godRaySamples: 120,
+    godRayBlur: true,
+    raymarchSamples: 128,
+    motionBlurSamples: 32,
+    bloomKernel: "HUGE",
+    shadowMapSize: 512,
+    particleDensity: 1,
+  },
+];
+
+export const DEFAULT_GOVERNOR_OPTIONS = {
+  downgradeFps: 45, // Step down when the average falls below this...
+  upgradeFps: 57, // ...and up only when nearly every frame beats this
+  downgradeSamples: 60, // Frames needed before stepping down
+  upgradeSamples: 300, // Frames needed before stepping up
+  upgradePercentile: 0.9,
+};
+
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+// Tier index to use next, given the frame times (ms) recorded since the tier
+// last changed. The gap between the two thresholds, the longer window for
+// upgrades and the caller clearing the history on every change keep it from
+// flip-flopping between neighbouring tiers.
+export function selectQualityTier(frameTimes, tier, options = {}) {
+  const {
+    downgradeFps,
+    upgradeFps,
+    downgradeSamples,
+    upgradeSamples,
+    upgradePercentile,
+  } = { ...DEFAULT_GOVERNOR_OPTIONS, ...options };
+
+  if (frameTimes.length >= downgradeSamples && tier > 0) {
+    const recent = frameTimes.slice(-downgradeSamples);
+    const average = recent.reduce((sum, t) => sum + t, 0) / recent.length;
+    if (average > 1000 / downgradeFps) return tier - 1;
+  }
+
+  if (frameTimes.length >= upgradeSamples && tier < QUALITY_TIERS.length - 1) {
+    const recent = frameTimes.slice(-upgradeSamples);
+    if (percentile(recent, upgradePercentile) < 1000 / upgradeFps) {
+      return tier + 1;
+    }
+  }
+
+  return tier;
+}
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_GOVERNOR_OPTIONS,
+  QUALITY_TIERS,
+  selectQualityTier,
+} from "./qualityTiers";
+
+const TOP = QUALITY_TIERS.length - 1;
+
+// `count` frames, each `ms` long
+const frames = (ms, count) => Array(count).fill(ms);
+
+describe("selectQualityTier", () => {
+  const { downgradeSamples, upgradeSamples } = DEFAULT_GOVERNOR_OPTIONS;
+
+  it("steps down once the average is below the downgrade rate", () => {
+    // 40 fps against a 45 fps floor
+    expect(selectQualityTier(frames(25, downgradeSamples), 2)).toBe(1);
+    // Not before there are enough frames to judge
+    expect(selectQualityTier(frames(25, downgradeSamples - 1), 2)).toBe(2);
+    // Nowhere to go below the lowest tier
+    expect(selectQualityTier(frames(25, downgradeSamples), 0)).toBe(0);
+  });
+
+  it("judges a step down on the average of the latest frames", () => {
+    // One long hitch among fast frames doesn't drop a tier...
+    const hitch = [...frames(14, downgradeSamples - 1), 200];
+    expect(selectQualityTier(hitch, 2)).toBe(2);
+    // ...but a run of slow frames after a fast start does
+    const slowing = [...frames(10, 500), ...frames(30, downgradeSamples)];
+    expect(selectQualityTier(slowing, 2)).toBe(1);
+  });
+
+  it("steps up only after a long run of fast frames", () => {
+    // 60 fps, above the 57 fps the upgrade needs
+    expect(selectQualityTier(frames(16, upgradeSamples), 1)).toBe(2);
+    expect(selectQualityTier(frames(16, upgradeSamples - 1), 1)).toBe(1);
+    expect(selectQualityTier(frames(16, upgradeSamples), TOP)).toBe(TOP);
+  });
+
+  it("needs nearly every frame fast to step up", () => {
+    // A tenth of the frames slow is too many; a few are tolerated
+    const spiky = frames(16, upgradeSamples);
+    for (let i = 0; i < upgradeSamples; i += 10) spiky[i] = 20;
+    expect(selectQualityTier(spiky, 1)).toBe(1);
+    const fewSpikes = frames(16, upgradeSamples);
+    for (let i = 0; i < upgradeSamples; i += 20) fewSpikes[i] = 20;
+    expect(selectQualityTier(fewSpikes, 1)).toBe(2);
+  });
+
+  it("holds the tier between the two thresholds", () => {
+    // 50 fps: too fast to step down, too slow to step up, however long
+    const between = frames(20, upgradeSamples * 2);
+    [0, 1, 2, TOP].forEach((tier) =>
+      expect(selectQualityTier(between, tier)).toBe(tier)
+    );
+  });
+
+  it("takes its thresholds from the options", () => {
+    const options = { downgradeFps: 55, downgradeSamples: 10 };
+    expect(selectQualityTier(frames(20, 10), 2, options)).toBe(1);
+    expect(
+      selectQualityTier(frames(20, 10), 1, {
+        upgradeFps: 40,
+        upgradeSamples: 10,
+      })
+    ).toBe(2);
+  });
+});
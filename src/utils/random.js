@@ -0,0 +1,32 @@
+// Seeded pseudo-random helpers.
+// Everything that shapes the tunnel layout draws from these instead of
+// Math.random() so the same seed always reproduces the same scene.
+
+// Mix an arbitrary number into a 32-bit unsigned integer seed
+export function hashSeed(seed) {
+  let h = Math.floor(Number(seed) || 0) ^ 0x9e3779b9;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+// Mulberry32: small, fast PRNG returning floats in [0, 1), like Math.random()
+export function createRandom(seed = 0) {
+  let state = hashSeed(seed);
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Seeded equivalents of THREE.MathUtils.randFloat / randFloatSpread
+export function randFloat(random, low, high) {
+  return low + random() * (high - low);
+}
+
+export function randFloatSpread(random, range) {
+  return range * (0.5 - random());
+}
@@ -0,0 +1,44 @@
+import { describe, expect, it } from "vitest";
+import { createRandom, hashSeed, randFloat, randFloatSpread } from "./random";
+
+const draw = (random, count) => Array.from({ length: count }, () => random());
+
+describe("createRandom", () => {
+  it("gives the same sequence for the same seed", () => {
+    expect(draw(createRandom(42), 100)).toEqual(draw(createRandom(42), 100));
+    // Seeds are numbers, so a numeric string is the same seed
+    expect(draw(createRandom("42"), 10)).toEqual(draw(createRandom(42), 10));
+  });
+
+  it("gives different sequences for different seeds", () => {
+    const a = draw(createRandom(1), 10);
+    const b = draw(createRandom(2), 10);
+    expect(a).not.toEqual(b);
+    expect(draw(createRandom(0), 10)).not.toEqual(a);
+  });
+
+  it("returns floats in [0, 1) that spread over the range", () => {
+    const values = draw(createRandom(7), 10000);
+    values.forEach((value) => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    expect(mean).toBeCloseTo(0.5, 1);
+    expect(new Set(values).size).toBe(values.length);
+  });
+
+  it("reads a missing or non-numeric seed as 0", () => {
+    expect(draw(createRandom(), 5)).toEqual(draw(createRandom(0), 5));
+    expect(draw(createRandom("abc"), 5)).toEqual(draw(createRandom(0), 5));
+    expect(hashSeed(3.7)).toBe(hashSeed(3));
+  });
+});
+
+describe("randFloat", () => {
+  it("scales the generator into a range", () => {
+    const random = () => 0.25;
+    expect(randFloat(random, 2, 6)).toBe(3);
+    expect(randFloatSpread(random, 8)).toBe(2);
+  });
+});
@@ -0,0 +1,164 @@
+import { createZip } from "./zip";
+import { createWebMMuxer } from "./webmMuxer";
+
+// Offline recording helpers: the fixed-timestep frame plan and the writers
+// that turn rendered canvas frames into a downloadable file. The Recorder
+// component drives the scene; nothing in here touches three or React.
+
+// Frame plan for a recording. Frames are spaced 1/fps apart, except for an
+// exact loop, where the step is stretched (by under one frame over the whole
+// loop) so a whole number of frames spans exactly loopDuration seconds.
+// `preroll` frames are simulated before the first captured one.
+export function planRecording({ fps, start, end, loopDuration = 0 }) {
+  const baseStep = 1 / fps;
+  const preroll = Math.max(0, Math.round(start * fps));
+  if (loopDuration > 0) {
+    const frames = Math.max(1, Math.round(loopDuration * fps));
+    return { preroll, frames, step: loopDuration / frames };
+  }
+  const frames = Math.max(1, Math.round((end - start) * fps));
+  return { preroll, frames, step: baseStep };
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Some browsers start the download asynchronously
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function canvasToBytes(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error("Could not read the canvas"));
+        return;
+      }
+      blob.arrayBuffer().then((buffer) => resolve(new Uint8Array(buffer)));
+    }, "image/png");
+  });
+}
+
+// Numbered PNGs, zipped. The canvas is read straight after each render,
+// before the browser can clear its drawing buffer.
+export function createPngSequenceWriter(canvas) {
+  const files = [];
+  return {
+    addFrame(index) {
+      const name = `frame_${String(index).padStart(5, "0")}.png`;
+      return canvasToBytes(canvas).then((data) => files.push({ name, data }));
+    },
+    finish: async () => createZip(files),
+    cancel() {},
+  };
+}
+
+// WebM through WebCodecs: every frame gets its exact timestamp
+async function createWebCodecsWriter(canvas, { fps, bitrate }) {
+  const { width, height } = canvas;
+  const configs = [
+    { codec: "vp09.00.10.08", codecId: "V_VP9" },
+    { codec: "vp8", codecId: "V_VP8" },
+  ];
+  let chosen = null;
+  for (const { codec, codecId } of configs) {
+    const config = { codec, width, height, bitrate, framerate: fps };
+    const { supported } = await window.VideoEncoder.isConfigSupported(config);
+    if (supported) {
+      chosen = { config, codecId };
+      break;
+    }
+  }
+  if (!chosen) return null;
+
+  const muxer = createWebMMuxer({ width, height, codecId: chosen.codecId });
+  let failure = null;
+  const videoEncoder = new window.VideoEncoder({
+    output: (chunk) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      muxer.addFrame(
+        data,
+        chunk.timestamp / 1000,
+        chunk.type === "key",
+        (chunk.duration || 0) / 1000
+      );
+    },
+    error: (e) => (failure = e),
+  });
+  videoEncoder.configure(chosen.config);
+  const frameDuration = 1e6 / fps;
+  const keyFrameInterval = Math.max(1, Math.round(fps * 2));
+
+  return {
+    async addFrame(index) {
+      if (failure) throw failure;
+      const frame = new window.VideoFrame(canvas, {
+        timestamp: Math.round(index * frameDuration),
+        duration: Math.round(frameDuration),
+      });
+      videoEncoder.encode(frame, { keyFrame: index % keyFrameInterval === 0 });
+      frame.close();
+      // Don't let encoded frames pile up faster than the encoder drains them
+      while (videoEncoder.encodeQueueSize > 4) {
+        await new Promise((resolve) => setTimeout(resolve, 1));
+      }
+    },
+    async finish() {
+      await videoEncoder.flush();
+      videoEncoder.close();
+      if (failure) throw failure;
+      return muxer.finalize();
+    },
+    cancel() {
+      if (videoEncoder.state !== "closed") videoEncoder.close();
+    },
+  };
+}
+
+// WebM through MediaRecorder, for browsers without WebCodecs. It stamps
+// frames with wall-clock time, so frames are paced out in real time.
+function createMediaRecorderWriter(canvas, { fps, bitrate }) {
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const chunks = [];
+  const mediaRecorder = new MediaRecorder(stream, {
+    mimeType: MediaRecorder.isTypeSupported("video/webm;codecs=vp9")
+      ? "video/webm;codecs=vp9"
+      : "video/webm",
+    videoBitsPerSecond: bitrate,
+  });
+  mediaRecorder.ondataavailable = (event) => chunks.push(event.data);
+  mediaRecorder.start();
+
+  return {
+    async addFrame() {
+      track.requestFrame();
+      await new Promise((resolve) => setTimeout(resolve, 1000 / fps));
+    },
+    finish() {
+      return new Promise((resolve) => {
+        mediaRecorder.onstop = () => {
+          track.stop();
+          resolve(new Blob(chunks, { type: "video/webm" }));
+        };
+        mediaRecorder.stop();
+      });
+    },
+    cancel() {
+      if (mediaRecorder.state !== "inactive") mediaRecorder.stop();
+      track.stop();
+    },
+  };
+}
+
+export async function createVideoWriter(canvas, { fps, bitrate = 20e6 }) {
+  if (window.VideoEncoder && window.VideoFrame) {
+    const writer = await createWebCodecsWriter(canvas, { fps, bitrate });
+    if (writer) return writer;
+  }
+  return createMediaRecorderWriter(canvas, { fps, bitrate });
+}
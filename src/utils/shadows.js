@@ -0,0 +1,68 @@
+// Spotlight shadow settings: the filter modes, the <Canvas shadows> value
+// each one needs, and the shadow camera frustum fitted to a light's cone.
+// Pure, so the fit can be checked without a renderer.
+
+export const SHADOW_TYPES = {
+  PCF: "pcf",
+  "PCF Soft": "pcfSoft",
+  VSM: "vsm",
+  "PCSS (contact hardening)": "pcss",
+};
+
+// R3F's names for three's shadow map types. PCSS is PCF with the shadow
+// lookup swapped for a blocker search (see Scene's <SoftShadows>).
+const CANVAS_SHADOWS = {
+  pcf: "percentage",
+  pcfSoft: "soft",
+  vsm: "variance",
+  pcss: "percentage",
+};
+
+export function getCanvasShadows({ shadowsEnabled, shadowType }) {
+  return shadowsEnabled ? CANVAS_SHADOWS[shadowType] || "soft" : false;
+}
+
+// Keeps depth precision usable: the near plane is never closer than this
+// fraction of the far plane
+const NEAR_FAR_RATIO = 0.005;
+const MIN_NEAR = 0.05;
+
+// Share of the light's full strength below which the rim of its cone is left
+// out of the shadow map: shadows there would be too faint to see
+const EDGE_CUTOFF = 0.01;
+// Widest shadow camera, in degrees. A perspective camera can't reach 180,
+// and near it the map's texels stretch too far to be useful.
+const MAX_FOV = 160;
+
+// Shadow camera that just covers the part of a spotlight's cone that is lit:
+// as deep as the light reaches (`fallbackFar` for an unlimited distance of 0)
+// and as wide as the light stays above EDGE_CUTOFF. three fades a spotlight
+// out across its penumbra with smoothstep(cos(angle), cos(angle * (1 -
+// penumbra)), cos(θ)), so the softer the edge, the narrower the camera can
+// be. Returns { near, far, fov, focus } for SpotLightShadow, which derives
+// its fov from the light's angle and `focus` every frame (`fov` is the
+// result, in degrees).
+export function fitSpotShadowCamera({
+  angle,
+  penumbra = 0,
+  distance,
+  fallbackFar = 100,
+}) {
+  const far = distance > 0 ? distance : fallbackFar;
+
+  // Where the smoothstep has risen to EDGE_CUTOFF, 0..1 across the penumbra
+  const t = 0.5 - Math.sin(Math.asin(1 - 2 * EDGE_CUTOFF) / 3);
+  const coneCos = Math.cos(angle);
+  const penumbraCos = Math.cos(
+    angle * (1 - Math.min(1, Math.max(0, penumbra)))
+  );
+  const edge = Math.acos(coneCos + t * (penumbraCos - coneCos));
+  const halfFov = Math.min(edge, ((MAX_FOV / 2) * Math.PI) / 180);
+
+  return {
+    near: Math.max(MIN_NEAR, far * NEAR_FAR_RATIO),
+    far,
+    fov: (halfFov * 2 * 180) / Math.PI,
+    focus: angle > 0 ? halfFov / angle : 1,
+  };
+}
@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { fitSpotShadowCamera, getCanvasShadows } from "./shadows";
+
+const degrees = (radians) => (radians * 180) / Math.PI;
+
+// three's spotlight falloff at `theta` from the axis
+function spotStrength(theta, angle, penumbra) {
+  const coneCos = Math.cos(angle);
+  const penumbraCos = Math.cos(angle * (1 - penumbra));
+  const t = Math.min(
+    1,
+    Math.max(0, (Math.cos(theta) - coneCos) / (penumbraCos - coneCos))
+  );
+  return t * t * (3 - 2 * t);
+}
+
+describe("fitSpotShadowCamera", () => {
+  it("covers the whole cone of a hard-edged light", () => {
+    const fit = fitSpotShadowCamera({ angle: 0.5, penumbra: 0, distance: 40 });
+    expect(fit.fov).toBeCloseTo(degrees(1), 6);
+    expect(fit.focus).toBeCloseTo(1, 6);
+  });
+
+  it("narrows to where a soft edge has faded out", () => {
+    const angle = 0.6;
+    const soft = fitSpotShadowCamera({ angle, penumbra: 1, distance: 40 });
+    const half = fitSpotShadowCamera({ angle, penumbra: 0.5, distance: 40 });
+    expect(soft.focus).toBeLessThan(half.focus);
+    expect(half.focus).toBeLessThan(1);
+    // The light is down to 1% right at the edge of the camera
+    [0.5, 1].forEach((penumbra) => {
+      const { fov } = fitSpotShadowCamera({ angle, penumbra, distance: 40 });
+      const edge = (fov / 2) * (Math.PI / 180);
+      expect(spotStrength(edge, angle, penumbra)).toBeCloseTo(0.01, 6);
+    });
+    // And the fov is what SpotLightShadow derives from the angle and focus
+    expect(soft.fov).toBeCloseTo(degrees(2 * angle * soft.focus), 6);
+  });
+
+  it("keeps a wide cone's camera under 180 degrees", () => {
+    const fit = fitSpotShadowCamera({ angle: Math.PI / 2, distance: 40 });
+    expect(fit.fov).toBeCloseTo(160, 6);
+    expect(fit.focus).toBeCloseTo(160 / 180, 6);
+  });
+
+  it("reaches as far as the light, or the fallback when it's unlimited", () => {
+    const fit = fitSpotShadowCamera({ angle: 0.5, distance: 40 });
+    expect(fit.far).toBe(40);
+    expect(fit.near).toBeCloseTo(0.2, 9);
+    const unlimited = fitSpotShadowCamera({
+      angle: 0.5,
+      distance: 0,
+      fallbackFar: 250,
+    });
+    expect(unlimited.far).toBe(250);
+    // Never so close that the depth precision goes
+    expect(fitSpotShadowCamera({ angle: 0.5, distance: 2 }).near).toBe(0.05);
+  });
+});
+
+describe("getCanvasShadows", () => {
+  it("maps each filter to its <Canvas shadows> type", () => {
+    expect(getCanvasShadows({ shadowsEnabled: true, shadowType: "vsm" })).toBe(
+      "variance"
+    );
+    expect(getCanvasShadows({ shadowsEnabled: true, shadowType: "pcss" })).toBe(
+      "percentage"
+    );
+    expect(getCanvasShadows({ shadowsEnabled: false, shadowType: "vsm" })).toBe(
+      false
+    );
+  });
+});
@@ -0,0 +1,159 @@
+import { getSectionChunk, getSectionZ, stepVelocity } from "./tunnelStream";
+import { createNavigationState, stepNavigation } from "./navigation";
+
+// Simulation core: everything that moves over time, as one plain object
+// advanced by step(state, dt, params). No React, three.js or clock: the same
+// start state, steps and params always give the same state, which is what
+// makes scrubbing, deterministic replay and renderer-free tests possible.
+// Scene is a view on top of it, stepping it once per frame and reading
+// section positions, the rig's place on the path, the camera and the light
+// targets from it.
+//
+// The state is JSON-serializable. The tunnel offset is kept unwrapped (the
+// stream needs it to know which chunk each section shows); views wrap it.
+
+export const SIMULATION_VERSION = 1;
+
+export function createSimulationState() {
+  return {
+    version: SIMULATION_VERSION,
+    time: 0, // Seconds simulated
+    offset: 0, // Distance the tunnel has travelled along +z
+    velocity: 0, // Units per second along +z
+    tumbleAngle: 0, // Particle animation phases
+    breathePhase: 0,
+    shimmerPhase: 0,
+    dustPhase: 0, // How far the dust motes' curl noise has drifted
+    navigation: createNavigationState(),
+  };
+}
+
+// Per-step inputs. Motion and animation speeds come from the controls,
+// `speedScale` from the audio bands, and `input`/`navigation` are the
+// navigation axes and options (see utils/navigation).
+export const DEFAULT_SIMULATION_PARAMS = {
+  speed: 2,
+  direction: 1,
+  acceleration: 0,
+  paused: false,
+  speedScale: 1,
+  tumbleSpeed: 0,
+  breatheSpeed: 0,
+  shimmerSpeed: 0,
+  dustDriftSpeed: 0,
+  input: null,
+  navigation: null,
+};
+
+// Advance `state` by `dt` seconds. Returns a new state; `state` is left as
+// it was.
+export function step(state, dt, params = {}) {
+  const p = { ...DEFAULT_SIMULATION_PARAMS, ...params };
+
+  // Navigation first, since its throttle adds to the speed
+  const navigation =
+    p.input && p.navigation
+      ? stepNavigation(state.navigation, p.input, dt, p.navigation)
+      : state.navigation;
+
+  // Ease towards the target velocity, then travel
+  const targetVelocity = p.paused
+    ? 0
+    : Math.max(0, p.speed + navigation.throttle) * p.direction * p.speedScale;
+  const velocity = stepVelocity(
+    state.velocity,
+    targetVelocity,
+    p.acceleration,
+    dt
+  );
+
+  return {
+    ...state,
+    time: state.time + dt,
+    offset: state.offset + velocity * dt,
+    velocity,
+    // Phases accumulate, so changing a speed never makes particles jump
+    tumbleAngle: state.tumbleAngle + p.tumbleSpeed * dt,
+    breathePhase: state.breathePhase + p.breatheSpeed * dt,
+    shimmerPhase: state.shimmerPhase + p.shimmerSpeed * dt,
+    dustPhase: state.dustPhase + p.dustDriftSpeed * dt,
+    navigation,
+  };
+}
+
+// Step from `state` for `duration` seconds in fixed steps of `dt` (the last
+// one shorter if needed). `params` is an object, or a function of the
+// simulated time for params that change along the way.
+export function simulate(state, duration, dt, params = {}) {
+  if (!(dt > 0)) throw new Error("simulate needs a positive timestep");
+  const paramsAt = typeof params === "function" ? params : () => params;
+  const end = state.time + duration;
+  let current = state;
+  // Stop short of float dust so a whole number of steps stays whole
+  while (current.time < end - dt * 1e-6) {
+    current = step(
+      current,
+      Math.min(dt, end - current.time),
+      paramsAt(current.time)
+    );
+  }
+  return current;
+}
+
+// State at `time` from the start, i.e. scrubbing by replaying from zero
+export function seek(time, dt, params = {}) {
+  return simulate(createSimulationState(), time, dt, params);
+}
+
+// Where each stream section sits and which chunk it shows. `layout` is from
+// getStreamLayout.
+export function getStreamSections(state, layout) {
+  return Array.from({ length: layout.sectionCount }, (_, i) => ({
+    z: getSectionZ(i, state.offset, layout),
+    chunk: getSectionChunk(i, state.offset, layout),
+  }));
+}
+
+// Distance along a closed path of `length`: the rig travels the opposite way
+// to the tunnel, which looks the same as the tunnel moving towards +z
+export function getPathDistance(state, length) {
+  const distance = -state.offset % length;
+  return distance < 0 ? distance + length : distance;
+}
+
+// A spotlight's target, swung across the tunnel by the damped cursor when
+// "light follows cursor" is on, and kept inside `bounds`
+export function getLightTarget(state, target, bounds) {
+  const { cursorX, cursorY } = state.navigation;
+  return {
+    x: Math.min(
+      bounds.maxX,
+      Math.max(bounds.minX, target.x + cursorX * bounds.maxX)
+    ),
+    y: Math.min(
+      bounds.maxY,
+      Math.max(bounds.minY, target.y + cursorY * bounds.maxY)
+    ),
+    z: target.z,
+  };
+}
+
+// Snapshot for saving or sending: a plain copy. Restoring fills in anything
+// a snapshot lacks, so older ones keep loading.
+export function serializeSimulation(state) {
+  return JSON.stringify(state);
+}
+
+export function restoreSimulation(json) {
+  const saved = typeof json === "string" ? JSON.parse(json) : json;
+  if (!saved || typeof saved !== "object") {
+    throw new Error("Not a simulation snapshot");
+  }
+  const initial = createSimulationState();
+  return {
+    ...initial,
+    ...saved,
+    version: SIMULATION_VERSION,
+    navigation: { ...initial.navigation, ...saved.navigation },
+  };
+}
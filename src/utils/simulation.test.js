@@ -0,0 +1,145 @@
+import { describe, expect, it } from "vitest";
+import {
+  createSimulationState,
+  getPathDistance,
+  getStreamSections,
+  restoreSimulation,
+  seek,
+  serializeSimulation,
+  simulate,
+  step,
+} from "./simulation";
+import { getSectionChunk, getSectionZ, getStreamLayout } from "./tunnelStream";
+
+// Four sections 10 deep, wrapping round a window of 40
+const layout = getStreamLayout({ boxDepth: 10, near: -25, far: 0 });
+const params = { speed: 4, tumbleSpeed: 0.5, dustDriftSpeed: 0.05 };
+
+const navigation = {
+  bounds: { minX: -2, maxX: 2, minY: -1, maxY: 1 },
+  base: { x: 0, y: 0, z: 5 },
+};
+const steering = {
+  cursorX: 0.5,
+  cursorY: -0.25,
+  lookX: 0,
+  lookY: 0,
+  steerX: 1,
+  steerY: 0,
+  throttle: 0.5,
+};
+
+describe("simulate", () => {
+  it("brings every section back to its place after one loop", () => {
+    expect(layout.sectionCount).toBe(4);
+    const loop = layout.span / params.speed;
+    // Starting between wraps, so float dust can't land a section on one
+    const initial = { ...createSimulationState(), offset: 5 };
+    const start = getStreamSections(initial, layout);
+    const end = getStreamSections(
+      simulate(initial, loop, 1 / 30, params),
+      layout
+    );
+    end.forEach((section, i) => {
+      expect(section.z).toBeCloseTo(start[i].z, 6);
+      // Each one went round once, so it's showing the next chunk in line
+      expect(section.chunk).toBe(start[i].chunk - layout.sectionCount);
+    });
+  });
+
+  it("comes back to the start of a closed path after one lap", () => {
+    const length = 120;
+    const state = simulate(
+      createSimulationState(),
+      length / params.speed,
+      1 / 60,
+      params
+    );
+    const distance = getPathDistance(state, length);
+    expect(Math.min(distance, length - distance)).toBeCloseTo(0, 6);
+  });
+
+  it("gives the same state for the same steps, however they're split", () => {
+    const whole = seek(3, 1 / 30, params);
+    const halves = simulate(
+      simulate(createSimulationState(), 1.5, 1 / 30, params),
+      1.5,
+      1 / 30,
+      params
+    );
+    expect(halves.offset).toBeCloseTo(whole.offset, 9);
+    expect(halves.dustPhase).toBeCloseTo(whole.dustPhase, 9);
+    expect(whole.time).toBeCloseTo(3, 9);
+    expect(whole.dustPhase).toBeCloseTo(0.15, 9);
+  });
+});
+
+describe("section recycling", () => {
+  it("wraps a section to the far end once it leaves the window", () => {
+    const last = layout.sectionCount - 1;
+    const before = getSectionZ(last, 9.9, layout);
+    const after = getSectionZ(last, 10.1, layout);
+    expect(before).toBeCloseTo(layout.minZ + layout.span - 0.1, 6);
+    expect(after).toBeCloseTo(layout.minZ + 0.1, 6);
+    // And picks up the chunk beyond the farthest one in the stream
+    expect(getSectionChunk(last, 9.9, layout)).toBe(last);
+    expect(getSectionChunk(last, 10.1, layout)).toBe(
+      last - layout.sectionCount
+    );
+    expect(getSectionChunk(0, 10.1, layout)).toBe(0);
+  });
+
+  it("keeps the sections one box apart, in the window, on distinct chunks", () => {
+    let state = createSimulationState();
+    for (let i = 0; i < 200; i++) {
+      state = step(state, 1 / 10, params);
+      const sections = getStreamSections(state, layout);
+      const zs = sections.map((section) => section.z).sort((a, b) => a - b);
+      zs.forEach((z, j) => {
+        expect(z).toBeGreaterThanOrEqual(layout.minZ);
+        expect(z).toBeLessThan(layout.minZ + layout.span);
+        if (j > 0) expect(z - zs[j - 1]).toBeCloseTo(layout.boxDepth, 6);
+      });
+      const chunks = sections.map((section) => section.chunk);
+      expect(new Set(chunks).size).toBe(layout.sectionCount);
+      // The stream shows a run of consecutive chunks, never a repeat
+      expect(Math.max(...chunks) - Math.min(...chunks)).toBe(
+        layout.sectionCount - 1
+      );
+    }
+  });
+});
+
+describe("serializeSimulation", () => {
+  it("restores a snapshot that steps on exactly like the original", () => {
+    const live = { ...params, input: steering, navigation };
+    const state = simulate(createSimulationState(), 2, 1 / 30, live);
+    const restored = restoreSimulation(serializeSimulation(state));
+    expect(restored).toEqual(state);
+    expect(restored.navigation.throttle).toBeGreaterThan(0);
+    expect(simulate(restored, 1, 1 / 30, live)).toEqual(
+      simulate(state, 1, 1 / 30, live)
+    );
+  });
+
+  it("fills in what an older snapshot lacks", () => {
+    const restored = restoreSimulation({
+      time: 2,
+      offset: 7,
+      navigation: { throttle: 1 },
+    });
+    expect(restored).toEqual({
+      ...createSimulationState(),
+      time: 2,
+      offset: 7,
+      navigation: { ...createSimulationState().navigation, throttle: 1 },
+    });
+  });
+
+  it("rejects something that isn't a snapshot", () => {
+    expect(() => restoreSimulation("null")).toThrow(
+      "Not a simulation snapshot"
+    );
+    expect(() => restoreSimulation(42)).toThrow("Not a simulation snapshot");
+  });
+});
@@ -0,0 +1,33 @@
+// Speed-driven effects: motion blur, speed lines and particle stretch, all
+// following the tunnel's actual velocity from the simulation rather than the
+// speed control, so they ease in and out with acceleration, audio and the
+// navigation throttle. Pure helpers; the effects themselves live in
+// shaders/MotionBlurShader and shaders/particleAnimation.
+
+// Longest frame the shutter is allowed to cover, so a hitch doesn't smear
+// the whole frame
+const MAX_FRAME_TIME = 1 / 20;
+
+// 0 at rest, rising linearly to 1 at `warpSpeed` (units per second) and
+// staying there beyond it. Either direction of travel counts.
+export function getSpeedFactor(velocity, warpSpeed) {
+  if (warpSpeed <= 0) return 1;
+  return Math.min(1, Math.abs(velocity) / warpSpeed);
+}
+
+// How long the virtual shutter stays open, in seconds. As on a film camera
+// the shutter angle is the share of each frame it's open for: 180° exposes
+// half the frame, 360° all of it.
+export function getShutterTime(shutterAngle, frameTime) {
+  return (
+    (shutterAngle / 360) * Math.min(Math.max(frameTime, 0), MAX_FRAME_TIME)
+  );
+}
+
+// Speed lines fade in from `start` (a share of warp speed) to full at warp
+export function getSpeedLinesAmount(speedFactor, start) {
+  if (start >= 1) return speedFactor >= 1 ? 1 : 0;
+  if (speedFactor <= start) return 0;
+  const t = (speedFactor - start) / (1 - start);
+  return t * t * (3 - 2 * t);
+}
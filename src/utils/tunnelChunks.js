@@ -0,0 +1,231 @@
+import * as THREE from "three";
+import { createRandom, hashSeed, randFloat, randFloatSpread } from "./random";
+import {
+  copyParticle,
+  createParticleLayout,
+  pickWeighted,
+} from "./particleLayout";
+
+// Procedural tunnel chunks: which architectural template each section of the
+// stream gets, and how that template reshapes the section's particle layout.
+// Pure data like particleLayout: a chunk is fully determined by the seed and
+// its index, so any chunk can be generated (and tested) without rendering.
+//
+// Chunks join seamlessly because every template leaves both ends of the
+// section untouched: features stay clear of a margin at each end, and the
+// narrowing/widening profile eases back to the full size there.
+
+export const CHUNK_TEMPLATES = {
+  plain: "Plain Walls",
+  window: "Openings",
+  pillars: "Pillars",
+  debris: "Collapsed Ceiling",
+  narrowing: "Narrowing",
+  widening: "Widening",
+};
+
+export const DEFAULT_CHUNK_WEIGHTS = {
+  plain: 4,
+  window: 1,
+  pillars: 1,
+  debris: 1,
+  narrowing: 1,
+  widening: 1,
+};
+
+// Features keep this fraction of the section depth clear at each end
+const END_MARGIN = 0.15;
+
+// Template and feature parameters of chunk `index`. Same seed and index, same
+// chunk, whatever order chunks are generated in.
+export function getChunk(
+  index,
+  { seed = 0, weights = DEFAULT_CHUNK_WEIGHTS, profileAmount = 0.15 } = {}
+) {
+  const random = createRandom(hashSeed(seed) ^ hashSeed(index));
+  const templates = Object.keys(CHUNK_TEMPLATES);
+  const total = templates.reduce(
+    (sum, name) => sum + Math.max(0, weights[name] || 0),
+    0
+  );
+  let threshold = random() * total;
+  let template = "plain";
+  for (const name of templates) {
+    threshold -= Math.max(0, weights[name] || 0);
+    if (threshold < 0) {
+      template = name;
+      break;
+    }
+  }
+
+  // Feature position along the section (0 = near end, 1 = far end) and a
+  // stream of its own for the details
+  const center = randFloat(random, END_MARGIN + 0.2, 1 - END_MARGIN - 0.2);
+  const detailSeed = Math.floor(random() * 4294967296);
+  const params = { center, detailSeed };
+  switch (template) {
+    case "window":
+      // Wall direction (angle round the cross-section) and opening size
+      params.angle = Math.floor(random() * 4) * (Math.PI / 2);
+      params.width = randFloat(random, 0.35, 0.7); // Radians either side
+      params.length = randFloat(random, 0.15, 0.35); // Fraction of the depth
+      break;
+    case "pillars":
+      params.count = 1 + Math.floor(random() * 3); // Pairs of pillars
+      params.spacing = randFloat(random, 0.12, 0.2);
+      break;
+    case "debris":
+      params.length = randFloat(random, 0.2, 0.4);
+      params.width = randFloat(random, 0.3, 0.6); // Fraction of the width
+      params.pile = randFloat(random, 0.25, 0.45); // Fraction of the height
+      break;
+    case "narrowing":
+      params.amount = -profileAmount * randFloat(random, 0.6, 1);
+      break;
+    case "widening":
+      params.amount = profileAmount * randFloat(random, 0.6, 1);
+      break;
+    default:
+      break;
+  }
+  return { index, template, params };
+}
+
+// Cross-section scale at `t` along the section (0..1): 1 at both ends
+export function getChunkProfile(chunk, t) {
+  const amount = chunk.params.amount || 0;
+  if (!amount) return 1;
+  const s = Math.sin(Math.PI * Math.min(1, Math.max(0, t)));
+  return 1 + amount * s * s;
+}
+
+const _drift = new THREE.Vector3();
+
+// Reshape a section layout (from generateParticleLayout) for its chunk.
+// Returns a new layout: particles are moved by the profile, cut away for
+// openings and the ceiling gap, and added for pillars and debris. Options are
+// the layout's own, for its extent and geometry mix. Added particles get
+// their own size and color draws like the rest, so they follow the size and
+// color controls too.
+export function applyChunkTemplate(
+  layout,
+  chunk,
+  {
+    boxSize = 10,
+    boxDepth = 30,
+    boxThickness = 2,
+    crossSection = "square",
+    ellipseAspect = 1.5,
+    geometryWeights = [1],
+  } = {}
+) {
+  const { template, params } = chunk;
+  if (template === "plain") return layout;
+
+  const random = createRandom(params.detailSeed);
+  const halfHeight = boxSize / 2;
+  const halfWidth =
+    crossSection === "ellipse" ? (boxSize * ellipseAspect) / 2 : halfHeight;
+  const centerZ = (params.center - 0.5) * boxDepth;
+  const halfLength = ((params.length || 0) * boxDepth) / 2;
+
+  // Whether a wall particle is removed by the template
+  const isCut = (x, y, z) => {
+    if (Math.abs(z - centerZ) > halfLength) return false;
+    if (template === "window") {
+      let delta = Math.atan2(y, x) - params.angle;
+      delta = Math.atan2(Math.sin(delta), Math.cos(delta));
+      return Math.abs(delta) < params.width;
+    }
+    // The ceiling the debris fell from
+    return (
+      template === "debris" && y > 0 && Math.abs(x) < halfWidth * params.width
+    );
+  };
+
+  // Extra particles: [x, y, z, scale, tumble] per particle
+  const extras = [];
+  if (template === "pillars") {
+    const step = Math.max(0.25, boxThickness * 0.6);
+    for (let p = 0; p < params.count; p++) {
+      const z =
+        centerZ + (p - (params.count - 1) / 2) * params.spacing * boxDepth;
+      [-1, 1].forEach((side) => {
+        const x = side * (halfWidth - boxThickness / 2);
+        for (let y = -halfHeight; y <= halfHeight; y += step) {
+          extras.push([x, y, z, 1, 0]);
+          extras.push([x - side * step, y, z, 1, 0]);
+        }
+      });
+    }
+  } else if (template === "debris") {
+    // A mound on the floor below the gap, highest in the middle
+    const count = Math.round(40 + 80 * params.width * params.length * 4);
+    for (let i = 0; i < count; i++) {
+      const u = randFloatSpread(random, 2);
+      const v = randFloatSpread(random, 2);
+      const height = Math.max(0, 1 - u * u - v * v * 0.5) * params.pile;
+      extras.push([
+        u * halfWidth * params.width,
+        -halfHeight + random() * height * boxSize,
+        centerZ + v * halfLength,
+        0.5 + random(),
+        1,
+      ]);
+    }
+  }
+
+  const result = createParticleLayout(layout.actualCount + extras.length);
+
+  // Existing particles: scaled by the profile, skipped when cut away
+  const p = layout.positions;
+  for (let i = 0; i < layout.actualCount; i++) {
+    const x = p[i * 3];
+    const y = p[i * 3 + 1];
+    const z = p[i * 3 + 2];
+    if (isCut(x, y, z)) continue;
+    const n = result.actualCount;
+    copyParticle(layout, i, result, n);
+    const profile = getChunkProfile(chunk, z / boxDepth + 0.5);
+    result.positions[n * 3] = x * profile;
+    result.positions[n * 3 + 1] = y * profile;
+    result.actualCount++;
+  }
+
+  // New particles, with the same draws as the layout's own. Debris tumbles
+  // at random and pillars stand straight, whatever the rotation controls say.
+  const weightTotal = geometryWeights.reduce((a, b) => a + b, 0) || 1;
+  extras.forEach(([x, y, z, scale, tumble]) => {
+    const n = result.actualCount;
+    result.positions[n * 3] = x;
+    result.positions[n * 3 + 1] = y;
+    result.positions[n * 3 + 2] = z;
+    result.scales[n] = scale;
+    result.scaleRandoms[n] = random();
+    result.fixedRotations[n] = 1;
+    result.rotations[n * 3] = tumble * (0.5 - random());
+    result.rotations[n * 3 + 1] = tumble * (0.5 - random());
+    result.rotations[n * 3 + 2] = tumble * (0.5 - random());
+
+    result.phases[n] = random();
+    result.spins[n * 3] = random() - 0.5;
+    result.spins[n * 3 + 1] = random() - 0.5;
+    result.spins[n * 3 + 2] = random() - 0.5;
+    // Drift towards the tunnel's axis
+    _drift
+      .set(-x, -y, 0)
+      .normalize()
+      .multiplyScalar(0.5)
+      .toArray(result.drifts, n * 3);
+
+    result.colorRandoms[n] = random() - 0.5;
+    result.geometryIndices[n] = pickWeighted(
+      geometryWeights,
+      weightTotal,
+      random()
+    );
+    result.actualCount++;
+  });
+
+  return result;
+}
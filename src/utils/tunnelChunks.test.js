@@ -0,0 +1,91 @@
+import { describe, expect, it } from "vitest";
+import {
+  CHUNK_TEMPLATES,
+  applyChunkTemplate,
+  getChunk,
+  getChunkProfile,
+} from "./tunnelChunks";
+import { generateParticleLayout } from "./particleLayout";
+
+const chunks = (seed, count) =>
+  Array.from({ length: count }, (_, index) => getChunk(index, { seed }));
+
+// A chunk of one template, from weights that allow nothing else
+const only = (template, index = 0, seed = 1) =>
+  getChunk(index, { seed, weights: { [template]: 1 } });
+
+const layoutOptions = { seed: 3, count: 2000 };
+
+describe("getChunk", () => {
+  it("gives the same chunk for the same seed and index", () => {
+    expect(chunks(7, 50)).toEqual(chunks(7, 50));
+    // Whatever order the stream asks for them in
+    const backwards = [49, 20, 3, 0].map((i) => getChunk(i, { seed: 7 }));
+    expect(backwards.map((chunk) => chunk.index)).toEqual([49, 20, 3, 0]);
+    expect(backwards).toEqual([49, 20, 3, 0].map((i) => chunks(7, 50)[i]));
+  });
+
+  it("gives a different stream for a different seed", () => {
+    const templates = (seed) => chunks(seed, 50).map((chunk) => chunk.template);
+    expect(templates(7)).not.toEqual(templates(8));
+  });
+
+  it("picks templates by weight", () => {
+    Object.keys(CHUNK_TEMPLATES).forEach((template) => {
+      expect(only(template, 5).template).toBe(template);
+    });
+    // No weights at all falls back to plain walls
+    expect(getChunk(0, { weights: {} }).template).toBe("plain");
+    const used = new Set(chunks(2, 200).map((chunk) => chunk.template));
+    expect(used.size).toBe(Object.keys(CHUNK_TEMPLATES).length);
+  });
+
+  it("keeps features clear of the section's ends", () => {
+    chunks(9, 100).forEach(({ params }) => {
+      expect(params.center).toBeGreaterThanOrEqual(0.35);
+      expect(params.center).toBeLessThanOrEqual(0.65);
+    });
+  });
+});
+
+describe("getChunkProfile", () => {
+  it("eases back to full size at both ends", () => {
+    const narrowing = only("narrowing");
+    expect(narrowing.params.amount).toBeLessThan(0);
+    expect(getChunkProfile(narrowing, 0)).toBeCloseTo(1, 9);
+    expect(getChunkProfile(narrowing, 1)).toBeCloseTo(1, 9);
+    expect(getChunkProfile(narrowing, 0.5)).toBeCloseTo(
+      1 + narrowing.params.amount,
+      9
+    );
+    expect(getChunkProfile(only("widening"), 0.5)).toBeGreaterThan(1);
+    expect(getChunkProfile(only("plain"), 0.5)).toBe(1);
+  });
+});
+
+describe("applyChunkTemplate", () => {
+  it("reshapes a layout the same way every time", () => {
+    const layout = generateParticleLayout(layoutOptions);
+    ["window", "pillars", "debris", "narrowing"].forEach((template) => {
+      const chunk = only(template, 4);
+      const a = applyChunkTemplate(layout, chunk, layoutOptions);
+      const b = applyChunkTemplate(
+        generateParticleLayout(layoutOptions),
+        getChunk(4, { seed: 1, weights: { [template]: 1 } }),
+        layoutOptions
+      );
+      expect(a).toEqual(b);
+    });
+  });
+
+  it("leaves plain walls alone, cuts openings and adds pillars", () => {
+    const layout = generateParticleLayout(layoutOptions);
+    expect(applyChunkTemplate(layout, only("plain"), layoutOptions)).toBe(
+      layout
+    );
+    const window = applyChunkTemplate(layout, only("window"), layoutOptions);
+    expect(window.actualCount).toBeLessThan(layout.actualCount);
+    const pillars = applyChunkTemplate(layout, only("pillars"), layoutOptions);
+    expect(pillars.actualCount).toBeGreaterThan(layout.actualCount);
+  });
+});
@@ -0,0 +1,110 @@
+import * as THREE from "three";
+import { createRandom } from "./random";
+
+// Curved tunnel paths. A path is a closed curve (the seeded loop, or one the
+// caller supplies) with a moving frame along it: local x/y span the cross-section, local +z follows the
+// curve. Tunnel-space positions (x, y, distance along the path) map to world
+// space through that frame, so anything laid out for the straight tunnel can
+// be bent onto the curve.
+
+export const TUNNEL_PATHS = ["straight", "loop"];
+
+// Frames are precomputed at this many samples per path and interpolated
+const FRAME_SAMPLES = 512;
+
+const _matrix = new THREE.Matrix4();
+const _frame = new THREE.Matrix4();
+const _localZ = new THREE.Matrix4();
+const _position = new THREE.Vector3();
+const _xAxis = new THREE.Vector3();
+const _yAxis = new THREE.Vector3();
+
+// A seeded closed loop: control points round a circle, with the radius and
+// height wobbling by `wiggle` (0..1) of the radius
+export function createLoopCurve({
+  seed = 0,
+  radius = 60,
+  wiggle = 0.3,
+  points = 8,
+}) {
+  const random = createRandom(seed);
+  const controlPoints = [];
+  for (let i = 0; i < points; i++) {
+    const angle = (i / points) * Math.PI * 2;
+    const r = radius * (1 + (random() - 0.5) * wiggle);
+    const height = (random() - 0.5) * 2 * wiggle * radius * 0.5;
+    controlPoints.push(
+      new THREE.Vector3(Math.cos(angle) * r, height, Math.sin(angle) * r)
+    );
+  }
+  return new THREE.CatmullRomCurve3(controlPoints, true, "centripetal");
+}
+
+// A caller's path: a THREE.Curve (e.g. a closed CatmullRomCurve3) is used as
+// it is; control points, as [x, y, z] arrays or vectors, are joined into a
+// closed centripetal Catmull-Rom spline like the loop's. The tunnel wraps
+// from the end of the curve back to its start, so it should be closed.
+export function createPathCurve(path) {
+  if (path instanceof THREE.Curve) return path;
+  if (!Array.isArray(path) || path.length < 3) {
+    throw new Error("A tunnel path needs a curve or at least 3 points");
+  }
+  const controlPoints = path.map((point) =>
+    Array.isArray(point)
+      ? new THREE.Vector3().fromArray(point)
+      : new THREE.Vector3(point.x, point.y, point.z)
+  );
+  return new THREE.CatmullRomCurve3(controlPoints, true, "centripetal");
+}
+
+// twist: full turns the cross-section rolls over one lap of the path
+export function createTunnelPath(curve, { twist = 0 } = {}) {
+  const length = curve.getLength();
+  const { tangents, normals, binormals } = curve.computeFrenetFrames(
+    FRAME_SAMPLES,
+    true
+  );
+  const points = curve.getSpacedPoints(FRAME_SAMPLES);
+  // Frenet frames start at an arbitrary roll; turn them so local +y starts
+  // out pointing up and the light isn't under the floor
+  const baseRoll = binormals[0].y < 0 ? Math.PI : 0;
+
+  // Frame (as a matrix) at distance s along the path, wrapping around the loop
+  function getFrame(s, target = new THREE.Matrix4()) {
+    const u = (((s / length) % 1) + 1) % 1;
+    const index = Math.min(Math.floor(u * FRAME_SAMPLES), FRAME_SAMPLES - 1);
+    const roll = baseRoll + u * twist * Math.PI * 2;
+    const cos = Math.cos(roll);
+    const sin = Math.sin(roll);
+    const normal = normals[index];
+    const binormal = binormals[index];
+    const tangent = tangents[index];
+    // Roll the normal/binormal pair around the tangent
+    _xAxis.copy(normal).multiplyScalar(cos).addScaledVector(binormal, sin);
+    _yAxis.copy(binormal).multiplyScalar(cos).addScaledVector(normal, -sin);
+    _position
+      .copy(points[index])
+      .lerp(points[index + 1], u * FRAME_SAMPLES - index);
+    target.makeBasis(_xAxis, _yAxis, tangent);
+    target.setPosition(_position);
+    return target;
+  }
+
+  return { curve, length, getFrame };
+}
+
+// Bend instance matrices laid out around z = 0 onto the path, centred at
+// distance `centerS`. Each instance keeps its offset and rotation relative to
+// the frame at its own distance along the path.
+export function bendMatricesAlongPath(matrices, count, path, centerS) {
+  for (let i = 0; i < count; i++) {
+    const offset = i * 16;
+    _matrix.fromArray(matrices, offset);
+    const z = _matrix.elements[14];
+    path.getFrame(centerS + z, _frame);
+    _localZ.makeTranslation(0, 0, -z);
+    _matrix.premultiply(_localZ).premultiply(_frame);
+    _matrix.toArray(matrices, offset);
+  }
+  return matrices;
+}
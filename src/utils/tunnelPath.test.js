@@ -0,0 +1,79 @@
+import { describe, expect, it } from "vitest";
+import * as THREE from "three";
+import {
+  createLoopCurve,
+  createPathCurve,
+  createTunnelPath,
+} from "./tunnelPath";
+
+const POINTS = [
+  [0, 0, 0],
+  [80, 10, -40],
+  [120, -5, 60],
+  [20, 20, 100],
+];
+
+const expectSameMatrix = (a, b) =>
+  a.elements.forEach((value, i) => expect(value).toBeCloseTo(b.elements[i], 4));
+
+describe("createPathCurve", () => {
+  it("joins control points into a closed spline through them", () => {
+    const curve = createPathCurve(POINTS);
+    expect(curve).toBeInstanceOf(THREE.CatmullRomCurve3);
+    expect(curve.closed).toBe(true);
+    expect(curve.getPoint(0).toArray()).toEqual(POINTS[0]);
+    expect(curve.getPoint(1).distanceTo(curve.getPoint(0))).toBeCloseTo(0, 6);
+    // Vectors work as well as arrays
+    const vectors = POINTS.map((point) => new THREE.Vector3(...point));
+    expect(createPathCurve(vectors).getLength()).toBeCloseTo(
+      curve.getLength(),
+      6
+    );
+  });
+
+  it("uses a curve as it is", () => {
+    const curve = new THREE.CatmullRomCurve3(
+      POINTS.map((point) => new THREE.Vector3(...point)),
+      true
+    );
+    expect(createPathCurve(curve)).toBe(curve);
+  });
+
+  it("rejects too few points", () => {
+    expect(() => createPathCurve(POINTS.slice(0, 2))).toThrow(
+      "A tunnel path needs a curve or at least 3 points"
+    );
+    expect(() => createPathCurve(null)).toThrow();
+  });
+});
+
+describe("createTunnelPath", () => {
+  it("follows the curve with an orthonormal frame", () => {
+    const path = createTunnelPath(createPathCurve(POINTS));
+    const frame = path.getFrame(path.length * 0.3);
+    const x = new THREE.Vector3();
+    const y = new THREE.Vector3();
+    const z = new THREE.Vector3();
+    frame.extractBasis(x, y, z);
+    [x, y, z].forEach((axis) => expect(axis.length()).toBeCloseTo(1, 6));
+    expect(x.dot(y)).toBeCloseTo(0, 6);
+    expect(y.dot(z)).toBeCloseTo(0, 6);
+    // Local +z follows the curve
+    const tangent = path.curve.getTangentAt(0.3);
+    expect(z.dot(tangent)).toBeCloseTo(1, 2);
+    const position = new THREE.Vector3().setFromMatrixPosition(frame);
+    expect(position.distanceTo(path.curve.getPointAt(0.3))).toBeLessThan(0.5);
+  });
+
+  it("wraps distances round the loop", () => {
+    const path = createTunnelPath(createLoopCurve({ seed: 3 }), { twist: 2 });
+    expectSameMatrix(
+      path.getFrame(path.length * 1.25),
+      path.getFrame(path.length * 0.25)
+    );
+    expectSameMatrix(
+      path.getFrame(-path.length * 0.5),
+      path.getFrame(path.length * 0.5)
+    );
+  });
+});
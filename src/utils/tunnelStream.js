@@ -0,0 +1,47 @@
+// Tunnel stream: how many particle sections the tunnel needs, where each one
+// sits for a given travel offset, and how the travel speed eases.
+// Pure math so the recycling can be reasoned about (and tested) without a renderer.
+
+// Sections are spaced exactly one box depth apart and wrap around a window of
+// sectionCount * boxDepth. The window is one section longer than the range
+// that must stay covered, so a section only ever wraps while it is entirely
+// outside [near, far]; the jump is never visible.
+export function getStreamLayout({ boxDepth, near, far, maxSections = 32 }) {
+  const sectionCount = Math.min(
+    maxSections,
+    Math.max(2, Math.ceil((far - near) / boxDepth) + 1)
+  );
+  return {
+    sectionCount,
+    boxDepth,
+    minZ: near - boxDepth / 2,
+    span: sectionCount * boxDepth,
+  };
+}
+
+// Centre z of a section after the tunnel has travelled `offset` along +z
+export function getSectionZ(index, offset, { boxDepth, minZ, span }) {
+  const z = (offset + index * boxDepth) % span;
+  return minZ + (z < 0 ? z + span : z);
+}
+
+// Index of the chunk a section is showing after the tunnel has travelled an
+// unwrapped `offset`. Chunk k always sits one box depth past chunk k - 1, so
+// a section wrapping to the other end picks up the next chunk in line and
+// the stream never repeats. With offset 0, section i shows chunk i.
+export function getSectionChunk(
+  index,
+  offset,
+  { sectionCount, boxDepth, span }
+) {
+  return index - Math.floor((offset + index * boxDepth) / span) * sectionCount;
+}
+
+// Move the current velocity towards the target, limited by acceleration
+// (units per second squared). A non-positive acceleration changes instantly.
+export function stepVelocity(velocity, targetVelocity, acceleration, delta) {
+  if (acceleration <= 0) return targetVelocity;
+  const maxChange = acceleration * delta;
+  const change = targetVelocity - velocity;
+  return velocity + Math.max(-maxChange, Math.min(maxChange, change));
+}
@@ -0,0 +1,71 @@
+// Page options and setting overrides from a URL query, e.g.
+// ?kiosk&speed=3&lightColor=ff8800&bloom=0. Pure string handling: the
+// values stay raw strings here and are typed by the schema of the control
+// they land on (see settings/overrides.js).
+
+// Short names for controls whose own key is long or unclear
+export const PARAM_ALIASES = {
+  bloom: "bloom.bloomEnabled",
+  tier: "quality.tierMode",
+};
+
+// Params that set up the page instead of a control
+const PAGE_PARAMS = [
+  "kiosk",
+  "fullscreen",
+  "wakeLock",
+  "cursor",
+  "transparent",
+];
+
+// Seconds without pointer movement before kiosk mode hides the cursor
+export const DEFAULT_CURSOR_TIMEOUT = 2;
+
+// "?kiosk", "?kiosk=1" and "?kiosk=true" are on; "0", "false", "off" and
+// "no" are off
+export function parseFlag(raw) {
+  return !/^(0|false|off|no)$/i.test(raw.trim());
+}
+
+// Returns { kiosk, fullscreen, wakeLock, cursorTimeout, background,
+// overrides }. Fullscreen, the wake lock and cursor hiding default to on in
+// kiosk mode; `background` is undefined unless the query sets one (null for
+// transparent). `overrides` maps control keys, bare or qualified with their
+// config section ("motion.speed", "lights.1.intensity"), to raw strings.
+export function parseUrlParams(search) {
+  const params = new URLSearchParams(search);
+  const flag = (name, fallback) =>
+    params.has(name) ? parseFlag(params.get(name)) : fallback;
+
+  const kiosk = flag("kiosk", false);
+  const cursor = params.get("cursor");
+  let cursorTimeout = kiosk ? DEFAULT_CURSOR_TIMEOUT : null;
+  if (cursor !== null) {
+    // ?cursor=5 hides it after 5 s; ?cursor=show (or 0) never does
+    const seconds = Number(cursor);
+    cursorTimeout = cursor && seconds > 0 ? seconds : null;
+  }
+
+  let background;
+  if (flag("transparent", false)) background = null;
+
+  const overrides = {};
+  params.forEach((value, name) => {
+    if (PAGE_PARAMS.includes(name)) return;
+    if (name === "background") {
+      if (value === "transparent" || value === "none") background = null;
+      else background = /^[0-9a-f]{3,8}$/i.test(value) ? `#${value}` : value;
+      return;
+    }
+    overrides[PARAM_ALIASES[name] || name] = value;
+  });
+
+  return {
+    kiosk,
+    fullscreen: flag("fullscreen", kiosk),
+    wakeLock: flag("wakeLock", kiosk),
+    cursorTimeout,
+    background,
+    overrides,
+  };
+}
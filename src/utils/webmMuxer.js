@@ -0,0 +1,140 @@
+// Minimal WebM (Matroska) muxer for a single video track of encoded chunks,
+// as produced by WebCodecs' VideoEncoder. Frames keep the exact timestamps
+// they were encoded with, which MediaRecorder can't promise. Everything is
+// buffered and written out by finalize(); there is no seek index (Cues).
+
+const encoder = new TextEncoder();
+
+// EBML variable-length size, in the fewest bytes that hold it
+function encodeSize(size) {
+  let length = 1;
+  while (length < 8 && size >= 2 ** (7 * length) - 1) length++;
+  const bytes = new Uint8Array(length);
+  let value = size;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+  bytes[0] |= 1 << (8 - length);
+  return bytes;
+}
+
+function encodeUint(value) {
+  const bytes = [];
+  let v = value;
+  do {
+    bytes.unshift(v % 256);
+    v = Math.floor(v / 256);
+  } while (v > 0);
+  return new Uint8Array(bytes);
+}
+
+function encodeFloat(value) {
+  const view = new DataView(new ArrayBuffer(8));
+  view.setFloat64(0, value);
+  return new Uint8Array(view.buffer);
+}
+
+function concat(parts) {
+  const length = parts.reduce((sum, part) => sum + part.length, 0);
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  parts.forEach((part) => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes;
+}
+
+// An element: ID bytes, size, then either raw data or child elements
+function element(id, content) {
+  const data = Array.isArray(content) ? concat(content) : content;
+  return concat([new Uint8Array(id), encodeSize(data.length), data]);
+}
+
+const uint = (id, value) => element(id, encodeUint(value));
+const float = (id, value) => element(id, encodeFloat(value));
+const string = (id, value) => element(id, encoder.encode(value));
+
+// codecId: "V_VP9" or "V_VP8"
+export function createWebMMuxer({ width, height, codecId = "V_VP9" }) {
+  const clusters = [];
+  let cluster = null;
+  let duration = 0;
+
+  function closeCluster() {
+    if (cluster) {
+      clusters.push(
+        element(
+          [0x1f, 0x43, 0xb6, 0x75],
+          [uint([0xe7], cluster.timecode), ...cluster.blocks]
+        )
+      );
+    }
+    cluster = null;
+  }
+
+  // data: the encoded frame; timestamp and frameDuration in milliseconds
+  function addFrame(data, timestamp, isKeyFrame, frameDuration = 0) {
+    const time = Math.round(timestamp);
+    // Block timecodes are 16-bit offsets from their cluster, so start a new
+    // cluster on every key frame and well before the offset overflows
+    if (!cluster || isKeyFrame || time - cluster.timecode > 30000) {
+      closeCluster();
+      cluster = { timecode: time, blocks: [] };
+    }
+    const header = new Uint8Array(4);
+    header[0] = 0x81; // Track number 1
+    new DataView(header.buffer).setInt16(1, time - cluster.timecode);
+    header[3] = isKeyFrame ? 0x80 : 0;
+    cluster.blocks.push(element([0xa3], [header, data]));
+    duration = Math.max(duration, timestamp + frameDuration);
+  }
+
+  function finalize() {
+    closeCluster();
+    const header = element(
+      [0x1a, 0x45, 0xdf, 0xa3],
+      [
+        uint([0x42, 0x86], 1), // EBMLVersion
+        uint([0x42, 0xf7], 1), // EBMLReadVersion
+        uint([0x42, 0xf2], 4), // EBMLMaxIDLength
+        uint([0x42, 0xf3], 8), // EBMLMaxSizeLength
+        string([0x42, 0x82], "webm"), // DocType
+        uint([0x42, 0x87], 2), // DocTypeVersion
+        uint([0x42, 0x85], 2), // DocTypeReadVersion
+      ]
+    );
+    const info = element(
+      [0x15, 0x49, 0xa9, 0x66],
+      [
+        uint([0x2a, 0xd7, 0xb1], 1000000), // TimecodeScale: milliseconds
+        string([0x4d, 0x80], "volumetric-tunnel"), // MuxingApp
+        string([0x57, 0x41], "volumetric-tunnel"), // WritingApp
+        float([0x44, 0x89], duration), // Duration
+      ]
+    );
+    const tracks = element(
+      [0x16, 0x54, 0xae, 0x6b],
+      [
+        element(
+          [0xae],
+          [
+            uint([0xd7], 1), // TrackNumber
+            uint([0x73, 0xc5], 1), // TrackUID
+            uint([0x83], 1), // TrackType: video
+            string([0x86], codecId),
+            element([0xe0], [uint([0xb0], width), uint([0xba], height)]),
+          ]
+        ),
+      ]
+    );
+    const segment = element(
+      [0x18, 0x53, 0x80, 0x67],
+      [info, tracks, ...clusters]
+    );
+    return new Blob([header, segment], { type: "video/webm" });
+  }
+
+  return { addFrame, finalize };
+}
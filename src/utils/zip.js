@@ -0,0 +1,75 @@
+// Minimal zip writer for exported frame sequences. Files are stored without
+// compression (PNGs are already compressed), which keeps this small and
+// dependency-free. Pure: takes byte arrays, returns a Blob.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// files: [{ name, data: Uint8Array }]
+export function createZip(files) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // Local file header signature
+    local.setUint16(4, 20, true); // Version needed
+    local.setUint16(8, 0, true); // Stored
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true); // Compressed size
+    local.setUint32(22, data.length, true); // Uncompressed size
+    local.setUint16(26, nameBytes.length, true);
+    parts.push(local, nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // Central directory signature
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed
+    central.setUint16(10, 0, true); // Stored
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true); // Local header offset
+    centralDirectory.push(central, nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralDirectory.reduce(
+    (size, part) => size + part.byteLength,
+    0
+  );
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // End of central directory signature
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralDirectory, end], {
+    type: "application/zip",
+  });
+}
@@ -1,7 +1,15 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import { resolve } from "path";
+import pkg from "./package.json";
 
-export default defineConfig({
+// Everything the package depends on stays an import in the library build
+const external = [
+  ...Object.keys(pkg.dependencies || {}),
+  ...Object.keys(pkg.peerDependencies || {}),
+];
+
+export default defineConfig(({ mode }) => ({
   plugins: [react()],
   server: {
     open: true,
@@ -9,4 +17,22 @@ export default defineConfig({
   resolve: {
     extensions: [".js", ".jsx"],
   },
-});
+  // `vite build --mode lib` builds the publishable ESM package into dist/lib
+  ...(mode === "lib" && {
+    publicDir: false,
+    build: {
+      outDir: "dist/lib",
+      lib: {
+        entry: {
+          index: resolve(__dirname, "src/lib/index.js"),
+          leva: resolve(__dirname, "src/lib/leva.js"),
+        },
+        formats: ["es"],
+      },
+      rollupOptions: {
+        external: (id) =>
+          external.some((name) => id === name || id.startsWith(`${name}/`)),
+      },
+    },
+  }),
+}));